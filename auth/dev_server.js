@@ -0,0 +1,134 @@
+/**
+ * Trading Portal – Lokaler Auth-Dienst (Stand-in für den FastAPI-Dienst auf Port 8081)
+ * Nur für Entwicklung und Tests: feste Testbenutzer, Secret pro Prozess, keine Abhängigkeiten.
+ * Start: node auth/dev_server.js   (Portal separat ausliefern, z.B. python -m http.server 8080)
+ *
+ *   POST /login    { username, password } → { token, username, analyst, name, roles, expires_at, idle_timeout_min }
+ *   POST /verify   { token }              → { valid: true, ...Sitzung } | { valid: false }
+ *   POST /refresh  { token }              → neue Sitzung wie /login | 401 bei ungültigem/abgelaufenem Token
+ *
+ * Umgebung: AUTH_DEV_PORT (8081), AUTH_DEV_TOKEN_MIN (Token-Gültigkeit, 15), AUTH_DEV_IDLE_MIN (Idle-Abmeldung, 30)
+ * Kurze Werte (z.B. AUTH_DEV_TOKEN_MIN=2 AUTH_DEV_IDLE_MIN=3) machen Refresh und Idle-Warnung schnell sichtbar.
+ * auth/config.env wird bewusst NICHT gelesen.
+ */
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = parseInt(process.env.AUTH_DEV_PORT || '8081', 10);
+const TOKEN_MIN = parseFloat(process.env.AUTH_DEV_TOKEN_MIN || '15');
+const IDLE_MIN = parseFloat(process.env.AUTH_DEV_IDLE_MIN || '30');
+const SECRET = crypto.randomBytes(32);
+
+// Testbenutzer – Passwort jeweils "dev"
+const USERS = [
+    { username: 'swillemin', analyst: 'swillemin', name: 'Stéphane Willemin', color: '#2598C3', roles: ['analyst', 'trader'] },
+    { username: 'rvogt', analyst: 'rvogt', name: 'Raphael Vogt', color: '#F79645', roles: ['analyst'] },
+    { username: 'gast', analyst: 'gast', name: 'Gast', roles: ['viewer'] },
+    { username: 'admin', analyst: 'admin', name: 'Admin', roles: ['admin'] }
+];
+const DEV_PASSWORD = 'dev';
+
+/* ── JWT (HS256) ── */
+
+function b64url(buf) {
+    return Buffer.from(buf).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function sign(payload) {
+    const head = b64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const body = b64url(JSON.stringify(payload));
+    const sig = b64url(crypto.createHmac('sha256', SECRET).update(head + '.' + body).digest());
+    return head + '.' + body + '.' + sig;
+}
+
+function verify(token) {
+    const parts = String(token || '').split('.');
+    if (parts.length !== 3) return null;
+    const expected = b64url(crypto.createHmac('sha256', SECRET).update(parts[0] + '.' + parts[1]).digest());
+    if (expected.length !== parts[2].length || !crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(parts[2]))) return null;
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(parts[1].replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8'));
+    } catch (e) {
+        return null;
+    }
+    return payload.exp && payload.exp * 1000 > Date.now() ? payload : null;
+}
+
+function session(user) {
+    const now = Math.floor(Date.now() / 1000);
+    const exp = now + Math.round(TOKEN_MIN * 60);
+    const token = sign({ sub: user.username, analyst: user.analyst, name: user.name, color: user.color, roles: user.roles, iat: now, exp: exp });
+    return {
+        token: token,
+        username: user.username,
+        analyst: user.analyst,
+        name: user.name,
+        color: user.color,
+        roles: user.roles,
+        expires_at: new Date(exp * 1000).toISOString(),
+        idle_timeout_min: IDLE_MIN
+    };
+}
+
+/* ── HTTP ── */
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise(function (resolve) {
+        let raw = '';
+        req.on('data', function (chunk) { raw += chunk; if (raw.length > 1e5) req.destroy(); });
+        req.on('end', function () {
+            try { resolve(JSON.parse(raw || '{}')); } catch (e) { resolve({}); }
+        });
+    });
+}
+
+const ROUTES = {
+    '/login': function (body) {
+        const user = USERS.find(function (u) { return u.username === String(body.username || '').trim(); });
+        if (!user || body.password !== DEV_PASSWORD) return [401, { detail: 'Benutzername oder Passwort falsch' }];
+        return [200, session(user)];
+    },
+    '/verify': function (body) {
+        const payload = verify(body.token);
+        const user = payload && USERS.find(function (u) { return u.username === payload.sub; });
+        if (!user) return [200, { valid: false }];
+        const s = session(user);
+        delete s.token;
+        s.expires_at = new Date(payload.exp * 1000).toISOString();
+        return [200, Object.assign({ valid: true }, s)];
+    },
+    '/refresh': function (body) {
+        const payload = verify(body.token);
+        const user = payload && USERS.find(function (u) { return u.username === payload.sub; });
+        if (!user) return [401, { detail: 'Token ungültig oder abgelaufen' }];
+        return [200, session(user)];
+    }
+};
+
+http.createServer(function (req, res) {
+    if (req.method === 'OPTIONS') return send(res, 204);
+    const route = ROUTES[req.url.split('?')[0]];
+    if (!route) return send(res, 404, { detail: 'Not Found' });
+    if (req.method !== 'POST') return send(res, 405, { detail: 'Method Not Allowed' });
+    readBody(req).then(function (body) {
+        const out = route(body);
+        console.log(new Date().toISOString() + ' ' + req.url + ' → ' + out[0] + (body.username ? ' (' + body.username + ')' : ''));
+        send(res, out[0], out[1]);
+    });
+}).listen(PORT, function () {
+    console.log('Auth-Stand-in auf http://localhost:' + PORT + ' (Token ' + TOKEN_MIN + ' Min., Idle ' + IDLE_MIN + ' Min.)');
+    console.log('Benutzer: ' + USERS.map(function (u) { return u.username + ' [' + u.roles.join(', ') + ']'; }).join(', ') + ' – Passwort "' + DEV_PASSWORD + '"');
+});
@@ -0,0 +1,450 @@
+/**
+ * Trading Portal – Alerting
+ * Prüft die Regeln aus shared/config/alerts.json bei jedem Refresh gegen die exportierten JSON-Daten
+ * und zeigt ausgelöste Alerts in der Benachrichtigungs-Glocke der Suite-Bar sowie als Browser-Benachrichtigung.
+ * Einbindung: automatisch durch nav.js (keine eigene Einbindung nötig)
+ *
+ *   { "id": "rollover_faellig", "source": "rollover", "severity": "warning",
+ *     "condition": "tage_bis_verfall < 5 and rollover_stattgefunden = 0",
+ *     "message": "{kontraktname} verfällt in {tage_bis_verfall} Tagen" }
+ *
+ * Bedingungen: Vergleiche (> >= < <= = == != <>), and / or / not, Klammern,
+ * Zahlen, 'Texte', true / false / null und Feldpfade relativ zum "scope" der Quelle (z.B. server_status.overall).
+ * Quellen mit "strategy_url" statt "url" liegen im Datenordner jeder Strategie (shared/js/strategy.js); ihre Regeln
+ * werden für jede aktive Strategie der Registry einzeln geprüft, "link" ist dann relativ zu den Strategie-Seiten.
+ * Geladen wird über loadJSONData (common.js) – Retry, Revalidierung und "Daten veraltet" wie auf den Seiten.
+ * Zustand und Quittierungen werden pro Analyst gespeichert und verfallen, sobald die Bedingung nicht mehr erfüllt ist.
+ */
+(function () {
+    'use strict';
+
+    var script = document.currentScript;
+    var srcAttr = script ? script.getAttribute('src') || '' : '';
+    var idx = srcAttr.indexOf('shared/js/alerts.js');
+    var prefix = idx >= 0 ? srcAttr.substring(0, idx) : '';
+
+    var CONFIG_URL = prefix + 'shared/config/alerts.json';
+    var SEVERITY = {
+        critical: { rank: 0, label: 'Kritisch', color: 'var(--color-negative)' },
+        warning:  { rank: 1, label: 'Warnung',  color: '#f59e0b' },
+        info:     { rank: 2, label: 'Info',     color: 'var(--color-blue)' }
+    };
+
+    var config = null;
+    var active = [];
+    var errors = {};
+    var bell = null, badge = null, dd = null;
+
+    /* ═══════════════════════════════════════════════════════
+       REGEL-AUSDRÜCKE
+       ═══════════════════════════════════════════════════════ */
+
+    var TOKEN_RE = /\s*(?:(\d+(?:\.\d+)?)|'([^']*)'|"([^"]*)"|(>=|<=|==|!=|<>|>|<|=|\(|\))|([A-Za-z_][\w.]*))/y;
+
+    function tokenize(src) {
+        var tokens = [];
+        TOKEN_RE.lastIndex = 0;
+        while (TOKEN_RE.lastIndex < src.length) {
+            if (/^\s*$/.test(src.substring(TOKEN_RE.lastIndex))) break;
+            var start = TOKEN_RE.lastIndex;
+            var m = TOKEN_RE.exec(src);
+            if (!m) {
+                var rest = src.substring(start);
+                throw new Error('Unerwartetes Zeichen an Position ' + (start + rest.length - rest.trimStart().length + 1) + ': "' + rest.trim().charAt(0) + '"');
+            }
+            if (m[1] !== undefined) tokens.push({ t: 'lit', v: parseFloat(m[1]) });
+            else if (m[2] !== undefined || m[3] !== undefined) tokens.push({ t: 'lit', v: m[2] !== undefined ? m[2] : m[3] });
+            else if (m[4] !== undefined) tokens.push({ t: m[4] === '(' || m[4] === ')' ? m[4] : 'op', v: m[4] });
+            else {
+                var word = m[5].toLowerCase();
+                if (word === 'and' || word === 'or' || word === 'not') tokens.push({ t: word });
+                else if (word === 'true' || word === 'false') tokens.push({ t: 'lit', v: word === 'true' });
+                else if (word === 'null') tokens.push({ t: 'lit', v: null });
+                else tokens.push({ t: 'field', v: m[5] });
+            }
+        }
+        return tokens;
+    }
+
+    /** Übersetzt eine Bedingung in einen Baum; wirft bei Syntaxfehlern */
+    function parse(src) {
+        var tokens = tokenize(src);
+        var pos = 0;
+
+        function peek(type) { return tokens[pos] && tokens[pos].t === type; }
+        function expect(type) {
+            if (!peek(type)) throw new Error('"' + type + '" erwartet');
+            return tokens[pos++];
+        }
+
+        function orExpr() {
+            var node = andExpr();
+            while (peek('or')) { pos++; node = { op: 'or', a: node, b: andExpr() }; }
+            return node;
+        }
+        function andExpr() {
+            var node = notExpr();
+            while (peek('and')) { pos++; node = { op: 'and', a: node, b: notExpr() }; }
+            return node;
+        }
+        function notExpr() {
+            if (peek('not')) { pos++; return { op: 'not', a: notExpr() }; }
+            return compare();
+        }
+        function compare() {
+            var node = primary();
+            if (peek('op')) {
+                var op = tokens[pos++].v;
+                node = { op: op, a: node, b: primary() };
+            }
+            return node;
+        }
+        function primary() {
+            if (peek('(')) { pos++; var node = orExpr(); expect(')'); return node; }
+            if (peek('lit')) return { lit: tokens[pos++].v };
+            if (peek('field')) return { field: tokens[pos++].v };
+            throw new Error(tokens[pos] ? 'Unerwartetes Element an Stelle ' + (pos + 1) : 'Ausdruck unvollständig');
+        }
+
+        var tree = orExpr();
+        if (pos < tokens.length) throw new Error('Unerwartetes Element an Stelle ' + (pos + 1));
+        return tree;
+    }
+
+    function resolve(obj, path) {
+        return path.split('.').reduce(function (o, k) { return o === null || o === undefined ? undefined : o[k]; }, obj);
+    }
+
+    // Zahlen aus Strings ("9.75") und Booleans (0/1 aus SQLite) werden numerisch verglichen
+    function same(a, b) {
+        if (typeof a === 'number' || typeof b === 'number') return Number(a) === Number(b);
+        return a === b;
+    }
+
+    function evaluate(node, scope) {
+        if ('lit' in node) return node.lit;
+        if ('field' in node) return resolve(scope, node.field);
+        switch (node.op) {
+            case 'and': return !!evaluate(node.a, scope) && !!evaluate(node.b, scope);
+            case 'or':  return !!evaluate(node.a, scope) || !!evaluate(node.b, scope);
+            case 'not': return !evaluate(node.a, scope);
+        }
+        var a = evaluate(node.a, scope), b = evaluate(node.b, scope);
+        if (node.op === '=' || node.op === '==') return same(a, b);
+        if (node.op === '!=' || node.op === '<>') return !same(a, b);
+        if (a === null || a === undefined || b === null || b === undefined) return false;
+        a = Number(a); b = Number(b);
+        if (isNaN(a) || isNaN(b)) return false;
+        switch (node.op) {
+            case '>':  return a > b;
+            case '>=': return a >= b;
+            case '<':  return a < b;
+            case '<=': return a <= b;
+        }
+        return false;
+    }
+
+    /* ═══════════════════════════════════════════════════════
+       AUSWERTUNG
+       ═══════════════════════════════════════════════════════ */
+
+    // Zustand (seit wann aktiv, schon benachrichtigt) und Quittierungen pro Analyst
+    function userKey(base) {
+        var user = window.portalGetUser ? window.portalGetUser() : '';
+        return base + (user ? '_' + user : '');
+    }
+
+    function stateKey() {
+        return userKey('ma_alerts_state');
+    }
+
+    function ackKey() {
+        return userKey('ma_alerts_ack');
+    }
+
+    function readJSON(key) {
+        try { return JSON.parse(localStorage.getItem(key)) || {}; } catch (e) { return {}; }
+    }
+
+    function writeJSON(key, value) {
+        localStorage.setItem(key, JSON.stringify(value));
+    }
+
+    // Sprache aus shared/js/i18n.js, sobald geladen
+    function locale() {
+        return window.PortalI18n ? PortalI18n.intlLocale() : 'de-CH';
+    }
+
+    // Texte aus shared/i18n; ohne i18n.js bzw. vor dem Laden des Katalogs der de-CH-Text
+    function text(key, params, fallback) {
+        if (window.PortalI18n) return PortalI18n.t(key, params, fallback);
+        return fallback.replace(/\{(\w+)\}/g, function (m, name) { return params && params[name] !== undefined ? params[name] : m; });
+    }
+
+    function formatValue(v) {
+        if (typeof v === 'number') return v.toLocaleString(locale(), { maximumFractionDigits: 2 });
+        if (v === null || v === undefined) return '—';
+        return String(v);
+    }
+
+    function fillMessage(template, scope) {
+        return (template || '').replace(/\{([\w.]+)\}/g, function (_, path) { return formatValue(resolve(scope, path)); });
+    }
+
+    // Seiten ohne common.js laden direkt (wie sessions.js)
+    function loadSource(url) {
+        if (typeof loadJSONData === 'function') return loadJSONData(url);
+        return fetch(url, { cache: 'no-store' })
+            .then(function (r) { if (!r.ok) throw new Error('HTTP ' + r.status); return r.json(); });
+    }
+
+    // Aktive Strategien aus der Registry; strategy.js wird nachgeladen, wenn die Seite es nicht selbst einbindet
+    var strategiesPromise = null;
+    function strategies() {
+        if (!strategiesPromise) {
+            strategiesPromise = new Promise(function (done) {
+                if (window.PortalStrategy) return done();
+                var s = document.createElement('script');
+                s.src = prefix + 'shared/js/strategy.js';
+                s.setAttribute('data-picker', 'off');
+                s.onload = done;
+                s.onerror = done;
+                document.body.appendChild(s);
+            }).then(function () {
+                if (!window.PortalStrategy) return [];
+                return PortalStrategy.ready().then(function () { return PortalStrategy.available(); });
+            });
+        }
+        return strategiesPromise;
+    }
+
+    /** Ein Eintrag pro Quelle bzw. pro Quelle und Strategie: { source, strategy, url } */
+    function sourceJobs(list) {
+        var jobs = [];
+        Object.keys(config.sources || {}).forEach(function (id) {
+            var src = config.sources[id];
+            if (src.strategy_url) {
+                list.forEach(function (s) { jobs.push({ source: id, strategy: s, url: PortalStrategy.dataUrl(src.strategy_url, s) }); });
+            } else {
+                jobs.push({ source: id, strategy: null, url: prefix + src.url });
+            }
+        });
+        return jobs;
+    }
+
+    function refresh() {
+        if (!config) return Promise.resolve(active);
+        return strategies().then(function (list) {
+            var jobs = sourceJobs(list);
+            return Promise.all(jobs.map(function (job) {
+                return loadSource(job.url).catch(function (e) {
+                    console.warn('Alert-Quelle "' + job.source + '"' + (job.strategy ? ' (' + job.strategy.id + ')' : '') + ' nicht verfügbar:', e.message);
+                    return null;
+                });
+            })).then(function (results) {
+                jobs.forEach(function (job, i) {
+                    var scopePath = config.sources[job.source].scope;
+                    job.scope = results[i] && scopePath ? resolve(results[i], scopePath) : results[i];
+                });
+                apply(jobs, list.length > 1);
+                return active;
+            });
+        });
+    }
+
+    function apply(jobs, multiStrategy) {
+        var state = readJSON(stateKey());
+        var now = new Date().toISOString();
+        var fired = [];
+
+        config.rules.forEach(function (rule) {
+            jobs.forEach(function (job) {
+                if (job.source !== rule.source) return;
+                var scope = job.scope;
+                var s = job.strategy;
+                var id = s ? rule.id + '@' + s.id : rule.id;
+                var link = rule.link ? (s ? PortalStrategy.pageUrl(rule.link, s) : prefix + rule.link) : null;
+                if (!rule._tree || !scope) return;     // Syntaxfehler oder Quelle nicht geladen → Zustand unverändert lassen
+                if (link && window.PortalAuth && !PortalAuth.canAccessHref(link)) return;   // Bereich für die Rolle gesperrt
+                if (evaluate(rule._tree, scope)) {
+                    if (!state[id]) state[id] = { since: now, notified: false };
+                    fired.push({
+                        id: id,
+                        severity: SEVERITY[rule.severity] ? rule.severity : 'warning',
+                        title: (rule.title || rule.id) + (s && multiStrategy ? ' – ' + s.name : ''),
+                        message: fillMessage(rule.message, scope),
+                        link: link,
+                        since: state[id].since
+                    });
+                } else if (state[id]) {
+                    delete state[id];
+                }
+            });
+        });
+
+        // Quittierungen aufgelöster Alerts verfallen, damit ein erneutes Auftreten wieder meldet
+        var acks = readJSON(ackKey());
+        Object.keys(acks).forEach(function (id) { if (!state[id]) delete acks[id]; });
+        writeJSON(ackKey(), acks);
+
+        fired.forEach(function (a) {
+            if (state[a.id].notified || acks[a.id]) return;
+            state[a.id].notified = true;
+            notify(a);
+        });
+        writeJSON(stateKey(), state);
+
+        active = fired.sort(function (a, b) {
+            return SEVERITY[a.severity].rank - SEVERITY[b.severity].rank || (a.since < b.since ? 1 : -1);
+        });
+        render();
+        document.dispatchEvent(new CustomEvent('portalAlertsChanged', { detail: { alerts: active.slice() } }));
+    }
+
+    function notify(alert) {
+        if (!('Notification' in window) || Notification.permission !== 'granted') return;
+        try {
+            var n = new Notification(alert.title, { body: alert.message, tag: 'portal-alert-' + alert.id });
+            if (alert.link) n.onclick = function () { window.focus(); window.location.href = alert.link; };
+        } catch (e) { /* z.B. mobile Browser ohne Notification-Konstruktor */ }
+    }
+
+    function acknowledge(id) {
+        var acks = readJSON(ackKey());
+        acks[id] = new Date().toISOString();
+        writeJSON(ackKey(), acks);
+        render();
+    }
+
+    function acknowledgeAll() {
+        var acks = readJSON(ackKey());
+        active.forEach(function (a) { if (!acks[a.id]) acks[a.id] = new Date().toISOString(); });
+        writeJSON(ackKey(), acks);
+        render();
+    }
+
+    /* ═══════════════════════════════════════════════════════
+       BENACHRICHTIGUNGS-CENTER
+       ═══════════════════════════════════════════════════════ */
+
+    function esc(s) {
+        return String(s).replace(/[&<>"]/g, function (c) { return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]; });
+    }
+
+    function fmtSince(iso) {
+        return new Date(iso).toLocaleString(locale(), { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' });
+    }
+
+    function itemHtml(a, acked) {
+        var sev = SEVERITY[a.severity];
+        return '<div class="alert-item' + (acked ? ' acked' : '') + '" style="border-left-color:' + sev.color + '">' +
+            '<div class="alert-item-head">' +
+            '<span class="alert-item-severity" style="color:' + sev.color + '">' + text('alerts.severity.' + a.severity, null, sev.label) + '</span>' +
+            '<span class="alert-item-time">' + text('common.since', { date: fmtSince(a.since) }, 'seit {date}') + '</span>' +
+            '</div>' +
+            '<div class="alert-item-title">' + (a.link ? '<a href="' + esc(a.link) + '">' + esc(a.title) + '</a>' : esc(a.title)) + '</div>' +
+            '<div class="alert-item-msg">' + esc(a.message) + '</div>' +
+            (acked ? '<div class="alert-item-time">' + text('alerts.acked', { date: fmtSince(acked) }, 'Quittiert {date}') + '</div>'
+                   : '<button class="alert-ack" data-id="' + esc(a.id) + '">' + text('alerts.ack', null, 'Quittieren') + '</button>') +
+            '</div>';
+    }
+
+    function render() {
+        if (!bell) return;
+        var acks = readJSON(ackKey());
+        var open = active.filter(function (a) { return !acks[a.id]; });
+        var done = active.filter(function (a) { return acks[a.id]; });
+
+        badge.textContent = open.length;
+        badge.style.display = open.length ? '' : 'none';
+        badge.style.background = open.some(function (a) { return a.severity === 'critical'; }) ? 'var(--color-negative)' : '#f59e0b';
+        var heading = text('nav.notifications', null, 'Benachrichtigungen');
+        bell.title = open.length ? text('alerts.open', { n: open.length }, '{n} offene Benachrichtigung(en)') : heading;
+
+        var html = '<div class="portal-dropdown-header">' + heading +
+            (open.length ? '<button class="alert-ack-all">' + text('alerts.ack_all', null, 'Alle quittieren') + '</button>' : '') + '</div>' +
+            '<div class="alert-list">';
+        if (!active.length) html += '<div class="alert-empty">' + text('alerts.none', null, 'Keine aktiven Alerts') + '</div>';
+        html += open.map(function (a) { return itemHtml(a, null); }).join('');
+        html += done.map(function (a) { return itemHtml(a, acks[a.id]); }).join('');
+        html += '</div>';
+        var invalid = Object.keys(errors);
+        if (invalid.length) html += '<div class="alert-footer alert-invalid">' + text('alerts.invalid', null, 'Ungültige Regeln') + ': ' + esc(invalid.join(', ')) + '</div>';
+        if ('Notification' in window && Notification.permission === 'default') {
+            html += '<div class="portal-dropdown-item alert-permission">' + text('alerts.permission', null, 'Browser-Benachrichtigungen aktivieren') + '</div>';
+        }
+        dd.innerHTML = html;
+    }
+
+    function mount() {
+        bell = document.querySelector('.suite-bell');
+        var suiteRight = document.querySelector('.suite-right');
+        if (!bell || !suiteRight) return false;
+
+        bell.classList.add('alert-bell');
+        badge = document.createElement('span');
+        badge.className = 'alert-badge';
+        badge.style.display = 'none';
+        bell.appendChild(badge);
+
+        dd = document.createElement('div');
+        dd.className = 'portal-dropdown portal-dd-alerts';
+        suiteRight.appendChild(dd);
+
+        bell.addEventListener('click', function (e) {
+            e.stopPropagation();
+            var wasOpen = dd.classList.contains('open');
+            document.querySelectorAll('.portal-dropdown.open').forEach(function (d) { d.classList.remove('open'); });
+            if (!wasOpen) dd.classList.add('open');
+        });
+
+        dd.addEventListener('click', function (e) {
+            e.stopPropagation();
+            var t = e.target;
+            if (t.classList.contains('alert-ack')) acknowledge(t.getAttribute('data-id'));
+            else if (t.classList.contains('alert-ack-all')) acknowledgeAll();
+            else if (t.classList.contains('alert-permission')) Notification.requestPermission().then(render);
+        });
+
+        document.addEventListener('portalI18nReady', render);
+        return true;
+    }
+
+    /* ═══════════════════════════════════════════════════════
+       START
+       ═══════════════════════════════════════════════════════ */
+
+    function init() {
+        if (!mount()) return;
+        render();
+        fetch(CONFIG_URL, { cache: 'no-store' })
+            .then(function (r) { if (!r.ok) throw new Error('HTTP ' + r.status); return r.json(); })
+            .then(function (data) {
+                config = data;
+                config.rules = (config.rules || []).filter(function (rule) {
+                    if (rule.enabled === false) return false;
+                    try {
+                        rule._tree = parse(rule.condition || '');
+                    } catch (e) {
+                        errors[rule.id] = e.message;
+                        console.warn('Alert-Regel "' + rule.id + '" ungültig:', e.message);
+                    }
+                    return true;
+                });
+                refresh();
+                setInterval(refresh, (config.refresh_seconds || 60) * 1000);
+            })
+            .catch(function (e) { console.warn('Alert-Konfiguration nicht verfügbar:', e.message); });
+    }
+
+    window.PortalAlerts = {
+        refresh: refresh,
+        active: function () { return active.slice(); },
+        acknowledge: acknowledge,
+        acknowledgeAll: acknowledgeAll,
+        test: function (condition, scope) { return evaluate(parse(condition), scope || {}); }
+    };
+
+    init();
+
+})();
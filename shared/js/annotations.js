@@ -0,0 +1,676 @@
+/**
+ * Trading Portal – Chart-Annotationen & Seitennotizen
+ * Analysten heften Notizen an ein Datum oder einen Wert eines Plotly- bzw. Chart.js-Diagramms;
+ * jede Seite hat dazu einen Notiz-Feed (Knopf unten rechts).
+ * Einbindung: automatisch durch nav.js (keine eigene Einbindung nötig)
+ *
+ *   { id, page, chart, date, value, text, tags: [], author, name, initials, color, created_at }
+ *
+ * - Mit Datum: gestrichelte Linie + Kürzel auf jedem Diagramm mit Zeitachse, das dieses Datum abdeckt (portal-weit)
+ * - Mit Datum und Wert: Punkt nur auf dem Diagramm "chart" (Seite#Element-ID), auf dem er gesetzt wurde
+ * - Ohne Datum: nur im Notiz-Feed der Seite
+ * Alt+Klick in ein Diagramm öffnet den Feed mit Datum, Wert und Diagramm vorausgefüllt.
+ * Anlegen dürfen Analysten (und Admins), löschen nur der Autor oder ein Admin.
+ *
+ * Speicher über austauschbare Backends { label, list(), add(annotation), remove(id) } – alle liefern Promises:
+ *   "rest"  – tools/annotations_server.js (Port 8082), für alle Analysten geteilt (Standard)
+ *   "local" – localStorage dieses Browsers; automatischer Fallback, wenn der Dienst nicht erreichbar ist
+ * Eigene Backends: PortalAnnotations.registerBackend('name', impl); Auswahl über localStorage "portal_annotations_backend".
+ */
+(function () {
+    'use strict';
+
+    var script = document.currentScript;
+    var srcAttr = script ? script.getAttribute('src') || '' : '';
+    var idx = srcAttr.indexOf('shared/js/annotations.js');
+    var prefix = idx >= 0 ? srcAttr.substring(0, idx) : '';
+
+    var SERVICE_URL = window.location.protocol + '//' + window.location.hostname + ':8082';
+    var LOCAL_KEY = 'portal_annotations';
+    var BACKEND_KEY = 'portal_annotations_backend';
+    var POLL_MS = 60000;
+    var MARK = 'portal-annotation';          // "name" der eigenen Plotly-Shapes und -Annotationen
+    var FALLBACK_COLOR = '#718096';
+
+    // Seite relativ zur Portal-Wurzel, z.B. "marktanalysen/inflation/index.html"
+    var rootPath = new URL(prefix || './', window.location.href).pathname;
+    var PAGE = decodeURIComponent(window.location.pathname.indexOf(rootPath) === 0
+        ? window.location.pathname.substring(rootPath.length)
+        : window.location.pathname.replace(/^\//, ''));
+    if (!PAGE || /\/$/.test(PAGE)) PAGE += 'index.html';
+
+    var items = [];
+    var itemsSig = null;
+    var backendName = null;
+    var lastError = null;
+    var tagFilter = null;
+    var panel = null, toggle = null;
+
+    /* ═══════════════════════════════════════════════════════
+       BACKENDS
+       ═══════════════════════════════════════════════════════ */
+
+    function readLocal() {
+        try { return JSON.parse(localStorage.getItem(LOCAL_KEY) || '[]') || []; } catch (e) { return []; }
+    }
+
+    function writeLocal(list) {
+        localStorage.setItem(LOCAL_KEY, JSON.stringify(list));
+    }
+
+    function request(method, path, body) {
+        var session = window.PortalAuth ? PortalAuth.session() : null;
+        var ctrl = window.AbortController ? new AbortController() : null;
+        var timer = ctrl ? setTimeout(function () { ctrl.abort(); }, 5000) : null;
+        return fetch(SERVICE_URL + path, {
+            method: method,
+            headers: { 'Content-Type': 'application/json', 'Authorization': 'Bearer ' + (session ? session.token : '') },
+            body: body ? JSON.stringify(body) : undefined,
+            signal: ctrl ? ctrl.signal : undefined
+        }).then(function (r) {
+            clearTimeout(timer);
+            return r.json().catch(function () { return {}; }).then(function (json) {
+                if (!r.ok) {
+                    var err = new Error(json.detail || 'HTTP ' + r.status);
+                    err.status = r.status;
+                    throw err;
+                }
+                return json;
+            });
+        }, function (err) {
+            clearTimeout(timer);
+            throw err;
+        });
+    }
+
+    var backends = {
+        rest: {
+            label: 'Annotations-Dienst',
+            list: function () { return request('GET', '/annotations').then(function (r) { return r.annotations || []; }); },
+            add: function (a) { return request('POST', '/annotations', a); },
+            remove: function (id) { return request('DELETE', '/annotations/' + encodeURIComponent(id)); }
+        },
+        local: {
+            label: 'lokal (nur dieser Browser)',
+            list: function () { return Promise.resolve(readLocal()); },
+            add: function (a) {
+                var list = readLocal();
+                list.push(a);
+                writeLocal(list);
+                return Promise.resolve(a);
+            },
+            remove: function (id) {
+                writeLocal(readLocal().filter(function (a) { return a.id !== id; }));
+                return Promise.resolve({ deleted: id });
+            }
+        }
+    };
+
+    function load() {
+        var name = backendName || localStorage.getItem(BACKEND_KEY);
+        if (!backends[name]) name = 'rest';
+        return backends[name].list().then(function (list) {
+            var sig = JSON.stringify(list);
+            var error = lastError;
+            backendName = name;
+            lastError = null;
+            if (sig === itemsSig) {
+                if (error) renderFeed();
+                return;
+            }
+            items = list;
+            itemsSig = sig;
+            changed();
+        }, function (err) {
+            // Dienst nicht erreichbar (kein HTTP-Status) → lokal weiterarbeiten
+            if (!backendName && name === 'rest' && !err.status) {
+                backendName = 'local';
+                return load();
+            }
+            backendName = name;
+            lastError = err.message;
+            renderFeed();
+        });
+    }
+
+    function changed() {
+        itemsSig = JSON.stringify(items);
+        renderFeed();
+        refreshCharts();
+        document.dispatchEvent(new CustomEvent('portalAnnotationsChanged', { detail: { annotations: items.slice() } }));
+    }
+
+    /* ═══════════════════════════════════════════════════════
+       RECHTE & ANLEGEN
+       ═══════════════════════════════════════════════════════ */
+
+    function profile() {
+        return window.PortalAuth ? PortalAuth.profile() : { id: '', name: '', initials: '?', color: FALLBACK_COLOR, roles: [] };
+    }
+
+    function canWrite() {
+        return !!(window.PortalAuth && PortalAuth.hasRole('analyst'));
+    }
+
+    function canDelete(a) {
+        var p = profile();
+        return !!p.id && (a.author === p.id || p.roles.indexOf('admin') !== -1);
+    }
+
+    /** data: { text, date?, value?, chart?, tags? } – Seite und Autor ergänzt das Modul */
+    function add(data) {
+        if (!canWrite()) return Promise.reject(new Error('Nur Analysten dürfen Notizen anlegen'));
+        var p = profile();
+        var annotation = {
+            id: Date.now().toString(36) + Math.random().toString(36).substring(2, 8),
+            page: data.page || PAGE,
+            chart: data.chart || null,
+            date: data.date || null,
+            value: data.value === undefined || data.value === '' ? null : data.value,
+            text: String(data.text || '').trim(),
+            tags: data.tags || [],
+            author: p.id,
+            name: p.name,
+            initials: p.initials,
+            color: p.color,
+            created_at: new Date().toISOString()
+        };
+        if (!annotation.text) return Promise.reject(new Error('Text fehlt'));
+        if (annotation.value !== null && (!annotation.chart || !annotation.date)) return Promise.reject(new Error('Für einen Wert bitte Datum und Diagramm angeben'));
+        return backends[backendName || 'local'].add(annotation).then(function (saved) {
+            items.push(saved);
+            changed();
+            return saved;
+        });
+    }
+
+    function remove(id) {
+        var a = items.find(function (x) { return x.id === id; });
+        if (!a) return Promise.resolve();
+        if (!canDelete(a)) return Promise.reject(new Error('Nur eigene Notizen löschen'));
+        return backends[backendName || 'local'].remove(id).then(function () {
+            items = items.filter(function (x) { return x.id !== id; });
+            changed();
+        });
+    }
+
+    /* ═══════════════════════════════════════════════════════
+       HILFSFUNKTIONEN
+       ═══════════════════════════════════════════════════════ */
+
+    function esc(s) {
+        return String(s === null || s === undefined ? '' : s).replace(/[&<>"']/g, function (c) {
+            return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c];
+        });
+    }
+
+    function toDay(v) {
+        if (v instanceof Date) return isNaN(v) ? null : v.toISOString().substring(0, 10);
+        if (typeof v === 'string' && /^\d{4}-\d{2}-\d{2}/.test(v)) return v.substring(0, 10);
+        return null;
+    }
+
+    function formatDay(iso) {
+        return iso ? iso.substring(8, 10) + '.' + iso.substring(5, 7) + '.' + iso.substring(0, 4) : '';
+    }
+
+    // Sprache aus shared/js/i18n.js, sobald geladen
+    function locale() {
+        return window.PortalI18n ? PortalI18n.intlLocale() : 'de-CH';
+    }
+
+    function formatValue(v) {
+        return v === null || v === undefined ? '' : Number(v).toLocaleString(locale(), { maximumFractionDigits: 4 });
+    }
+
+    function roundValue(v) {
+        return typeof v === 'number' && isFinite(v) ? parseFloat(v.toPrecision(6)) : null;
+    }
+
+    function chartKey(id) {
+        return id ? PAGE + '#' + id : null;
+    }
+
+    /** Annotationen für ein Diagramm mit Datumsbereich [from, to] */
+    function visibleFor(key, from, to) {
+        return items.filter(function (a) {
+            if (!a.date || a.date < from || a.date > to) return false;
+            return a.value === null || a.value === undefined || a.chart === key;
+        });
+    }
+
+    /** Kurztext für Tooltips: "Name · Datum (Wert)" + Text + Tags + Herkunftsseite */
+    function summary(a) {
+        return {
+            head: (a.name || a.author) + ' · ' + formatDay(a.date) + (a.value !== null && a.value !== undefined ? ' (' + formatValue(a.value) + ')' : ''),
+            text: a.text,
+            tags: (a.tags || []).map(function (t) { return '#' + t; }).join(' '),
+            page: a.page !== PAGE ? a.page : ''
+        };
+    }
+
+    // Plotly-Hoverlabels brechen nicht selbst um
+    function wrap(text, width) {
+        var lines = [];
+        String(text).split('\n').forEach(function (para) {
+            var line = '';
+            para.split(/\s+/).forEach(function (word) {
+                if (line && (line + ' ' + word).length > width) { lines.push(line); line = word; }
+                else line = line ? line + ' ' + word : word;
+            });
+            lines.push(line);
+        });
+        return lines;
+    }
+
+    /* ═══════════════════════════════════════════════════════
+       PLOTLY
+       Eigene Shapes/Annotationen (name = MARK) werden bei jedem newPlot/react ergänzt,
+       bestehende Diagramme bei Änderungen per relayout aktualisiert.
+       ═══════════════════════════════════════════════════════ */
+
+    function isOwn(x) {
+        return x && x.name === MARK;
+    }
+
+    /** Datumsbereich der Spuren auf der ersten x-Achse → [von, bis] oder null (keine Zeitachse) */
+    function plotlyRange(data, layout) {
+        var axis = layout && layout.xaxis;
+        if (axis && axis.type && axis.type !== 'date') return null;
+        var lo = null, hi = null;
+        (data || []).forEach(function (t) {
+            if (t.xaxis && t.xaxis !== 'x') return;
+            var xs = t.x;
+            if (!xs || !xs.length) return;
+            for (var i = 0; i < xs.length; i++) {
+                if (xs[i] === null || xs[i] === undefined) continue;
+                var d = toDay(xs[i]);
+                if (!d) return;                     // keine Datumswerte → Spur überspringen
+                if (lo === null || d < lo) lo = d;
+                if (hi === null || d > hi) hi = d;
+            }
+        });
+        return lo ? [lo, hi] : null;
+    }
+
+    function plotlyHover(a) {
+        var s = summary(a);
+        return '<b>' + esc(s.head) + '</b><br>' + wrap(s.text, 60).map(esc).join('<br>') +
+            (s.tags ? '<br>' + esc(s.tags) : '') + (s.page ? '<br><i>' + esc(s.page) + '</i>' : '');
+    }
+
+    /** { shapes, annotations } = Layout-Einträge der Seite + eigene Markierungen */
+    function plotlyOverlay(gd, data, layout) {
+        var shapes = ((layout && layout.shapes) || []).filter(function (x) { return !isOwn(x); });
+        var notes = ((layout && layout.annotations) || []).filter(function (x) { return !isOwn(x); });
+        var range = plotlyRange(data, layout);
+        if (!range) return { shapes: shapes, annotations: notes };
+        var stack = {};
+        visibleFor(chartKey(gd.id), range[0], range[1]).forEach(function (a) {
+            var color = a.color || FALLBACK_COLOR;
+            var label = { name: MARK, text: esc(a.initials || '?'), hovertext: plotlyHover(a), bgcolor: color,
+                          font: { color: '#fff', size: 10 }, borderpad: 2, xref: 'x', x: a.date };
+            if (a.value === null || a.value === undefined) {
+                var n = stack[a.date] = (stack[a.date] || 0) + 1;
+                shapes.push({ name: MARK, type: 'line', xref: 'x', yref: 'paper', x0: a.date, x1: a.date, y0: 0, y1: 1,
+                              line: { color: color, width: 1, dash: 'dot' } });
+                notes.push(Object.assign(label, { yref: 'paper', y: 1, yanchor: 'top', yshift: -(n - 1) * 18, showarrow: false }));
+            } else {
+                notes.push(Object.assign(label, { yref: 'y', y: a.value, showarrow: true, arrowhead: 0, arrowcolor: color, ax: 0, ay: -28 }));
+            }
+        });
+        return { shapes: shapes, annotations: notes };
+    }
+
+    function bindPlotly(gd) {
+        if (gd.$portalAnnotations || typeof gd.on !== 'function') return;
+        gd.$portalAnnotations = true;
+        gd.on('plotly_click', function (ev) {
+            if (!ev || !ev.event || !ev.event.altKey || !ev.points || !ev.points.length) return;
+            var p = ev.points[0];
+            var date = toDay(p.x);
+            if (!date) return;
+            openFeed({ date: date, value: roundValue(p.y), chart: gd.id || '' });
+        });
+    }
+
+    function hookPlotly() {
+        if (!window.Plotly || Plotly.$portalAnnotations) return;
+        Plotly.$portalAnnotations = true;
+        ['newPlot', 'react'].forEach(function (fn) {
+            var orig = Plotly[fn];
+            if (typeof orig !== 'function') return;
+            Plotly[fn] = function (gd, data, layout) {
+                var el = typeof gd === 'string' ? document.getElementById(gd) : gd;
+                var args = Array.prototype.slice.call(arguments);
+                if (el && Array.isArray(data)) {
+                    args[2] = Object.assign({}, layout, plotlyOverlay(el, data, layout));
+                } else if (el && data && Array.isArray(data.data)) {
+                    args[1] = Object.assign({}, data, { layout: Object.assign({}, data.layout, plotlyOverlay(el, data.data, data.layout)) });
+                }
+                var result = orig.apply(this, args);
+                if (el) Promise.resolve(result).then(function () { bindPlotly(el); }, function () {});
+                return result;
+            };
+        });
+    }
+
+    function refreshPlotly() {
+        if (!window.Plotly || typeof Plotly.relayout !== 'function') return;
+        document.querySelectorAll('.js-plotly-plot').forEach(function (gd) {
+            if (!gd.data || !gd.layout) return;
+            var overlay = plotlyOverlay(gd, gd.data, gd.layout);
+            var before = JSON.stringify([(gd.layout.shapes || []).filter(isOwn), (gd.layout.annotations || []).filter(isOwn)]);
+            var after = JSON.stringify([overlay.shapes.filter(isOwn), overlay.annotations.filter(isOwn)]);
+            if (before !== after) Plotly.relayout(gd, overlay);
+            bindPlotly(gd);
+        });
+    }
+
+    /* ═══════════════════════════════════════════════════════
+       CHART.JS  –  globales Plugin (Zeit- oder Datums-Kategorieachse "x")
+       ═══════════════════════════════════════════════════════ */
+
+    /** { from, to, pixel(datum), date(pixel) } für die x-Achse oder null */
+    function chartAxis(chart) {
+        var x = chart.scales && chart.scales.x;
+        if (!x) return null;
+        if (x.type === 'time' || x.type === 'timeseries') {
+            return {
+                from: toDay(new Date(x.min)),
+                to: toDay(new Date(x.max)),
+                pixel: function (d) { return x.getPixelForValue(Date.parse(d)); },
+                date: function (px) { return toDay(new Date(x.getValueForPixel(px))); }
+            };
+        }
+        if (x.type === 'category') {
+            var days = (chart.data.labels || []).map(toDay);
+            if (!days.length || !days[x.min] || !days[x.max]) return null;
+            return {
+                from: days[x.min],
+                to: days[x.max],
+                pixel: function (d) {
+                    for (var i = x.min; i <= x.max; i++) if (days[i] && days[i] >= d) return x.getPixelForValue(i);
+                    return null;
+                },
+                date: function (px) { return days[Math.round(x.getValueForPixel(px))] || null; }
+            };
+        }
+        return null;
+    }
+
+    function drawChart(chart) {
+        chart.$portalHits = [];
+        var axis = chartAxis(chart);
+        if (!axis || !axis.from || !axis.to) return;
+        var area = chart.chartArea, ctx = chart.ctx, y = chart.scales.y;
+        var stack = {};
+        ctx.save();
+        ctx.font = '600 10px ' + getComputedStyle(document.body).fontFamily;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        visibleFor(chartKey(chart.canvas.id), axis.from, axis.to).forEach(function (a) {
+            var px = axis.pixel(a.date);
+            if (px === null || !isFinite(px) || px < area.left || px > area.right) return;
+            var color = a.color || FALLBACK_COLOR;
+            var top;
+            if (a.value === null || a.value === undefined) {
+                ctx.strokeStyle = color;
+                ctx.lineWidth = 1;
+                ctx.setLineDash([3, 3]);
+                ctx.beginPath();
+                ctx.moveTo(px, area.top);
+                ctx.lineTo(px, area.bottom);
+                ctx.stroke();
+                var n = stack[a.date] = (stack[a.date] || 0) + 1;
+                top = area.top + 2 + (n - 1) * 16;
+            } else {
+                var py = y ? y.getPixelForValue(a.value) : NaN;
+                if (!isFinite(py) || py < area.top || py > area.bottom) return;
+                ctx.fillStyle = color;
+                ctx.beginPath();
+                ctx.arc(px, py, 4, 0, 2 * Math.PI);
+                ctx.fill();
+                top = Math.max(area.top, py - 22);
+            }
+            var label = a.initials || '?';
+            var w = ctx.measureText(label).width + 8;
+            ctx.setLineDash([]);
+            ctx.fillStyle = color;
+            ctx.fillRect(px - w / 2, top, w, 14);
+            ctx.fillStyle = '#fff';
+            ctx.fillText(label, px, top + 7);
+            chart.$portalHits.push({ x: px - w / 2, y: top, w: w, h: 14, a: a });
+        });
+        ctx.restore();
+    }
+
+    function chartEvent(chart, e) {
+        if (e.type === 'mousemove') {
+            var hit = (chart.$portalHits || []).find(function (h) {
+                return e.x >= h.x && e.x <= h.x + h.w && e.y >= h.y && e.y <= h.y + h.h;
+            });
+            // Tooltip als title-Attribut; nur eigene Titel wieder entfernen
+            if (hit) {
+                var s = summary(hit.a);
+                chart.canvas.title = s.head + '\n' + s.text + (s.tags ? '\n' + s.tags : '') + (s.page ? '\n' + s.page : '');
+                chart.$portalTitle = true;
+            } else if (chart.$portalTitle) {
+                chart.canvas.title = '';
+                chart.$portalTitle = false;
+            }
+        } else if (e.type === 'click' && e.native && e.native.altKey) {
+            var axis = chartAxis(chart);
+            var date = axis && axis.date(e.x);
+            if (!date) return;
+            var y = chart.scales.y;
+            openFeed({ date: date, value: y ? roundValue(y.getValueForPixel(e.y)) : null, chart: chart.canvas.id || '' });
+        }
+    }
+
+    var chartPlugin = {
+        id: 'portalAnnotations',
+        afterDatasetsDraw: function (chart) { drawChart(chart); },
+        afterEvent: function (chart, args) { chartEvent(chart, args.event); }
+    };
+
+    function chartInstances() {
+        if (!window.Chart || !Chart.instances) return [];
+        return Object.keys(Chart.instances).map(function (k) { return Chart.instances[k]; });
+    }
+
+    function hookChartJs() {
+        if (!window.Chart || typeof Chart.register !== 'function' || Chart.$portalAnnotations) return;
+        Chart.$portalAnnotations = true;
+        Chart.register(chartPlugin);
+    }
+
+    function refreshCharts() {
+        refreshPlotly();
+        chartInstances().forEach(function (c) { c.update('none'); });
+    }
+
+    /* ═══════════════════════════════════════════════════════
+       NOTIZ-FEED
+       ═══════════════════════════════════════════════════════ */
+
+    var NOTE_SVG = '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/><polyline points="14 2 14 8 20 8"/><line x1="8" y1="13" x2="16" y2="13"/><line x1="8" y1="17" x2="13" y2="17"/></svg>';
+
+    /** Diagramme der Seite mit ID: Plotly-Container und Chart.js-Canvas */
+    function pageCharts() {
+        var out = [];
+        document.querySelectorAll('.js-plotly-plot[id]').forEach(function (el) { out.push(el); });
+        chartInstances().forEach(function (c) { if (c.canvas && c.canvas.id) out.push(c.canvas); });
+        return out.map(function (el) {
+            var box = el.closest('.chart-container, .chart-card, .dashboard-card, .content-section');
+            var title = box && box.querySelector('h2, h3, .section-title, .chart-title');
+            return { id: el.id, title: title ? title.textContent.trim() : el.id };
+        });
+    }
+
+    function chartTitle(id) {
+        var c = pageCharts().find(function (x) { return x.id === id; });
+        return c ? c.title : id;
+    }
+
+    function buildFeed() {
+        toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.className = 'annot-toggle';
+        toggle.title = 'Notizen zu dieser Seite';
+        toggle.innerHTML = NOTE_SVG + '<span class="annot-count"></span>';
+        document.body.appendChild(toggle);
+
+        panel = document.createElement('aside');
+        panel.className = 'annot-panel';
+        panel.innerHTML =
+            '<div class="annot-head"><strong>Notizen</strong><span class="annot-backend"></span>' +
+                '<button type="button" class="annot-close" title="Schliessen">&times;</button></div>' +
+            '<form class="annot-form">' +
+                '<textarea name="text" rows="3" maxlength="2000" placeholder="Notiz zu dieser Seite …"></textarea>' +
+                '<div class="annot-row">' +
+                    '<label>Datum<input type="date" name="date"></label>' +
+                    '<label>Wert<input type="number" step="any" name="value"></label>' +
+                '</div>' +
+                '<label>Diagramm<select name="chart"></select></label>' +
+                '<label>Tags<input type="text" name="tags" placeholder="durch Komma getrennt"></label>' +
+                '<div class="annot-form-foot"><span class="annot-hint">Alt+Klick in ein Diagramm übernimmt Datum und Wert.</span>' +
+                    '<button type="submit">Speichern</button></div>' +
+                '<div class="annot-error"></div>' +
+            '</form>' +
+            '<div class="annot-readonly">Nur Analysten können Notizen anlegen.</div>' +
+            '<div class="annot-tags"></div>' +
+            '<div class="annot-list"></div>';
+        document.body.appendChild(panel);
+
+        toggle.addEventListener('click', function () {
+            if (panel.classList.contains('open')) closeFeed();
+            else openFeed();
+        });
+        panel.querySelector('.annot-close').addEventListener('click', closeFeed);
+        panel.querySelector('.annot-form').addEventListener('submit', submit);
+        panel.addEventListener('click', function (e) {
+            var del = e.target.closest('.annot-delete');
+            if (del) {
+                if (!confirm('Notiz löschen?')) return;
+                remove(del.getAttribute('data-id')).catch(function (err) { alert('Löschen fehlgeschlagen: ' + err.message); });
+                return;
+            }
+            var tag = e.target.closest('.annot-tag[data-tag]');
+            if (tag) {
+                tagFilter = tagFilter === tag.getAttribute('data-tag') ? null : tag.getAttribute('data-tag');
+                renderFeed();
+            }
+        });
+    }
+
+    function openFeed(prefill) {
+        if (!panel) return;
+        var form = panel.querySelector('.annot-form').elements;
+        var charts = pageCharts();
+        form.chart.innerHTML = '<option value="">– kein Diagramm –</option>' + charts.map(function (c) {
+            return '<option value="' + esc(c.id) + '">' + esc(c.title) + '</option>';
+        }).join('');
+        if (prefill) {
+            form.date.value = prefill.date || '';
+            form.value.value = prefill.value === null || prefill.value === undefined ? '' : prefill.value;
+            form.chart.value = prefill.chart || '';
+        }
+        panel.querySelector('.annot-error').textContent = '';
+        panel.classList.add('open');
+        renderFeed();
+        if (prefill && canWrite()) form.text.focus();
+        if (backendName === 'rest') load();
+    }
+
+    function closeFeed() {
+        if (panel) panel.classList.remove('open');
+    }
+
+    function submit(e) {
+        e.preventDefault();
+        var form = e.target.elements;
+        var error = panel.querySelector('.annot-error');
+        var value = form.value.value.trim();
+        add({
+            text: form.text.value,
+            date: form.date.value || null,
+            value: value === '' ? null : parseFloat(value),
+            chart: form.chart.value ? chartKey(form.chart.value) : null,
+            tags: form.tags.value.split(',').map(function (t) { return t.trim(); }).filter(Boolean)
+        }).then(function () {
+            e.target.reset();
+            error.textContent = '';
+        }, function (err) {
+            error.textContent = err.message;
+        });
+    }
+
+    function renderFeed() {
+        if (!panel) return;
+        var own = items.filter(function (a) { return a.page === PAGE; });
+        toggle.querySelector('.annot-count').textContent = own.length || '';
+        panel.querySelector('.annot-backend').textContent = backendName ? backends[backendName].label || backendName : '';
+        panel.querySelector('.annot-form').style.display = canWrite() ? '' : 'none';
+        panel.querySelector('.annot-readonly').style.display = canWrite() ? 'none' : '';
+
+        var tags = [];
+        own.forEach(function (a) { (a.tags || []).forEach(function (t) { if (tags.indexOf(t) === -1) tags.push(t); }); });
+        if (tagFilter && tags.indexOf(tagFilter) === -1) tagFilter = null;
+        panel.querySelector('.annot-tags').innerHTML = tags.sort().map(function (t) {
+            return '<span class="annot-tag' + (t === tagFilter ? ' active' : '') + '" data-tag="' + esc(t) + '">#' + esc(t) + '</span>';
+        }).join('');
+
+        var list = own.filter(function (a) { return !tagFilter || (a.tags || []).indexOf(tagFilter) !== -1; })
+            .sort(function (a, b) { return a.created_at < b.created_at ? 1 : -1; });
+        var html = lastError ? '<div class="annot-empty annot-invalid">Notizen nicht geladen: ' + esc(lastError) + '</div>' : '';
+        html += list.map(function (a) {
+            var chartId = a.chart && a.chart.indexOf(PAGE + '#') === 0 ? a.chart.substring(PAGE.length + 1) : null;
+            var ref = [a.date ? formatDay(a.date) : '', a.value !== null && a.value !== undefined ? 'Wert ' + formatValue(a.value) : '',
+                       chartId ? chartTitle(chartId) : ''].filter(Boolean).join(' · ');
+            return '<div class="annot-item">' +
+                '<div class="annot-avatar" style="background:' + esc(a.color || FALLBACK_COLOR) + '">' + esc(a.initials || '?') + '</div>' +
+                '<div class="annot-body">' +
+                    '<div class="annot-meta"><strong>' + esc(a.name || a.author) + '</strong> · ' +
+                        esc(new Date(a.created_at).toLocaleString(locale(), { day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit' })) +
+                        (canDelete(a) ? '<button type="button" class="annot-delete" data-id="' + esc(a.id) + '" title="Löschen">&times;</button>' : '') +
+                    '</div>' +
+                    (ref ? '<div class="annot-ref">' + (chartId ? '<a href="#chart=' + encodeURIComponent(chartId) + '">' + esc(ref) + '</a>' : esc(ref)) + '</div>' : '') +
+                    '<div class="annot-text">' + esc(a.text) + '</div>' +
+                    ((a.tags || []).length ? '<div class="annot-item-tags">' + a.tags.map(function (t) {
+                        return '<span class="annot-tag" data-tag="' + esc(t) + '">#' + esc(t) + '</span>';
+                    }).join('') + '</div>' : '') +
+                '</div>' +
+            '</div>';
+        }).join('');
+        if (!list.length && !lastError) html = '<div class="annot-empty">' + (tagFilter ? 'Keine Notizen mit #' + esc(tagFilter) + '.' : 'Noch keine Notizen zu dieser Seite.') + '</div>';
+        panel.querySelector('.annot-list').innerHTML = html;
+    }
+
+    /* ═══════════════════════════════════════════════════════
+       INIT
+       ═══════════════════════════════════════════════════════ */
+
+    hookPlotly();
+    hookChartJs();
+    buildFeed();
+    load();
+
+    setInterval(function () {
+        if (backendName === 'rest' && !document.hidden) load();
+    }, POLL_MS);
+    window.addEventListener('storage', function (e) {
+        if (e.key === LOCAL_KEY && backendName === 'local') load();
+    });
+
+    window.PortalAnnotations = {
+        list: function () { return items.slice(); },
+        add: add,
+        remove: remove,
+        reload: load,
+        open: openFeed,
+        backend: function () { return backendName; },
+        registerBackend: function (name, impl) { backends[name] = impl; },
+        page: PAGE
+    };
+})();
@@ -4,26 +4,307 @@
  */
 
 // ── Data Loading ──
-async function loadJSONData(url) {
-    const response = await fetch(url);
-    if (!response.ok) throw new Error(`HTTP Fehler ${response.status}: ${response.statusText}`);
-    return response.json();
+// Gemeinsamer Daten-Client für alle Seiten:
+//  - Revalidierung via ETag / Last-Modified (304 → Cache)
+//  - Cache im Speicher + sessionStorage (überlebt Seitenwechsel)
+//  - Retry mit exponentiellem Backoff bei Netzwerk- und 5xx-Fehlern
+//  - De-Duplizierung: parallele Requests auf dieselbe Datei teilen sich einen Fetch
+//  - Veraltungs-Check: `timestamp` der Datei vs. maximales Alter pro Quelle
+
+// Maximales Alter pro Datei in Minuten ('*' = Standard für den nächtlichen Export)
+var DATA_MAX_AGE_MINUTES = {
+    'dashboard_analyse.json': 65,
+    'trading_monitor.json': 90,
+    'disruptions.json': 120,
+    '*': 26 * 60
+};
+var DATA_RETRY_DELAYS_MS = [1000, 2000, 4000];
+var DATA_CACHE_TTL_MS = 5000;   // Innerhalb dieses Fensters kein erneuter Request
+var DATA_SESSION_PREFIX = 'portal_data:';
+
+var _dataCache = {};      // key → { data, etag, lastModified, fetchedAt }
+var _dataInflight = {};   // key → Promise
+var _dataPolls = {};      // key → { subscribers, intervalMs, timer }
+var _dataHealth = {};     // Pfad ab Portal-Root → { name, timestamp, ageMinutes, maxAge, stale, error }
+
+// Portal-Root aus dem eigenen <script src="[tief]/shared/js/common.js">
+var _PORTAL_ROOT = (function() {
+    var script = document.currentScript;
+    var src = script ? script.getAttribute('src') || '' : '';
+    var idx = src.indexOf('shared/js/common.js');
+    try { return new URL(idx >= 0 ? src.substring(0, idx) : './', window.location.href).href; } catch (e) { return ''; }
+})();
+
+function _dataKey(url) {
+    try { return new URL(url, window.location.href).href; } catch (e) { return String(url); }
+}
+
+// Dateiname – nur für DATA_MAX_AGE_MINUTES
+function _dataSourceName(url) {
+    return String(url).split('?')[0].split('/').pop();
+}
+
+// Schlüssel für Daten-Health: relativer Pfad ab Portal-Root, damit gleichnamige Dateien
+// verschiedener Strategien (overview.json, margin_analyse.json, ...) getrennt bleiben
+function _dataHealthKey(url) {
+    var href = _dataKey(url).split('?')[0];
+    return _PORTAL_ROOT && href.indexOf(_PORTAL_ROOT) === 0 ? decodeURIComponent(href.substring(_PORTAL_ROOT.length)) : href;
+}
+
+function getDataMaxAge(url) {
+    var name = _dataSourceName(url);
+    return DATA_MAX_AGE_MINUTES[name] || DATA_MAX_AGE_MINUTES['*'];
+}
+
+function _readSessionCache(key) {
+    try {
+        var raw = sessionStorage.getItem(DATA_SESSION_PREFIX + key);
+        return raw ? JSON.parse(raw) : null;
+    } catch (e) { return null; }
+}
+
+function _writeSessionCache(key, entry) {
+    try { sessionStorage.setItem(DATA_SESSION_PREFIX + key, JSON.stringify(entry)); }
+    catch (e) { /* Quota überschritten → nur Memory-Cache */ }
+}
+
+function _sleep(ms) {
+    return new Promise(function(resolve) { setTimeout(resolve, ms); });
+}
+
+async function _fetchRevalidated(key, cached) {
+    var headers = {};
+    if (cached && cached.etag) headers['If-None-Match'] = cached.etag;
+    if (cached && cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+    var lastError = null;
+    for (var attempt = 0; attempt <= DATA_RETRY_DELAYS_MS.length; attempt++) {
+        if (attempt > 0) await _sleep(DATA_RETRY_DELAYS_MS[attempt - 1]);
+        try {
+            var response = await fetch(key, { headers: headers, cache: 'no-store' });
+            if (response.status === 304 && cached) {
+                cached.fetchedAt = Date.now();
+                return cached;
+            }
+            if (response.ok) {
+                return {
+                    data: await response.json(),
+                    etag: response.headers.get('ETag'),
+                    lastModified: response.headers.get('Last-Modified'),
+                    fetchedAt: Date.now()
+                };
+            }
+            lastError = new Error(`HTTP Fehler ${response.status}: ${response.statusText}`);
+            if (response.status < 500) break;   // 4xx: Retry bringt nichts
+        } catch (e) {
+            lastError = e;
+        }
+    }
+    throw lastError;
+}
+
+/**
+ * Lädt eine JSON-Datei über den gemeinsamen Daten-Client.
+ * Bei einem Fehler wird – falls vorhanden – die zuletzt geladene Version
+ * zurückgegeben und die Quelle im "Daten veraltet"-Banner gemeldet.
+ * options.maxAge: maximales Alter in Minuten (überschreibt DATA_MAX_AGE_MINUTES) – gilt pro Aufruf,
+ * auch wenn sich der Aufruf einen laufenden Request mit anderen teilt.
+ */
+function loadJSONData(url, options) {
+    options = options || {};
+    return _loadShared(url).then(function(result) {
+        checkDataFreshness(url, result.data, result.error, options.maxAge);
+        return result.data;
+    }, function(error) {
+        checkDataFreshness(url, null, error, options.maxAge);
+        throw error;
+    });
+}
+
+// Gemeinsamer Request pro Datei → { data, error } (error gesetzt, wenn auf den Cache zurückgefallen wurde)
+function _loadShared(url) {
+    var key = _dataKey(url);
+    if (_dataInflight[key]) return _dataInflight[key];
+
+    var cached = _dataCache[key] || _readSessionCache(key);
+    if (cached && _dataCache[key] && Date.now() - cached.fetchedAt < DATA_CACHE_TTL_MS) {
+        return Promise.resolve({ data: cached.data, error: null });
+    }
+
+    // Erst nach Texten und Wechselkursen (shared/js/i18n.js) ausliefern, damit die erste Darstellung stimmt
+    var i18nReady = window.PortalI18n ? PortalI18n.ready() : Promise.resolve();
+    var request = i18nReady.then(function() {
+        return _fetchRevalidated(key, cached);
+    }).then(function(entry) {
+        _dataCache[key] = entry;
+        if (entry !== cached) _writeSessionCache(key, entry);
+        return { data: entry.data, error: null };
+    }, function(error) {
+        if (cached) return { data: cached.data, error: error };
+        throw error;
+    });
+    _dataInflight[key] = request;
+    request.then(function() { delete _dataInflight[key]; }, function() { delete _dataInflight[key]; });
+    return request;
+}
+
+/**
+ * Regelmässiges Laden mit einem gemeinsamen Timer pro Datei.
+ * Mehrere Widgets, die dieselbe Datei abonnieren, lösen nur einen Request aus.
+ * Gibt eine Funktion zum Abmelden zurück.
+ */
+function pollJSONData(url, onData, intervalMs, onError) {
+    var key = _dataKey(url);
+    var poll = _dataPolls[key];
+    if (!poll) {
+        poll = _dataPolls[key] = { subscribers: [], intervalMs: intervalMs, timer: null };
+        poll.run = function() {
+            loadJSONData(url).then(function(data) {
+                poll.subscribers.forEach(function(s) { s.onData(data); });
+            }, function(error) {
+                poll.subscribers.forEach(function(s) { if (s.onError) s.onError(error); });
+            });
+        };
+        poll.timer = setInterval(poll.run, intervalMs);
+    } else if (intervalMs < poll.intervalMs) {
+        clearInterval(poll.timer);
+        poll.intervalMs = intervalMs;
+        poll.timer = setInterval(poll.run, intervalMs);
+    }
+
+    var subscriber = { onData: onData, onError: onError };
+    poll.subscribers.push(subscriber);
+    loadJSONData(url).then(onData, function(error) { if (onError) onError(error); });
+
+    return function unsubscribe() {
+        poll.subscribers = poll.subscribers.filter(function(s) { return s !== subscriber; });
+        if (poll.subscribers.length === 0) {
+            clearInterval(poll.timer);
+            delete _dataPolls[key];
+        }
+    };
+}
+
+// ── Data Freshness ("Daten veraltet") ──
+function checkDataFreshness(url, data, error, maxAge) {
+    var key = _dataHealthKey(url);
+    var limit = maxAge || getDataMaxAge(url);
+    var ts = data && data.timestamp ? new Date(data.timestamp) : null;
+    var age = ts && !isNaN(ts) ? (Date.now() - ts.getTime()) / 60000 : null;
+    _dataHealth[key] = {
+        name: _dataSourceName(url),
+        timestamp: ts,
+        ageMinutes: age,
+        maxAge: limit,
+        stale: age !== null && age > limit,
+        error: error ? error.message : null
+    };
+    renderDataHealth();
+    return _dataHealth[key];
+}
+
+function formatAge(minutes) {
+    if (minutes === null || minutes === undefined) return '—';
+    if (minutes < 90) return portalText('common.age.minutes', { n: Math.round(minutes) });
+    if (minutes < 48 * 60) return portalText('common.age.hours', { n: formatNumber(minutes / 60, 1) });
+    return portalText('common.age.days', { n: formatNumber(minutes / 1440, 1) });
+}
+
+function getDataHealth() {
+    return _dataHealth;
+}
+
+// Fehlermeldungen zitieren u.U. den Antworttext (z.B. "<!DOCTYPE ..." bei JSON.parse) – nur escaped ins Banner
+function _escapeHtml(value) {
+    return String(value).replace(/[&<>"]/g, function(c) {
+        return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c];
+    });
+}
+
+function renderDataHealth() {
+    var problems = Object.keys(_dataHealth).filter(function(key) {
+        return _dataHealth[key].stale || _dataHealth[key].error;
+    });
+
+    var items = problems.map(function(key) {
+        var h = _dataHealth[key];
+        // Dateiname genügt, solange er eindeutig ist – sonst der Pfad (z.B. overview.json mehrerer Strategien)
+        var ambiguous = problems.some(function(k) { return k !== key && _dataHealth[k].name === h.name; });
+        var text = '<strong title="' + _escapeHtml(key) + '">' + _escapeHtml(ambiguous ? key : h.name) + '</strong>: ';
+        if (h.error) text += portalText('common.stale.unreachable', { error: _escapeHtml(h.error) }) + (h.timestamp ? ', ' + portalText('common.stale.showing', { time: formatDateTime(h.timestamp) }) : '');
+        else text += portalText('common.stale.age', { time: formatDateTime(h.timestamp), age: formatAge(h.ageMinutes), limit: formatAge(h.maxAge) });
+        return text;
+    });
+
+    var banner = document.getElementById('data-stale-banner');
+    var main = document.querySelector('.main-content');
+    if (!items.length) {
+        if (banner) banner.remove();
+    } else if (main) {
+        if (!banner) {
+            banner = document.createElement('div');
+            banner.id = 'data-stale-banner';
+            banner.className = 'data-stale-banner';
+            var tabs = main.querySelector('.spa-tabs');
+            if (tabs) tabs.insertAdjacentElement('afterend', banner);
+            else main.insertBefore(banner, main.firstChild);
+        }
+        banner.innerHTML = '<span class="data-stale-title">&#x26A0; ' + portalText('common.stale.title') + '</span>' +
+            '<span class="data-stale-items">' + items.join(' &middot; ') + '</span>';
+    }
+
+    var badge = document.querySelector('.suite-stale-badge');
+    var suiteRight = document.querySelector('.suite-right');
+    if (!items.length) {
+        if (badge) badge.remove();
+    } else if (suiteRight) {
+        if (!badge) {
+            badge = document.createElement('div');
+            badge.className = 'suite-stale-badge';
+            badge.addEventListener('click', function() {
+                var b = document.getElementById('data-stale-banner');
+                if (b) b.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            });
+            suiteRight.insertBefore(badge, suiteRight.firstChild);
+        }
+        badge.textContent = portalText('common.stale.badge', { count: items.length });
+        badge.title = problems.join(', ');
+    }
+}
+
+// ── Locale & Texte (shared/js/i18n.js) ──
+function portalLocale() {
+    return window.PortalI18n ? PortalI18n.intlLocale() : 'de-CH';
+}
+
+// fallback: de-CH-Text für Module, die auch vor dem Laden der Texte bzw. ohne i18n.js rendern
+function portalText(key, params, fallback) {
+    if (window.PortalI18n) return PortalI18n.t(key, params, fallback);
+    return fallback === undefined ? key : _fillText(fallback, params);
+}
+
+function _fillText(text, params) {
+    return !params ? text : text.replace(/\{(\w+)\}/g, function(m, name) {
+        return params[name] !== undefined && params[name] !== null ? params[name] : m;
+    });
 }
 
 // ── Formatting ──
-function formatCurrency(value, decimals) {
+// Beträge in USD (Kontowährung) – angezeigt in der gewählten Anzeigewährung.
+// date: Stichtag für den Kurs (Tabellenzeilen), ohne Angabe der letzte Kurs
+function formatCurrency(value, decimals, date) {
     if (value === null || value === undefined) return '—';
     decimals = decimals !== undefined ? decimals : 0;
-    return new Intl.NumberFormat('de-DE', {
-        style: 'currency', currency: 'USD',
+    var money = window.PortalI18n ? PortalI18n.convert(value, date) : { value: value, currency: 'USD' };
+    return new Intl.NumberFormat(portalLocale(), {
+        style: 'currency', currency: money.currency,
         minimumFractionDigits: decimals, maximumFractionDigits: decimals
-    }).format(value);
+    }).format(money.value);
 }
 
 function formatNumber(val, decimals) {
     if (val === null || val === undefined) return '—';
     decimals = decimals !== undefined ? decimals : 4;
-    return parseFloat(val).toLocaleString('de-DE', {
+    return parseFloat(val).toLocaleString(portalLocale(), {
         minimumFractionDigits: decimals, maximumFractionDigits: decimals
     });
 }
@@ -31,7 +312,7 @@ function formatNumber(val, decimals) {
 function formatDateTime(val) {
     if (!val) return '—';
     try {
-        return new Date(val).toLocaleString('de-DE', {
+        return new Date(val).toLocaleString(portalLocale(), {
             day: '2-digit', month: '2-digit', year: 'numeric',
             hour: '2-digit', minute: '2-digit', second: '2-digit'
         });
@@ -43,7 +324,7 @@ function updateLastUpdate(timestamp, elementId) {
     elementId = elementId || 'last-update';
     if (!timestamp) return;
     var el = document.getElementById(elementId);
-    if (el) el.innerHTML = 'Letzte Aktualisierung: ' + new Date(timestamp).toLocaleString('de-DE');
+    if (el) el.innerHTML = portalText('common.last_update', { time: new Date(timestamp).toLocaleString(portalLocale()) });
 }
 
 // ── Clocks (Zurich + Chicago) ──
@@ -52,8 +333,8 @@ function startClocks() {
         var now = new Date();
         var opts = { hour: '2-digit', minute: '2-digit', second: '2-digit', hour12: false };
         try {
-            var ch  = new Intl.DateTimeFormat('de-CH', Object.assign({}, opts, { timeZone: 'Europe/Zurich' })).format(now);
-            var chi = new Intl.DateTimeFormat('en-US', Object.assign({}, opts, { timeZone: 'America/Chicago' })).format(now);
+            var ch  = new Intl.DateTimeFormat(portalLocale(), Object.assign({}, opts, { timeZone: 'Europe/Zurich' })).format(now);
+            var chi = new Intl.DateTimeFormat(portalLocale(), Object.assign({}, opts, { timeZone: 'America/Chicago' })).format(now);
             var elCh  = document.getElementById('clock-ch');
             var elChi = document.getElementById('clock-chi');
             if (elCh)  elCh.textContent = ch;
@@ -65,27 +346,26 @@ function startClocks() {
 }
 
 // ── Server Status ──
+// status = server_status aus dashboard_analyse.json (Format: shared/config/health_schema.json)
 function updateServerStatus(status) {
     var el = document.getElementById('server-status');
     if (!el || !status) return;
     var html = '';
-    if (status.ib_gateway) {
-        var s = status.ib_gateway;
-        var cls = s.connected ? 'sp-status-online' : 'sp-status-offline';
-        html += '<span class="sp-status-badge ' + cls + '">IB Gateway: ' + (s.connected ? 'Verbunden' : 'Offline') + '</span>';
+    if (typeof status.gateway_running === 'boolean') {
+        var cls = status.gateway_running ? 'sp-status-online' : 'sp-status-offline';
+        html += '<span class="sp-status-badge ' + cls + '">' + portalText('common.server.ib', { state: portalText(status.gateway_running ? 'common.server.connected' : 'common.server.offline') }) + '</span>';
     }
-    if (status.trading_bot) {
-        var s2 = status.trading_bot;
-        var cls2 = s2.running ? 'sp-status-online' : 'sp-status-offline';
-        html += '<span class="sp-status-badge ' + cls2 + '">Trading Bot: ' + (s2.running ? 'Aktiv' : 'Inaktiv') + '</span>';
+    if (typeof status.port_4002_listening === 'boolean') {
+        var cls2 = status.port_4002_listening ? 'sp-status-online' : 'sp-status-offline';
+        html += '<span class="sp-status-badge ' + cls2 + '">' + portalText('common.server.port', { port: 4002, state: portalText(status.port_4002_listening ? 'common.server.active' : 'common.server.inactive') }) + '</span>';
     }
     if (html) el.innerHTML = html;
 }
 
 // ── Source Badge (IB vs. cached) ──
 function getSourceBadge(isFromIB) {
-    if (isFromIB === true)  return ' <span style="font-size:10px;opacity:0.6" title="Live von IB">&#x1F7E2;</span>';
-    if (isFromIB === false) return ' <span style="font-size:10px;opacity:0.6" title="Cached">&#x1F7E1;</span>';
+    if (isFromIB === true)  return ' <span style="font-size:10px;opacity:0.6" title="' + portalText('common.source.live') + '">&#x1F7E2;</span>';
+    if (isFromIB === false) return ' <span style="font-size:10px;opacity:0.6" title="' + portalText('common.source.cached') + '">&#x1F7E1;</span>';
     return '';
 }
 
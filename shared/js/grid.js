@@ -0,0 +1,518 @@
+/**
+ * Trading Portal – Data Grid
+ * Sortier-, filter- und exportierbare Tabelle für Trading- und Analyse-Seiten.
+ * Einbindung (nach common.js): <script src="[tief]/shared/js/grid.js"></script>
+ *
+ *   var grid = createDataGrid(document.getElementById('monitor-grid'), {
+ *       id: 'trading_monitor',                       // Schlüssel für gespeicherte Spalten
+ *       columns: [
+ *           { key: 'date_chi', label: 'Zeitpunkt (CHI)', labelKey: 'monitor.col.date_chi', render: 'datetime', filter: 'daterange' },
+ *           { key: 'reason_code', render: 'reasonCode', filter: 'select' },
+ *           { key: 'leverage_new', render: 'leverage', align: 'right' }
+ *       ],
+ *       filters: { reason_code: 'ZEITFENSTER_17_18' },  // Start-Filter (optional)
+ *       sortKey: 'date_chi', sortDir: 'desc', pageSize: 100,
+ *       onRowClick: function(row) { ... }             // optional, z.B. Drill-down
+ *   });
+ *   grid.setData(rows);
+ *
+ * labelKey: Spaltentitel aus shared/i18n, label ist der de-CH-Text bis zum Laden des Katalogs
+ * (gilt auch für Einträge in filterOptions).
+ * Ohne `columns` werden die Spalten aus den Daten abgeleitet (wie bisher Object.keys(data[0])).
+ * Ausgeblendete Spalten werden pro Analyst im localStorage gespeichert.
+ */
+(function () {
+    'use strict';
+
+    var NULL_CELL = '<span style="opacity:0.3">—</span>';
+
+    // Texte aus shared/i18n (Schlüssel grid.*); der de-CH-Text gilt, bis der Katalog geladen ist
+    function text(key, params, fallback) {
+        return portalText('grid.' + key, params, fallback);
+    }
+    var PAGE_SIZES = [50, 100, 250, 500];
+
+    /* ═══════════════════════════════════════════════════════
+       RENDERER  –  (val, row, col) → HTML
+       ═══════════════════════════════════════════════════════ */
+
+    function escapeHtml(str) {
+        return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    var RENDERERS = {
+        text: function (val, row, col) {
+            var s = String(val);
+            if (col.maxLength && s.length > col.maxLength) {
+                return '<span title="' + escapeHtml(s) + '">' + escapeHtml(s.substring(0, col.maxLength)) + '...</span>';
+            }
+            return escapeHtml(s);
+        },
+        number: function (val, row, col) {
+            if (col.decimals !== undefined) return formatNumber(val, col.decimals);
+            return parseFloat(val).toLocaleString(portalLocale(), { maximumFractionDigits: 4 });
+        },
+        leverage: function (val) {
+            return parseFloat(val).toLocaleString(portalLocale(), { minimumFractionDigits: 2, maximumFractionDigits: 6 });
+        },
+        currency: function (val, row, col) {
+            return formatCurrency(val, col.decimals || 0);
+        },
+        datetime: function (val) {
+            return formatDateTime(String(val).replace(' ', 'T'));
+        },
+        called: function (val) {
+            return val === 1 || val === true
+                ? '<span class="sp-status-success-badge">✓ CALLED</span>'
+                : '<span class="sp-status-skipped-badge">✗ SKIPPED</span>';
+        },
+        reasonCode: function (val) {
+            var reason = String(val);
+            var cls = reason.includes('FEHLER') || reason.includes('ERROR') ? 'sp-status-error-badge'
+                : reason.includes('GESCHLOSSEN') || reason.includes('KEINE') ? 'sp-status-skipped-badge'
+                : 'sp-status-success-badge';
+            return '<span class="' + cls + '">' + escapeHtml(reason) + '</span>';
+        },
+        percentBar: function (val) {
+            var pct = parseFloat(val || 0);
+            var color = pct > 80 ? '#ef4444' : pct > 50 ? '#f59e0b' : '#16a34a';
+            return '<div style="display:flex;align-items:center;gap:10px"><div class="sp-progress-bar" style="width:80px">' +
+                '<div class="sp-progress-fill" style="width:' + Math.min(pct, 100) + '%;background:' + color + '"></div></div>' +
+                '<span>' + pct.toFixed(1) + '%</span></div>';
+        },
+        days: function (val) {
+            var d = parseInt(val || 0, 10);
+            return '<span class="sp-badge ' + (d <= 3 ? 'sp-badge-warning' : 'sp-badge-success') + '">' + text('days', { n: d }, '{n} Tage') + '</span>';
+        }
+    };
+
+    /* ═══════════════════════════════════════════════════════
+       SPALTEN
+       ═══════════════════════════════════════════════════════ */
+
+    function defaultLabel(key) {
+        return key.replace(/_/g, ' ').toUpperCase();
+    }
+
+    function isDateString(val) {
+        return typeof val === 'string' && val.length > 10 && /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}/.test(val) && !isNaN(Date.parse(val.replace(' ', 'T')));
+    }
+
+    function inferColumns(rows) {
+        if (!rows.length) return [];
+        return Object.keys(rows[0]).map(function (key) {
+            var sample = null;
+            for (var i = 0; i < rows.length && i < 50; i++) {
+                if (rows[i][key] !== null && rows[i][key] !== undefined) { sample = rows[i][key]; break; }
+            }
+            if (typeof sample === 'number') return { key: key, type: 'number', render: 'number' };
+            if (isDateString(sample)) return { key: key, type: 'date', render: 'datetime' };
+            return { key: key };
+        });
+    }
+
+    function normalizeColumn(c) {
+        if (typeof c === 'string') c = { key: c };
+        var col = Object.assign({ label: defaultLabel(c.key), type: 'text', render: 'text', filter: false }, c);
+        if (col.labelKey) col.label = portalText(col.labelKey, null, c.label || col.label);
+        if (col.render === 'datetime' && c.type === undefined) col.type = 'date';
+        if (['number', 'leverage', 'currency', 'percentBar', 'days'].indexOf(col.render) !== -1 && c.type === undefined) col.type = 'number';
+        if (typeof col.render === 'string') col.render = RENDERERS[col.render] || RENDERERS.text;
+        if (!col.filterValue) col.filterValue = function (row) { return row[col.key]; };
+        return col;
+    }
+
+    /* ═══════════════════════════════════════════════════════
+       EXPORT (CSV / Excel)
+       ═══════════════════════════════════════════════════════ */
+
+    function exportValue(col, row) {
+        if (col.exportValue) return col.exportValue(row[col.key], row);
+        var v = row[col.key];
+        return v === null || v === undefined ? '' : v;
+    }
+
+    function toCSV(cols, rows) {
+        function esc(v) {
+            var s = String(v);
+            return /[";\r\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+        }
+        var lines = [cols.map(function (c) { return esc(c.label); }).join(';')];
+        rows.forEach(function (r) {
+            lines.push(cols.map(function (c) { return esc(exportValue(c, r)); }).join(';'));
+        });
+        // BOM, damit Excel UTF-8 (Umlaute) korrekt erkennt
+        return '\uFEFF' + lines.join('\r\n');
+    }
+
+    function toSpreadsheetML(cols, rows, sheetName) {
+        function cell(v) {
+            if (typeof v === 'number' && isFinite(v)) return '<Cell><Data ss:Type="Number">' + v + '</Data></Cell>';
+            return '<Cell><Data ss:Type="String">' + escapeHtml(v) + '</Data></Cell>';
+        }
+        var xml = '<?xml version="1.0" encoding="UTF-8"?>\n<?mso-application progid="Excel.Sheet"?>\n' +
+            '<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet" xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">' +
+            '<Worksheet ss:Name="' + escapeHtml(sheetName.substring(0, 31)) + '"><Table>' +
+            '<Row>' + cols.map(function (c) { return cell(c.label); }).join('') + '</Row>';
+        rows.forEach(function (r) {
+            xml += '<Row>' + cols.map(function (c) { return cell(exportValue(c, r)); }).join('') + '</Row>';
+        });
+        return xml + '</Table></Worksheet></Workbook>';
+    }
+
+    function download(filename, content, mime) {
+        var blob = new Blob([content], { type: mime });
+        var a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        setTimeout(function () { URL.revokeObjectURL(a.href); a.remove(); }, 0);
+    }
+
+    /* ═══════════════════════════════════════════════════════
+       GRID
+       ═══════════════════════════════════════════════════════ */
+
+    function createDataGrid(container, options) {
+        options = options || {};
+        var gridId = options.id || container.id || 'grid';
+        var columns = (options.columns || []).map(normalizeColumn);
+        var rows = [];
+        var view = [];
+        var sortKey = options.sortKey || null;
+        var sortDir = options.sortDir || 'asc';
+        var search = '';
+        var filters = Object.assign({}, options.filters || {});
+        var page = 0;
+        var pageSize = options.pageSize || 100;
+        var hidden = {};
+
+        // ── Spalten-Sichtbarkeit pro Analyst ──
+        function storageKey() {
+            var user = window.portalGetUser ? window.portalGetUser() : '';
+            return 'ma_grid_cols_' + gridId + (user ? '_' + user : '');
+        }
+        function loadHidden() {
+            hidden = {};
+            var saved = null;
+            try { saved = JSON.parse(localStorage.getItem(storageKey()) || 'null'); } catch (e) { saved = null; }
+            if (saved) saved.forEach(function (k) { hidden[k] = true; });
+            else columns.forEach(function (c) { if (c.hidden) hidden[c.key] = true; });
+        }
+        function saveHidden() {
+            localStorage.setItem(storageKey(), JSON.stringify(Object.keys(hidden).filter(function (k) { return hidden[k]; })));
+        }
+        function visibleColumns() {
+            return columns.filter(function (c) { return !hidden[c.key]; });
+        }
+
+        // ── Grundgerüst ──
+        container.classList.add('sp-grid');
+        container.innerHTML =
+            '<div class="sp-grid-toolbar">' +
+                '<input type="search" class="sp-grid-search" data-i18n-placeholder="grid.search" placeholder="' + text('search', null, 'In Tabelle suchen...') + '">' +
+                '<div class="sp-grid-filters"></div>' +
+                '<div class="sp-grid-actions">' +
+                    '<span class="sp-grid-count"></span>' +
+                    '<div class="sp-grid-colmenu-wrap"><button type="button" class="sp-grid-btn" data-action="columns" data-i18n="grid.columns">' + text('columns', null, 'Spalten') + '</button><div class="sp-grid-colmenu"></div></div>' +
+                    '<button type="button" class="sp-grid-btn" data-action="csv">CSV</button>' +
+                    '<button type="button" class="sp-grid-btn" data-action="xls">Excel</button>' +
+                '</div>' +
+            '</div>' +
+            '<div class="sp-table-container"><div class="sp-table-scroll">' +
+                '<table class="sp-table"><thead></thead><tbody><tr><td style="text-align:center;padding:30px" data-i18n="common.loading_data">' + portalText('common.loading_data', null, 'Lade Daten...') + '</td></tr></tbody></table>' +
+            '</div></div>' +
+            '<div class="sp-grid-pager"></div>';
+
+        var searchInput = container.querySelector('.sp-grid-search');
+        var filtersEl = container.querySelector('.sp-grid-filters');
+        var countEl = container.querySelector('.sp-grid-count');
+        var colMenu = container.querySelector('.sp-grid-colmenu');
+        var thead = container.querySelector('thead');
+        var tbody = container.querySelector('tbody');
+        var pager = container.querySelector('.sp-grid-pager');
+        var scrollEl = container.querySelector('.sp-table-scroll');
+
+        if (options.maxHeight) scrollEl.style.maxHeight = options.maxHeight;
+
+        // ── Filter ──
+        function buildFilters() {
+            filtersEl.innerHTML = columns.filter(function (c) { return c.filter; }).map(function (c) {
+                var label = '<span class="sp-grid-filter-label">' + escapeHtml(c.label) + '</span>';
+                if (c.filter === 'daterange') {
+                    var range = filters[c.key] || {};
+                    return '<label class="sp-grid-filter">' + label +
+                        '<input type="date" data-filter="' + c.key + '" data-bound="from" value="' + (range.from || '') + '">' +
+                        '<span>–</span>' +
+                        '<input type="date" data-filter="' + c.key + '" data-bound="to" value="' + (range.to || '') + '"></label>';
+                }
+                if (c.filter === 'select') {
+                    return '<label class="sp-grid-filter">' + label + '<select data-filter="' + c.key + '"></select></label>';
+                }
+                return '<label class="sp-grid-filter">' + label +
+                    '<input type="text" data-filter="' + c.key + '" value="' + escapeHtml(filters[c.key] || '') + '"></label>';
+            }).join('');
+        }
+
+        function updateSelectOptions() {
+            filtersEl.querySelectorAll('select[data-filter]').forEach(function (sel) {
+                var col = columns.find(function (c) { return c.key === sel.getAttribute('data-filter'); });
+                var opts = col.filterOptions;
+                if (!opts) {
+                    var seen = {};
+                    rows.forEach(function (r) {
+                        var v = col.filterValue(r);
+                        if (v !== null && v !== undefined) seen[String(v)] = true;
+                    });
+                    opts = Object.keys(seen).sort().map(function (v) { return { value: v, label: v }; });
+                }
+                var current = filters[col.key] || '';
+                sel.innerHTML = '<option value="">' + text('all', null, 'Alle') + '</option>' + opts.map(function (o) {
+                    return '<option value="' + escapeHtml(o.value) + '"' + (String(o.value) === current ? ' selected' : '') + '>' + escapeHtml(o.labelKey ? portalText(o.labelKey, null, o.label) : o.label) + '</option>';
+                }).join('');
+            });
+        }
+
+        function matchesFilters(row) {
+            for (var i = 0; i < columns.length; i++) {
+                var c = columns[i];
+                var f = filters[c.key];
+                if (!c.filter || f === undefined || f === '' || f === null) continue;
+                var v = c.filterValue(row);
+                if (c.filter === 'daterange') {
+                    var day = v ? String(v).substring(0, 10) : '';
+                    if (f.from && (!day || day < f.from)) return false;
+                    if (f.to && (!day || day > f.to)) return false;
+                } else if (c.filter === 'select') {
+                    if (String(v) !== f) return false;
+                } else if (String(v === null || v === undefined ? '' : v).toLowerCase().indexOf(String(f).toLowerCase()) === -1) {
+                    return false;
+                }
+            }
+            return true;
+        }
+
+        function matchesSearch(row) {
+            if (!search) return true;
+            var q = search.toLowerCase();
+            return columns.some(function (c) {
+                var v = row[c.key];
+                return v !== null && v !== undefined && String(v).toLowerCase().indexOf(q) !== -1;
+            });
+        }
+
+        // ── Sortierung ──
+        function compare(a, b, col) {
+            var va = a[col.key], vb = b[col.key];
+            var na = va === null || va === undefined, nb = vb === null || vb === undefined;
+            if (na || nb) return na && nb ? 0 : na ? 1 : -1;   // Leere Werte immer zuletzt
+            var r;
+            if (col.type === 'number') r = parseFloat(va) - parseFloat(vb);
+            else r = String(va).localeCompare(String(vb), 'de');
+            return sortDir === 'desc' ? -r : r;
+        }
+
+        function computeView() {
+            view = rows.filter(function (r) { return matchesFilters(r) && matchesSearch(r); });
+            var col = columns.find(function (c) { return c.key === sortKey; });
+            if (col) view.sort(function (a, b) { return compare(a, b, col); });
+            var maxPage = Math.max(0, Math.ceil(view.length / pageSize) - 1);
+            if (page > maxPage) page = maxPage;
+        }
+
+        // ── Rendering ──
+        function renderHead() {
+            thead.innerHTML = '<tr>' + visibleColumns().map(function (c) {
+                var arrow = c.key === sortKey ? (sortDir === 'asc' ? ' ▲' : ' ▼') : '';
+                return '<th data-sort="' + c.key + '" class="sp-grid-sortable' + (c.align === 'right' ? ' text-right' : '') + '">' +
+                    escapeHtml(c.label) + '<span class="sp-grid-sort">' + arrow + '</span></th>';
+            }).join('') + '</tr>';
+        }
+
+        function renderCell(c, row) {
+            var val = row[c.key];
+            var attrs = c.align === 'right' ? ' class="text-right"' : '';
+            if (c.wrap) attrs += ' style="white-space:normal;word-wrap:break-word"';
+            if (val === null || val === undefined) return '<td' + attrs + '>' + NULL_CELL + '</td>';
+            return '<td' + attrs + '>' + c.render(val, row, c) + '</td>';
+        }
+
+        function renderBody() {
+            var cols = visibleColumns();
+            if (!rows.length) {
+                tbody.innerHTML = '<tr><td colspan="' + Math.max(cols.length, 1) + '" style="text-align:center;padding:20px">' + text('no_data', null, 'Keine Daten verfügbar') + '</td></tr>';
+            } else if (!view.length) {
+                tbody.innerHTML = '<tr><td colspan="' + cols.length + '" style="text-align:center;padding:20px">' + text('no_match', null, 'Keine Einträge für die gewählten Filter') + '</td></tr>';
+            } else {
+                var slice = view.slice(page * pageSize, (page + 1) * pageSize);
+                tbody.innerHTML = slice.map(function (row, i) {
+                    var attrs = options.rowAttributes ? options.rowAttributes(row) : '';
+                    return '<tr data-index="' + (page * pageSize + i) + '"' + (attrs ? ' ' + attrs : '') + '>' +
+                        cols.map(function (c) { return renderCell(c, row); }).join('') + '</tr>';
+                }).join('');
+            }
+            countEl.textContent = view.length === rows.length
+                ? text('rows', { n: rows.length }, '{n} Zeilen')
+                : text('rows_filtered', { n: view.length, total: rows.length }, '{n} von {total} Zeilen');
+            renderPager();
+        }
+
+        function renderPager() {
+            var pages = Math.max(1, Math.ceil(view.length / pageSize));
+            var from = view.length ? page * pageSize + 1 : 0;
+            var to = Math.min(view.length, (page + 1) * pageSize);
+            pager.innerHTML =
+                '<span>' + text('range', { from: from, to: to, total: view.length }, 'Zeilen {from}–{to} von {total}') + '</span>' +
+                '<div class="sp-grid-pager-nav">' +
+                    '<button type="button" class="sp-grid-btn" data-page="first"' + (page === 0 ? ' disabled' : '') + '>&laquo;</button>' +
+                    '<button type="button" class="sp-grid-btn" data-page="prev"' + (page === 0 ? ' disabled' : '') + '>&lsaquo;</button>' +
+                    '<span>' + text('page', { page: page + 1, pages: pages }, 'Seite {page} / {pages}') + '</span>' +
+                    '<button type="button" class="sp-grid-btn" data-page="next"' + (page >= pages - 1 ? ' disabled' : '') + '>&rsaquo;</button>' +
+                    '<button type="button" class="sp-grid-btn" data-page="last"' + (page >= pages - 1 ? ' disabled' : '') + '>&raquo;</button>' +
+                    '<select class="sp-grid-pagesize">' + PAGE_SIZES.map(function (n) {
+                        return '<option value="' + n + '"' + (n === pageSize ? ' selected' : '') + '>' + text('page_size', { n: n }, '{n} / Seite') + '</option>';
+                    }).join('') + '</select>' +
+                '</div>';
+        }
+
+        function renderColMenu() {
+            colMenu.innerHTML = '<div class="portal-dropdown-header">' + text('show_columns', null, 'Spalten anzeigen') + '</div>' + columns.map(function (c) {
+                return '<label class="sp-grid-colmenu-item"><input type="checkbox" data-col="' + c.key + '"' + (hidden[c.key] ? '' : ' checked') + '> ' + escapeHtml(c.label) + '</label>';
+            }).join('') + '<button type="button" class="sp-grid-btn" data-action="reset-columns" style="margin:8px 12px">' + text('reset_columns', null, 'Zurücksetzen') + '</button>';
+        }
+
+        function refresh() {
+            computeView();
+            renderHead();
+            renderBody();
+        }
+
+        // ── Events ──
+        searchInput.addEventListener('input', function () { search = searchInput.value.trim(); page = 0; refresh(); });
+
+        filtersEl.addEventListener('change', function (e) { onFilterInput(e.target); });
+        filtersEl.addEventListener('input', function (e) { if (e.target.type === 'text') onFilterInput(e.target); });
+        function onFilterInput(t) {
+            var key = t.getAttribute('data-filter');
+            if (!key) return;
+            var bound = t.getAttribute('data-bound');
+            if (bound) {
+                filters[key] = Object.assign({}, filters[key]);
+                filters[key][bound] = t.value;
+            } else {
+                filters[key] = t.value;
+            }
+            page = 0;
+            refresh();
+        }
+
+        thead.addEventListener('click', function (e) {
+            var th = e.target.closest('th[data-sort]');
+            if (!th) return;
+            var key = th.getAttribute('data-sort');
+            if (sortKey !== key) { sortKey = key; sortDir = 'asc'; }
+            else if (sortDir === 'asc') sortDir = 'desc';
+            else sortKey = null;
+            refresh();
+        });
+
+        pager.addEventListener('click', function (e) {
+            var btn = e.target.closest('button[data-page]');
+            if (!btn) return;
+            var pages = Math.max(1, Math.ceil(view.length / pageSize));
+            var action = btn.getAttribute('data-page');
+            page = action === 'first' ? 0 : action === 'prev' ? page - 1 : action === 'next' ? page + 1 : pages - 1;
+            page = Math.max(0, Math.min(page, pages - 1));
+            renderBody();
+            scrollEl.scrollTop = 0;
+        });
+        pager.addEventListener('change', function (e) {
+            if (!e.target.classList.contains('sp-grid-pagesize')) return;
+            pageSize = parseInt(e.target.value, 10);
+            page = 0;
+            refresh();
+        });
+
+        container.querySelector('.sp-grid-actions').addEventListener('click', function (e) {
+            var btn = e.target.closest('[data-action]');
+            if (!btn) return;
+            e.stopPropagation();
+            var action = btn.getAttribute('data-action');
+            var stamp = new Date().toISOString().split('T')[0];
+            if (action === 'columns') {
+                renderColMenu();
+                colMenu.classList.toggle('open');
+            } else if (action === 'reset-columns') {
+                localStorage.removeItem(storageKey());
+                loadHidden();
+                renderColMenu();
+                refresh();
+            } else if (action === 'csv') {
+                download(gridId + '_' + stamp + '.csv', toCSV(visibleColumns(), view), 'text/csv;charset=utf-8');
+            } else if (action === 'xls') {
+                download(gridId + '_' + stamp + '.xls', toSpreadsheetML(visibleColumns(), view, gridId), 'application/vnd.ms-excel');
+            }
+        });
+        colMenu.addEventListener('click', function (e) { e.stopPropagation(); });
+        colMenu.addEventListener('change', function (e) {
+            var key = e.target.getAttribute('data-col');
+            if (!key) return;
+            hidden[key] = !e.target.checked;
+            saveHidden();
+            refresh();
+        });
+        tbody.addEventListener('click', function (e) {
+            if (!options.onRowClick || e.target.closest('a')) return;
+            var tr = e.target.closest('tr[data-index]');
+            if (tr) options.onRowClick(view[parseInt(tr.getAttribute('data-index'), 10)]);
+        });
+
+        document.addEventListener('click', function () { colMenu.classList.remove('open'); });
+
+        // Spaltentitel neu auflösen, sobald der Katalog der gewählten Sprache geladen ist
+        document.addEventListener('portalI18nReady', function () {
+            var translated = false;
+            columns.forEach(function (c) {
+                if (!c.labelKey) return;
+                c.label = portalText(c.labelKey, null, c.label);
+                translated = true;
+            });
+            if (!translated) return;
+            buildFilters();
+            updateSelectOptions();
+            if (rows.length) refresh();
+        });
+
+        // ── Öffentliche API ──
+        function setData(data) {
+            rows = data || [];
+            if (!columns.length && rows.length) {
+                columns = inferColumns(rows).map(normalizeColumn);
+                buildFilters();
+                loadHidden();
+            }
+            updateSelectOptions();
+            refresh();
+        }
+
+        function showError(message) {
+            if (rows.length) return;   // Letzte Daten stehen lassen
+            tbody.innerHTML = '<tr><td colspan="' + Math.max(visibleColumns().length, 1) + '" style="color:var(--color-negative);text-align:center;padding:20px">' + portalText('common.error', null, 'Fehler') + ': ' + escapeHtml(message) + '</td></tr>';
+        }
+
+        if (columns.length) { buildFilters(); loadHidden(); }
+
+        return {
+            setData: setData,
+            showError: showError,
+            getView: function () { return view.slice(); },
+            setFilter: function (key, value) { filters[key] = value; buildFilters(); updateSelectOptions(); page = 0; refresh(); },
+            refresh: refresh
+        };
+    }
+
+    window.createDataGrid = createDataGrid;
+    window.GRID_RENDERERS = RENDERERS;
+
+})();
@@ -0,0 +1,261 @@
+/**
+ * Trading Portal – Sprache und Anzeigewährung
+ * Einbindung (nach nav.js): <script src="[tief]/shared/js/i18n.js"></script>
+ * Seiten ohne eigene Einbindung erhalten das Modul über nav.js (Übersetzung der Navigation).
+ *
+ *   PortalI18n.t('overview.realized_net')                → Text in der gewählten Sprache
+ *   PortalI18n.t('common.since', { date: '12.03.2026' }) → Platzhalter {name}
+ *   PortalI18n.t('grid.rows', { n: 5 }, '{n} Zeilen')    → dritter Parameter: de-CH-Text, solange der Katalog noch fehlt
+ *   <span data-i18n="nav.logout">Abmelden</span>        → PortalI18n.apply(root) setzt Text, data-i18n-title, data-i18n-placeholder
+ *   PortalI18n.convert(usd, datum)                       → { value, currency } in der Anzeigewährung
+ *   PortalI18n.ratesAvailable().then(...)                → { CHF: false, ... } für das Einstellungs-Menü
+ *
+ * Texte: shared/i18n/<sprache>.json. de-CH ist die Ausgangssprache und steht auch im Markup;
+ * fehlende Schlüssel einer Sprache fallen auf de-CH zurück.
+ * Wechselkurse: shared/config/fx_rates.json (tools/build_fx_rates.js). Beträge mit Datum (Tabellenzeilen) werden
+ * zum Kurs dieses Tages umgerechnet, aktuelle Werte und Chart-Achsen zum letzten Kurs. Ohne Kurse bleibt es bei USD;
+ * das Einstellungs-Menü markiert solche Währungen mit "keine Kurse".
+ * Auswahl pro Analyst (ma_locale_<id>, ma_currency_<id>) im Einstellungs-Menü; ein Wechsel lädt die Seite neu.
+ * loadJSONData (common.js) wartet auf PortalI18n.ready(), damit schon die erste Darstellung passt.
+ */
+(function () {
+    'use strict';
+
+    var script = document.currentScript;
+    var srcAttr = script ? script.getAttribute('src') || '' : '';
+    var idx = srcAttr.indexOf('shared/js/i18n.js');
+    var prefix = idx >= 0 ? srcAttr.substring(0, idx) : '';
+
+    var CATALOG_URL = prefix + 'shared/i18n/';
+    var RATES_URL = prefix + 'shared/config/fx_rates.json';
+    var SOURCE_LOCALE = 'de-CH';
+    var BASE_CURRENCY = 'USD';
+    var READY_TIMEOUT_MS = 4000;    // Lieber unübersetzt als ohne Daten, falls eine Datei hängt
+
+    // Sprachnamen jeweils in der eigenen Sprache; "intl" = Locale für Intl/toLocaleString, falls abweichend
+    var LOCALES = [
+        { id: 'de-CH', label: 'Deutsch (Schweiz)', short: 'CH' },
+        { id: 'de-DE', label: 'Deutsch (Deutschland)', short: 'DE' },
+        { id: 'en', label: 'English', short: 'EN', intl: 'en-GB' }
+    ];
+    var CURRENCIES = [
+        { id: 'USD', symbol: '$' },
+        { id: 'CHF', symbol: 'Fr.' },
+        { id: 'EUR', symbol: '€' }
+    ];
+
+    var catalogs = {};
+    var fx = null;          // { dates, rates } der Anzeigewährung
+    var ratesPromise = null;
+    var readyPromise = null;
+
+    function storageKey(name) {
+        var user = window.portalGetUser ? window.portalGetUser() : '';
+        return 'ma_' + name + (user ? '_' + user : '');
+    }
+
+    function find(list, id) {
+        return list.find(function (x) { return x.id === id; }) || null;
+    }
+
+    function getLocale() {
+        var l = find(LOCALES, localStorage.getItem(storageKey('locale')));
+        return l ? l.id : SOURCE_LOCALE;
+    }
+
+    function getCurrency() {
+        var c = find(CURRENCIES, localStorage.getItem(storageKey('currency')));
+        return c ? c.id : BASE_CURRENCY;
+    }
+
+    function setLocale(id) {
+        if (!find(LOCALES, id) || id === getLocale()) return;
+        localStorage.setItem(storageKey('locale'), id);
+        window.location.reload();
+    }
+
+    function setCurrency(id) {
+        if (!find(CURRENCIES, id) || id === getCurrency()) return;
+        localStorage.setItem(storageKey('currency'), id);
+        window.location.reload();
+    }
+
+    function intlLocale() {
+        var l = find(LOCALES, getLocale());
+        return l.intl || l.id;
+    }
+
+    /* ── Texte ── */
+
+    function loadCatalog(id) {
+        return fetch(CATALOG_URL + id + '.json', { cache: 'no-cache' })
+            .then(function (r) {
+                if (!r.ok) throw new Error('HTTP ' + r.status);
+                return r.json();
+            })
+            .then(function (data) { catalogs[id] = data.strings || {}; })
+            .catch(function (err) {
+                console.warn('Texte für ' + id + ' nicht verfügbar:', err.message);
+                catalogs[id] = {};
+            });
+    }
+
+    function lookup(key) {
+        var own = catalogs[getLocale()] || {};
+        if (own[key] !== undefined) return own[key];
+        var source = catalogs[SOURCE_LOCALE] || {};
+        return source[key];
+    }
+
+    function t(key, params, fallback) {
+        var text = lookup(key);
+        if (text === undefined) text = fallback;
+        if (text === undefined) return key;
+        return !params ? text : text.replace(/\{(\w+)\}/g, function (m, name) {
+            return params[name] !== undefined && params[name] !== null ? params[name] : m;
+        });
+    }
+
+    /** Übersetzt markierte Elemente; ohne Eintrag bleibt der Text aus dem Markup stehen */
+    function apply(root) {
+        root = root || document;
+        [['data-i18n', null], ['data-i18n-title', 'title'], ['data-i18n-placeholder', 'placeholder']].forEach(function (pair) {
+            root.querySelectorAll('[' + pair[0] + ']').forEach(function (node) {
+                var text = lookup(node.getAttribute(pair[0]));
+                if (text === undefined) return;
+                if (pair[1]) node.setAttribute(pair[1], text);
+                else node.textContent = text;
+            });
+        });
+    }
+
+    /* ── Anzeigewährung ── */
+
+    /** Kurse je Anzeigewährung aus fx_rates.json ({} wenn die Datei fehlt oder noch leer ist) */
+    function fetchRates() {
+        if (!ratesPromise) {
+            ratesPromise = fetch(RATES_URL, { cache: 'no-cache' })
+                .then(function (r) {
+                    if (!r.ok) throw new Error('HTTP ' + r.status);
+                    return r.json();
+                })
+                .then(function (data) { return data.currencies || {}; })
+                .catch(function (err) {
+                    console.warn('Wechselkurse nicht verfügbar (' + RATES_URL + '):', err.message);
+                    return {};
+                });
+        }
+        return ratesPromise;
+    }
+
+    function loadRates(currency) {
+        return fetchRates().then(function (currencies) {
+            var c = currencies[currency];
+            if (c && c.rates.length) fx = { dates: c.dates, rates: c.rates };
+            else console.warn('Keine Kurse für ' + currency + ', Anzeige in ' + BASE_CURRENCY);
+        });
+    }
+
+    /** Welche Anzeigewährungen umgerechnet werden können: { USD: true, CHF: false, ... } */
+    function ratesAvailable() {
+        return fetchRates().then(function (currencies) {
+            var out = {};
+            CURRENCIES.forEach(function (c) {
+                out[c.id] = c.id === BASE_CURRENCY || !!(currencies[c.id] && currencies[c.id].rates.length);
+            });
+            return out;
+        });
+    }
+
+    function isoDay(date) {
+        if (date instanceof Date || typeof date === 'number') {
+            var d = new Date(date);
+            return isNaN(d) ? null : d.toISOString().substring(0, 10);
+        }
+        return date ? String(date).substring(0, 10) : null;
+    }
+
+    /** Kurs am Tag (letzter bekannter Kurs davor), ohne Datum der jüngste */
+    function rateAt(date) {
+        if (!fx) return null;
+        var day = isoDay(date);
+        var n = fx.dates.length;
+        if (!day || day >= fx.dates[n - 1]) return fx.rates[n - 1];
+        var lo = 0, hi = n - 1;
+        while (lo < hi) {
+            var mid = (lo + hi + 1) >> 1;
+            if (fx.dates[mid] <= day) lo = mid;
+            else hi = mid - 1;
+        }
+        return fx.rates[lo];
+    }
+
+    function convert(value, date) {
+        var currency = getCurrency();
+        var rate = currency !== BASE_CURRENCY ? rateAt(date) : null;
+        if (rate === null || value === null || value === undefined) return { value: value, currency: BASE_CURRENCY };
+        return { value: value * rate, currency: currency };
+    }
+
+    /** Letzter Kurs der Anzeigewährung: { currency, rate, date } oder null */
+    function rateInfo() {
+        if (!fx || getCurrency() === BASE_CURRENCY) return null;
+        var n = fx.dates.length;
+        return { currency: getCurrency(), rate: fx.rates[n - 1], date: fx.dates[n - 1] };
+    }
+
+    /** Hinweis in der Kopfzeile, solange nicht in der Kontowährung angezeigt wird */
+    function renderCurrencyBadge() {
+        var suiteRight = document.querySelector('.suite-right');
+        if (!suiteRight || getCurrency() === BASE_CURRENCY) return;
+        var badge = document.createElement('div');
+        var info = rateInfo();
+        badge.className = 'suite-currency-badge' + (info ? '' : ' missing');
+        badge.textContent = info ? info.currency : BASE_CURRENCY;
+        badge.title = info
+            ? t('settings.rate', { rate: info.rate.toLocaleString(intlLocale(), { maximumFractionDigits: 4 }), currency: info.currency, date: new Date(info.date).toLocaleDateString(intlLocale()) })
+            : t('settings.rates_missing');
+        suiteRight.insertBefore(badge, suiteRight.firstChild);
+    }
+
+    /* ── Start ── */
+
+    function ready() {
+        if (readyPromise) return readyPromise;
+        var locale = getLocale();
+        var jobs = [loadCatalog(SOURCE_LOCALE)];
+        if (locale !== SOURCE_LOCALE) jobs.push(loadCatalog(locale));
+        if (getCurrency() !== BASE_CURRENCY) jobs.push(loadRates(getCurrency()));
+        var timeout = new Promise(function (resolve) { setTimeout(resolve, READY_TIMEOUT_MS); });
+        readyPromise = Promise.race([Promise.all(jobs), timeout]).then(function () {
+            document.documentElement.lang = locale;
+            function finish() {
+                apply(document);
+                renderCurrencyBadge();
+            }
+            if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', finish);
+            else finish();
+            document.dispatchEvent(new CustomEvent('portalI18nReady', { detail: { locale: locale, currency: getCurrency() } }));
+        });
+        return readyPromise;
+    }
+
+    window.PortalI18n = {
+        LOCALES: LOCALES,
+        CURRENCIES: CURRENCIES,
+        BASE_CURRENCY: BASE_CURRENCY,
+        locale: getLocale,
+        currency: getCurrency,
+        setLocale: setLocale,
+        setCurrency: setCurrency,
+        intlLocale: intlLocale,
+        t: t,
+        apply: apply,
+        convert: convert,
+        rateInfo: rateInfo,
+        ratesAvailable: ratesAvailable,
+        ready: ready
+    };
+
+    ready();
+})();
@@ -0,0 +1,316 @@
+/**
+ * Trading Portal – Störungen
+ * Incident-Modell über dem Störungs-Feed (boerseninformationen/disruptions.json): Quelle, Dauer, betroffene Produkte.
+ * Einbindung (nach common.js und sessions.js): <script src="[tief]/shared/js/incidents.js"></script>
+ *
+ *   PortalIncidents.load().then(function (res) {
+ *       var list = PortalIncidents.filter(res.incidents, { feed: 'gcc_alerts', severity: 'critical', product: 'MES' });
+ *       var m = PortalIncidents.matchMonitor(res.incidents, rows, 'MES');   // { byRow: { <id>: [...] }, byIncident: { <key>: [...] } }
+ *   });
+ *
+ * Ende einer Störung: "resolved_at" aus dem Feed, sonst der erste Snapshot, in dem sie nicht mehr aktiv war
+ * (vom Browser beobachtet). Ohne bekanntes Ende gilt für Überschneidungen ein Fenster von DEFAULT_WINDOW_MIN
+ * Minuten ab Meldung. Info-Meldungen (Pressemitteilungen usw.) werden nie als Überschneidung geflaggt.
+ */
+(function () {
+    'use strict';
+
+    var script = document.currentScript;
+    var srcAttr = script ? script.getAttribute('src') || '' : '';
+    var idx = srcAttr.indexOf('shared/js/incidents.js');
+    var prefix = idx >= 0 ? srcAttr.substring(0, idx) : '';
+
+    var DATA_URL = prefix + 'boerseninformationen/disruptions.json';
+    var SEEN_KEY = 'ma_incidents_seen';
+    var SEEN_MAX_AGE_DAYS = 120;
+    var DEFAULT_WINDOW_MIN = 60;
+    var DOWNLOAD_SLOT_MIN = 30;             // download_analyse.json bucketet Fehler auf halbe Stunden (Chicago)
+    var EXCHANGE = 'CME';                   // Zeitbasis von trading_monitor (date_chi) und Download-Log
+
+    var FEEDS = {
+        advisory_notices: 'Advisory Notices',
+        gcc_alerts: 'GCC Alerts',
+        rss_feed: 'RSS Feed'
+    };
+
+    var SEVERITIES = {
+        critical: { label: 'Störung', badge: 'sp-badge-error', rank: 3 },
+        warning: { label: 'Warnung', badge: 'sp-badge-warning', rank: 2 },
+        info: { label: 'Info', badge: 'sp-badge-info', rank: 1 }
+    };
+
+    // Schlüsselwörter → Produkte; Ticker selbst werden separat (case-sensitiv) erkannt
+    var KEYWORDS = [
+        { re: /s&p\s*500|e-?mini\s+s&p|equity\s+index/i, products: ['ES', 'MES'] },
+        { re: /\bgold\b/i, products: ['GC', 'MGC'] },
+        { re: /\bsilver\b/i, products: ['SI', 'SIL'] },
+        { re: /\bprecious\s+metals?\b|\bmetals\s+(?:futures|markets?)\b/i, products: ['GC', 'MGC', 'SI', 'SIL'] }
+    ];
+    var MARKET_WIDE = /\bglobex\b|all\s+(?:cme\s+)?(?:markets|products)|market-wide|\bclearing\b|\biLink\b|market\s+data\s+(?:delay|outage)/i;
+
+    /* ═══════════════════════════════════════════════════════
+       NORMALISIERUNG
+       ═══════════════════════════════════════════════════════ */
+
+    function feedOf(item) {
+        if (item.feed && FEEDS[item.feed]) return item.feed;
+        var s = item.source || '';
+        if (/gcc|global command|globex control/i.test(s)) return 'gcc_alerts';
+        if (/advisory|notice/i.test(s)) return 'advisory_notices';
+        return 'rss_feed';
+    }
+
+    function keyOf(item) {
+        return item.id ? String(item.id) : (item.url || item.title) + '|' + (item.date_normalized || item.date || '');
+    }
+
+    function parseTime(v) {
+        if (!v) return null;
+        var t = Date.parse(v);
+        return isNaN(t) ? null : t;
+    }
+
+    function productsOf(item, known) {
+        if (Array.isArray(item.products) && item.products.length) {
+            return { products: item.products.filter(function (p) { return known.indexOf(p) !== -1; }), marketWide: false };
+        }
+        var text = (item.title || '') + ' ' + (item.body || '');
+        if (MARKET_WIDE.test(text)) return { products: known.slice(), marketWide: true };
+        var found = {};
+        known.forEach(function (p) {
+            if (new RegExp('\\b' + p + '\\b').test(text)) found[p] = true;
+        });
+        KEYWORDS.forEach(function (k) {
+            if (k.re.test(text)) k.products.forEach(function (p) { if (known.indexOf(p) !== -1) found[p] = true; });
+        });
+        return { products: known.filter(function (p) { return found[p]; }), marketWide: false };
+    }
+
+    function tradedSymbols() {
+        if (!window.PortalStrategy) return [];
+        var seen = {};
+        return PortalStrategy.available().map(function (s) { return s.instrument; }).filter(function (sym) {
+            if (!sym || seen[sym]) return false;
+            seen[sym] = true;
+            return true;
+        });
+    }
+
+    /* ═══════════════════════════════════════════════════════
+       BEOBACHTETE AUFLÖSUNG
+       ═══════════════════════════════════════════════════════ */
+
+    function loadSeen() {
+        try { return JSON.parse(localStorage.getItem(SEEN_KEY) || '{}'); } catch (e) { return {}; }
+    }
+
+    // Merkt sich pro Meldung, wann sie erstmals aktiv und wann sie erstmals nicht mehr aktiv war
+    function observe(data, activeKeys, allKeys) {
+        var seen = loadSeen();
+        var snapshot = parseTime(data.timestamp) || Date.now();
+        var changed = false;
+        allKeys.forEach(function (key) {
+            var s = seen[key];
+            if (activeKeys[key]) {
+                if (!s || s.resolved_at) { seen[key] = { active_since: (s && s.active_since) || snapshot }; changed = true; }
+            } else if (s && !s.resolved_at) {
+                s.resolved_at = snapshot;
+                changed = true;
+            }
+        });
+        var cutoff = Date.now() - SEEN_MAX_AGE_DAYS * 86400000;
+        Object.keys(seen).forEach(function (key) {
+            if ((seen[key].resolved_at || seen[key].active_since) < cutoff) { delete seen[key]; changed = true; }
+        });
+        if (changed) {
+            try { localStorage.setItem(SEEN_KEY, JSON.stringify(seen)); } catch (e) { /* voller Speicher – nur Anzeige ohne Dauer */ }
+        }
+        return seen;
+    }
+
+    /* ═══════════════════════════════════════════════════════
+       INCIDENTS
+       ═══════════════════════════════════════════════════════ */
+
+    /** Rohdaten von disruptions.json → { incidents, products, traded, timestamp } (neueste zuerst) */
+    function fromData(data) {
+        data = data || {};
+        var known = Array.isArray(data.products) ? data.products : [];
+        var traded = tradedSymbols();
+        var byKey = {};
+        var activeKeys = {};
+
+        ['history', 'recent', 'active'].forEach(function (list) {
+            (data[list] || []).forEach(function (item) {
+                var key = keyOf(item);
+                byKey[key] = Object.assign(byKey[key] || {}, item);
+                if (list === 'active') activeKeys[key] = true;
+            });
+        });
+
+        var keys = Object.keys(byKey);
+        var seen = observe(data, activeKeys, keys);
+        var now = Date.now();
+
+        var incidents = keys.map(function (key) {
+            var item = byKey[key];
+            var obs = seen[key] || {};
+            var start = parseTime(item.date_normalized || item.date) || obs.active_since || null;
+            var ongoing = !!activeKeys[key];
+            var end = ongoing ? null : parseTime(item.resolved_at) || obs.resolved_at || null;
+            if (end !== null && start !== null && end < start) end = start;
+            var prod = productsOf(item, known);
+            return {
+                key: key,
+                feed: feedOf(item),
+                source: item.source || '',
+                title: item.title || '',
+                body: item.body || '',
+                url: item.url || '',
+                severity: SEVERITIES[item.severity] ? item.severity : 'info',
+                start: start,
+                end: end,
+                ongoing: ongoing,
+                endKnown: ongoing || end !== null,
+                products: prod.products,
+                marketWide: prod.marketWide,
+                traded: prod.products.filter(function (p) { return traded.indexOf(p) !== -1; })
+            };
+        }).filter(function (inc) { return inc.start !== null; });
+
+        incidents.sort(function (a, b) { return b.start - a.start; });
+        incidents.forEach(function (inc) { inc.durationMin = duration(inc, now); });
+
+        return { incidents: incidents, products: known, traded: traded, timestamp: data.timestamp || null, sources: data.sources || {} };
+    }
+
+    function load() {
+        var ready = window.PortalStrategy ? PortalStrategy.ready() : Promise.resolve();
+        return ready.then(function () { return loadJSONData(DATA_URL); }).then(fromData);
+    }
+
+    /** Dauer in Minuten – laufende Störungen bis jetzt, ohne bekanntes Ende null */
+    function duration(inc, now) {
+        if (!inc.endKnown) return null;
+        return Math.max(0, ((inc.ongoing ? (now || Date.now()) : inc.end) - inc.start) / 60000);
+    }
+
+    /** Zeitfenster für Überschneidungen [von, bis] in Epoch-ms */
+    function windowOf(inc, now) {
+        var to = inc.ongoing ? (now || Date.now()) : inc.end !== null ? inc.end : inc.start + DEFAULT_WINDOW_MIN * 60000;
+        return [inc.start, to];
+    }
+
+    function flaggable(inc) {
+        return inc.severity !== 'info';
+    }
+
+    function affects(inc, symbol) {
+        return !symbol || inc.marketWide || inc.products.indexOf(symbol) !== -1;
+    }
+
+    function filter(incidents, f) {
+        f = f || {};
+        return incidents.filter(function (inc) {
+            if (f.feed && inc.feed !== f.feed) return false;
+            if (f.severity && inc.severity !== f.severity) return false;
+            if (f.product && inc.products.indexOf(f.product) === -1) return false;
+            if (f.tradedOnly && !inc.traded.length) return false;
+            if (f.from && windowOf(inc)[1] < f.from) return false;
+            return true;
+        });
+    }
+
+    /* ═══════════════════════════════════════════════════════
+       ÜBERSCHNEIDUNGEN
+       ═══════════════════════════════════════════════════════ */
+
+    function overlap(incidents, items, symbolOf, spanOf, idOf) {
+        var now = Date.now();
+        var relevant = incidents.filter(flaggable).map(function (inc) { return { inc: inc, w: windowOf(inc, now) }; });
+        var byItem = {}, byIncident = {};
+        if (!relevant.length || !window.TradingSessions) return { byItem: byItem, byIncident: byIncident };
+
+        items.forEach(function (item, i) {
+            var span = spanOf(item);
+            if (!span) return;
+            relevant.forEach(function (r) {
+                if (span[0] > r.w[1] || span[1] < r.w[0] || !affects(r.inc, symbolOf(item))) return;
+                var id = idOf(item, i);
+                (byItem[id] = byItem[id] || []).push(r.inc);
+                (byIncident[r.inc.key] = byIncident[r.inc.key] || []).push(item);
+            });
+        });
+        return { byItem: byItem, byIncident: byIncident };
+    }
+
+    /** trading_monitor-Zeilen, deren Lauf (date_chi) in ein Störungsfenster fällt; symbol = Instrument der Strategie */
+    function matchMonitor(incidents, rows, symbol) {
+        var res = overlap(incidents, rows || [],
+            function () { return symbol || null; },
+            function (r) {
+                var t = TradingSessions.parseLocal(EXCHANGE, r.date_chi);
+                return t === null ? null : [t, t];
+            },
+            function (r) { return r.id; });
+        return { byRow: res.byItem, byIncident: res.byIncident };
+    }
+
+    /** Fehler-Events aus dem IB-Download-Log (date + time in Chicago, halbstündlich) → Index im Event-Array */
+    function matchDownloads(incidents, events) {
+        var res = overlap(incidents, events || [],
+            function (e) { return e.symbol; },
+            function (e) {
+                var t = TradingSessions.parseLocal(EXCHANGE, e.date + 'T' + e.time);
+                return t === null ? null : [t, t + DOWNLOAD_SLOT_MIN * 60000];
+            },
+            function (e, i) { return i; });
+        return { byEvent: res.byItem, byIncident: res.byIncident };
+    }
+
+    /* ═══════════════════════════════════════════════════════
+       ANZEIGE
+       ═══════════════════════════════════════════════════════ */
+
+    function formatDuration(min) {
+        if (min === null || min === undefined) return '–';
+        if (min < 60) return portalText('common.age.minutes', { n: Math.round(min) }, '{n} Min.');
+        if (min < 48 * 60) return portalText('incidents.duration', { h: Math.floor(min / 60), m: Math.round(min % 60) }, '{h} Std. {m} Min.');
+        return portalText('common.age.days', { n: formatNumber(min / 1440, 1) }, '{n} Tage');
+    }
+
+    /** Bezeichnung der Stufe in der gewählten Sprache (SEVERITIES[x].label ist der de-CH-Text) */
+    function severityLabel(severity) {
+        var key = SEVERITIES[severity] ? severity : 'info';
+        return portalText('incidents.severity.' + key, null, SEVERITIES[key].label);
+    }
+
+    function severityBadge(severity) {
+        var s = SEVERITIES[severity] || SEVERITIES.info;
+        return '<span class="sp-badge ' + s.badge + '">' + severityLabel(severity) + '</span>';
+    }
+
+    /** Link auf die Störungsseite, optional direkt auf eine Meldung */
+    function pageUrl(key) {
+        return prefix + 'boerseninformationen/stoerungen.html' + (key ? '?i=' + encodeURIComponent(key) : '');
+    }
+
+    window.PortalIncidents = {
+        FEEDS: FEEDS,
+        SEVERITIES: SEVERITIES,
+        url: DATA_URL,
+        load: load,
+        fromData: fromData,
+        filter: filter,
+        duration: duration,
+        window: windowOf,
+        flaggable: flaggable,
+        matchMonitor: matchMonitor,
+        matchDownloads: matchDownloads,
+        formatDuration: formatDuration,
+        severityLabel: severityLabel,
+        severityBadge: severityBadge,
+        pageUrl: pageUrl
+    };
+
+})();
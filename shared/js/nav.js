@@ -25,49 +25,248 @@
     var prefix = navIdx >= 0 ? srcAttr.substring(0, navIdx) : '';
 
     /* ═══════════════════════════════════════════════════════
-       AUTH-CHECK – Redirect zu Login falls nicht angemeldet
+       AUTH – Token, Rollen, Sitzung
+       Identität und Rollen stammen aus dem Token (JWT-Claims) bzw.
+       aus der Antwort von /login, /verify und /refresh des Auth-Dienstes.
        ═══════════════════════════════════════════════════════ */
 
     var AUTH_URL = window.location.protocol + '//' + window.location.hostname + ':8081';
 
-    function portalLogout() {
+    var SESSION_KEY        = 'portal_session';
+    var ACTIVITY_KEY       = 'portal_last_activity';   // über alle Tabs geteilt
+    var REFRESH_BEFORE_SEC = 300;                      // Token so lange vor Ablauf still erneuern
+    var REFRESH_RETRY_SEC  = 60;
+    var IDLE_LOGOUT_MIN    = 30;                       // Standard, Auth-Dienst kann "idle_timeout_min" liefern
+    var IDLE_WARNING_SEC   = 60;
+
+    // Auth-Dienste ohne Rollen-Claim behalten den bisherigen Vollzugriff
+    var LEGACY_ROLES = ['viewer', 'analyst', 'trader'];
+
+    function decodeToken(token) {
+        try {
+            var part = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+            part += '===='.substring(0, (4 - part.length % 4) % 4);
+            var bytes = atob(part);
+            var json = decodeURIComponent(bytes.split('').map(function (c) {
+                return '%' + ('0' + c.charCodeAt(0).toString(16)).slice(-2);
+            }).join(''));
+            return JSON.parse(json) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    function readStoredSession() {
+        try { return JSON.parse(localStorage.getItem(SESSION_KEY) || '{}') || {}; } catch (e) { return {}; }
+    }
+
+    /** Aktuelle Sitzung: { username, analyst, name, roles, expiresAt, idleTimeoutMin, color } oder null */
+    function getSession() {
+        var token = localStorage.getItem('portal_token');
+        if (!token) return null;
+        var claims = decodeToken(token);
+        var stored = readStoredSession();
+        var username = claims.sub || claims.username || stored.username || localStorage.getItem('portal_user') || '';
+        var roles = claims.roles || stored.roles;
+        var exp = claims.exp ? claims.exp * 1000 : stored.expires_at ? Date.parse(stored.expires_at) : NaN;
+        return {
+            token: token,
+            username: username,
+            analyst: claims.analyst || stored.analyst || username,
+            name: claims.name || stored.name || username,
+            color: claims.color || stored.color || null,
+            roles: Array.isArray(roles) && roles.length ? roles : LEGACY_ROLES,
+            expiresAt: isNaN(exp) ? null : exp,
+            idleTimeoutMin: stored.idle_timeout_min || claims.idle_timeout_min || IDLE_LOGOUT_MIN
+        };
+    }
+
+    /** Antwort von /login, /verify oder /refresh übernehmen */
+    function storeSession(data) {
+        if (data.token) localStorage.setItem('portal_token', data.token);
+        if (data.username) localStorage.setItem('portal_user', data.username);
+        var stored = readStoredSession();
+        ['username', 'analyst', 'name', 'color', 'roles', 'expires_at', 'idle_timeout_min'].forEach(function (k) {
+            if (data[k] !== undefined) stored[k] = data[k];
+        });
+        localStorage.setItem(SESSION_KEY, JSON.stringify(stored));
+    }
+
+    /** grund: 'inaktiv' | 'abgelaufen' – wird auf der Login-Seite angezeigt */
+    function portalLogout(grund) {
         localStorage.removeItem('portal_token');
         localStorage.removeItem('portal_user');
-        window.location.href = prefix + 'login.html';
+        localStorage.removeItem(SESSION_KEY);
+        window.location.href = prefix + 'login.html' + (typeof grund === 'string' ? '?grund=' + grund : '');
     }
 
-    (function checkAuth() {
-        var token = localStorage.getItem('portal_token');
-        if (!token) {
+    function hasRole(role) {
+        var s = getSession();
+        return !!s && (s.roles.indexOf(role) !== -1 || s.roles.indexOf('admin') !== -1);
+    }
+
+    function sectionRoles(sectionId) {
+        var s = SIDEBAR.find(function (x) { return x.id === sectionId; });
+        return s && s.roles ? s.roles : null;
+    }
+
+    function canAccess(sectionId) {
+        var roles = sectionRoles(sectionId);
+        return !roles || roles.some(hasRole);
+    }
+
+    // 'trading/paper_strategie_1/…' → Bereich 'trading' (erstes Pfadsegment wie in SIDEBAR)
+    function canAccessHref(href) {
+        var first = String(href || '').replace(/^(\.\.?\/)+/, '').split(/[/?#]/)[0];
+        var section = SIDEBAR.find(function (x) { return x.href.split('/')[0] === first; });
+        return !section || canAccess(section.id);
+    }
+
+    function checkAuth() {
+        var session = getSession();
+        if (!session) {
             window.location.href = prefix + 'login.html';
-            return;
+            return false;
+        }
+        if (session.expiresAt && session.expiresAt <= Date.now()) {
+            portalLogout('abgelaufen');
+            return false;
         }
-        // Token im Hintergrund verifizieren
+        // Token im Hintergrund verifizieren; geänderte Rollen/Identität → Seite neu aufbauen
+        var before = JSON.stringify([session.analyst, session.roles]);
         fetch(AUTH_URL + '/verify', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ token: token })
+            body: JSON.stringify({ token: session.token })
         })
         .then(function(r) { return r.json(); })
         .then(function(data) {
-            if (!data.valid) portalLogout();
+            if (!data.valid) { portalLogout(); return; }
+            storeSession(data);
+            var now = getSession();
+            if (now && JSON.stringify([now.analyst, now.roles]) !== before) window.location.reload();
         })
         .catch(function() {
             // Auth-Server nicht erreichbar → Token lokal behalten (offline-Toleranz)
         });
-    })();
+        return true;
+    }
+
+    // Ohne gültige Sitzung wird nichts aufgebaut – die Weiterleitung zum Login läuft bereits
+    if (!checkAuth()) return;
+
+    /* ── Token-Refresh & Idle-Abmeldung ── */
+
+    var nextRefreshAt = 0;
+    var refreshUnsupported = false;
+    var idleWarning = null;
+    var lastActivityWrite = 0;
+
+    function lastActivity() {
+        return parseInt(localStorage.getItem(ACTIVITY_KEY), 10) || Date.now();
+    }
+
+    // Während der Idle-Warnung zählt nur der Klick auf "Angemeldet bleiben"
+    function markActivity(explicit) {
+        var now = Date.now();
+        if (idleWarning && explicit !== true) return;
+        if (explicit !== true && now - lastActivityWrite < 5000) return;
+        lastActivityWrite = now;
+        localStorage.setItem(ACTIVITY_KEY, String(now));
+        hideIdleWarning();
+    }
+
+    function refreshToken(session) {
+        nextRefreshAt = Date.now() + REFRESH_RETRY_SEC * 1000;
+        fetch(AUTH_URL + '/refresh', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ token: session.token })
+        })
+        .then(function(r) {
+            if (r.status === 404) { refreshUnsupported = true; return null; }
+            if (r.status === 401 || r.status === 403) { portalLogout('abgelaufen'); return null; }
+            if (!r.ok) throw new Error('HTTP ' + r.status);
+            return r.json();
+        })
+        .then(function(data) {
+            if (data && data.token) storeSession(data);
+        })
+        .catch(function() {
+            // Auth-Server nicht erreichbar → nach REFRESH_RETRY_SEC erneut versuchen
+        });
+    }
+
+    // Texte aus shared/i18n; ohne i18n.js bzw. vor dem Laden des Katalogs der de-CH-Text (nav.js läuft auch ohne common.js)
+    function text(key, params, fallback) {
+        if (window.PortalI18n) return PortalI18n.t(key, params, fallback);
+        return fallback.replace(/\{(\w+)\}/g, function(m, name) { return params && params[name] !== undefined ? params[name] : m; });
+    }
+
+    function showIdleWarning(seconds) {
+        if (!idleWarning) {
+            idleWarning = el('<div class="portal-idle-warning" role="alertdialog" aria-live="assertive">' +
+                '<div class="portal-idle-box">' +
+                    '<h3>' + text('nav.idle.title', null, 'Sitzung läuft ab') + '</h3>' +
+                    '<p>' + text('nav.idle.text', { n: '<strong class="portal-idle-count"></strong>' }, 'Wegen Inaktivität werden Sie in {n} Sekunden abgemeldet.') + '</p>' +
+                    '<div class="portal-idle-actions">' +
+                        '<button type="button" class="portal-idle-logout">' + text('nav.logout', null, 'Abmelden') + '</button>' +
+                        '<button type="button" class="portal-idle-stay">' + text('nav.idle.stay', null, 'Angemeldet bleiben') + '</button>' +
+                    '</div>' +
+                '</div></div>');
+            document.body.appendChild(idleWarning);
+            idleWarning.querySelector('.portal-idle-stay').addEventListener('click', function() { markActivity(true); });
+            idleWarning.querySelector('.portal-idle-logout').addEventListener('click', function() { portalLogout(); });
+            idleWarning.querySelector('.portal-idle-stay').focus();
+        }
+        idleWarning.querySelector('.portal-idle-count').textContent = seconds;
+    }
+
+    function hideIdleWarning() {
+        if (!idleWarning) return;
+        idleWarning.remove();
+        idleWarning = null;
+    }
+
+    function sessionTick() {
+        var s = getSession();
+        if (!s) { portalLogout(); return; }                // in anderem Tab abgemeldet
+        var now = Date.now();
+        if (s.expiresAt && now >= s.expiresAt) { portalLogout('abgelaufen'); return; }
+
+        var idleMs = now - lastActivity();
+        var limitMs = s.idleTimeoutMin * 60000;
+        if (idleMs >= limitMs) { portalLogout('inaktiv'); return; }
+        var warnFrom = limitMs - IDLE_WARNING_SEC * 1000;
+        if (idleMs >= warnFrom) showIdleWarning(Math.ceil((limitMs - idleMs) / 1000));
+        else hideIdleWarning();
+
+        // Nur aktive Sitzungen still verlängern – inaktive laufen bewusst aus
+        if (s.expiresAt && !refreshUnsupported && idleMs < warnFrom &&
+            s.expiresAt - now < REFRESH_BEFORE_SEC * 1000 && now >= nextRefreshAt) {
+            refreshToken(s);
+        }
+    }
+
+    function startSessionWatch() {
+        ['mousemove', 'keydown', 'click', 'scroll', 'touchstart'].forEach(function (type) {
+            document.addEventListener(type, markActivity, { passive: true, capture: true });
+        });
+        markActivity(true);
+        setInterval(sessionTick, 1000);
+    }
 
     /* ═══════════════════════════════════════════════════════
        NAV-DEFINITIONEN  –  hier alles zentral anpassen
        ═══════════════════════════════════════════════════════ */
 
-    // Icons in der linken Sidebar
+    // Icons in der linken Sidebar; "roles" begrenzt den Bereich (ohne Angabe: alle angemeldeten Benutzer)
     var SIDEBAR = [
         { id: 'home',                 href: 'home.html',                        label: 'Home',
           icon: 'M10 20v-6h4v6h5v-8h3L12 3 2 12h3v8z' },
-        { id: 'trading',              href: 'trading/index.html',               label: 'Trading',
+        { id: 'trading',              href: 'trading/index.html',               label: 'Trading',           roles: ['trader'],
           icon: 'M3.5 18.49l6-6.01 4 4L22 6.92l-1.41-1.41-7.09 7.97-4-4L2 16.99z' },
-        { id: 'datenanalysen',        href: 'datenanalysen/index.html',         label: 'Datenanalysen',
+        { id: 'datenanalysen',        href: 'datenanalysen/index.html',         label: 'Datenanalysen',     roles: ['analyst', 'trader'],
           icon: 'M19 3H5c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h14c1.1 0 2-.9 2-2V5c0-1.1-.9-2-2-2zM9 17H7v-7h2v7zm4 0h-2V7h2v10zm4 0h-2v-4h2v4z' },
         { id: 'marktanalysen',        href: 'marktanalysen/index.html',         label: 'Marktanalysen',
           icon: 'M2 19.99l7.5-7.51 4 4 7.09-7.97L22 9.92l-8.5 9.56-4-4-6 6.01-1.5-1.5zm1.5-4.5l6-6.01 4 4L22 3.92l-1.41-1.41-7.09 7.97-4-4L2 13.49l1.5 1.5z' },
@@ -77,11 +276,10 @@
           icon: 'M12 3L1 9l4 2.18v6L12 21l7-3.82v-6l2-1.09V17h2V9L12 3zm6.82 6L12 12.72 5.18 9 12 5.28 18.82 9zM17 15.99l-5 2.73-5-2.73v-3.72L12 15l5-2.73v3.72z' },
     ];
 
-    // Analysten-Accounts
-    var ANALYSTS = [
-        { id: 'swillemin', name: 'St\u00e9phane Willemin', initials: 'SW', color: '#2598C3' },
-        { id: 'rvogt',     name: 'Raphael Vogt',          initials: 'RV', color: '#F79645' }
-    ];
+    // Avatar-Farben, falls der Auth-Dienst keine "color" liefert
+    var AVATAR_COLORS = ['#2598C3', '#F79645', '#16a34a', '#8b5cf6', '#ec4899', '#0d9488'];
+
+    var ROLE_LABELS = { viewer: 'Viewer', analyst: 'Analyst', trader: 'Trader', admin: 'Admin' };
 
     /* ═══════════════════════════════════════════════════════
        HTML-BUILDER
@@ -117,15 +315,15 @@
             '<div class="suite-right">' +
             '<div class="suite-search">' +
             svg('M15.5 14h-.79l-.28-.27A6.471 6.471 0 0016 9.5 6.5 6.5 0 109.5 16c1.61 0 3.09-.59 4.23-1.57l.27.28v.79l5 4.99L20.49 19l-4.99-5zm-6 0C7.01 14 5 11.99 5 9.5S7.01 5 9.5 5 14 7.01 14 9.5 11.99 14 9.5 14z', 14) +
-            '<input type="text" placeholder="Suchen..." class="suite-search-input">' +
+            '<input type="text" placeholder="Suchen..." data-i18n-placeholder="nav.search" class="suite-search-input">' +
             '</div>' +
-            '<div class="suite-icon" title="Benachrichtigungen">' +
+            '<div class="suite-icon suite-bell" title="Benachrichtigungen" data-i18n-title="nav.notifications">' +
             svg('M12 22c1.1 0 2-.9 2-2h-4a2 2 0 002 2zm6-6v-5c0-3.07-1.63-5.64-4.5-6.32V4c0-.83-.67-1.5-1.5-1.5s-1.5.67-1.5 1.5v.68C7.64 5.36 6 7.92 6 11v5l-2 2v1h16v-1l-2-2z') +
             '</div>' +
-            '<div class="suite-icon" title="Einstellungen">' +
+            '<div class="suite-icon suite-settings" title="Einstellungen" data-i18n-title="nav.settings">' +
             svg('M19.14 12.94c.04-.3.06-.61.06-.94 0-.32-.02-.64-.07-.94l2.03-1.58a.49.49 0 00.12-.61l-1.92-3.32a.49.49 0 00-.59-.22l-2.39.96c-.5-.38-1.03-.7-1.62-.94l-.36-2.54a.484.484 0 00-.48-.41h-3.84c-.24 0-.43.17-.47.41l-.36 2.54c-.59.24-1.13.57-1.62.94l-2.39-.96a.49.49 0 00-.59.22L2.74 8.87c-.12.21-.08.47.12.61l2.03 1.58c-.05.3-.07.63-.07.94s.02.64.07.94l-2.03 1.58a.49.49 0 00-.12.61l1.92 3.32c.12.22.37.29.59.22l2.39-.96c.5.38 1.03.7 1.62.94l.36 2.54c.05.24.24.41.48.41h3.84c.24 0 .44-.17.47-.41l.36-2.54c.59-.24 1.13-.56 1.62-.94l2.39.96c.22.08.47 0 .59-.22l1.92-3.32c.12-.22.07-.47-.12-.61l-2.01-1.58zM12 15.6A3.6 3.6 0 1115.6 12 3.6 3.6 0 0112 15.6z') +
             '</div>' +
-            '<div class="suite-icon suite-logout" title="Abmelden">' +
+            '<div class="suite-icon suite-logout" title="Abmelden" data-i18n-title="nav.logout">' +
             '<svg width="18" height="18" viewBox="0 0 24 24" fill="currentColor"><path d="M17 7l-1.41 1.41L18.17 11H8v2h10.17l-2.58 2.58L17 17l5-5zM4 5h8V3H4c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h8v-2H4V5z"/></svg>' +
             '</div>' +
             '<div class="user-avatar" title="Profil">?</div>' +
@@ -134,9 +332,9 @@
     }
 
     function buildSidebar() {
-        var items = SIDEBAR.map(function (s) {
+        var items = SIDEBAR.filter(function (s) { return canAccess(s.id); }).map(function (s) {
             var cls = s.id === activeId ? ' class="active"' : '';
-            return '<li><a href="' + prefix + s.href + '"' + cls + ' title="' + s.label + '">' +
+            return '<li><a href="' + prefix + s.href + '"' + cls + ' title="' + s.label + '" data-i18n-title="nav.section.' + s.id + '">' +
                 '<span class="nav-icon">' + svg(s.icon) + '</span>' +
                 '</a></li>';
         }).join('');
@@ -150,8 +348,27 @@
        ACCOUNT & THEME (portal-weit)
        ═══════════════════════════════════════════════════════ */
 
-    function getUser()  { return localStorage.getItem('ma_user') || ''; }
-    function setUser(id){ localStorage.setItem('ma_user', id); }
+    // Analysten-ID aus dem Token – Schlüssel für alle analystenbezogenen Einstellungen (ma_*_<id>)
+    function getUser() {
+        var s = getSession();
+        return s ? s.analyst : '';
+    }
+
+    function getProfile() {
+        var s = getSession();
+        if (!s) return { id: '', name: 'Nicht angemeldet', initials: '?', color: '#718096', roles: [] };
+        var initials = s.name.split(/[\s._-]+/).filter(Boolean).map(function (w) { return w.charAt(0); }).join('').substring(0, 2).toUpperCase();
+        var hash = 0;
+        for (var i = 0; i < s.analyst.length; i++) hash = (hash * 31 + s.analyst.charCodeAt(i)) >>> 0;
+        return {
+            id: s.analyst,
+            name: s.name,
+            initials: initials || '?',
+            color: s.color || AVATAR_COLORS[hash % AVATAR_COLORS.length],
+            roles: s.roles,
+            expiresAt: s.expiresAt
+        };
+    }
 
     function getTheme() {
         var userId = getUser();
@@ -177,65 +394,55 @@
     function initAccountDropdown(avatar, suiteRight) {
         var dd = document.createElement('div');
         dd.className = 'portal-dropdown portal-dd-account';
-        dd.innerHTML = '<div class="portal-dropdown-header">Analyst w\u00e4hlen</div>' +
-            ANALYSTS.map(function(a) {
-                return '<div class="portal-dropdown-item" data-id="' + a.id + '">' +
-                    '<div class="dd-avatar" style="background:' + a.color + '">' + a.initials + '</div>' +
-                    '<span>' + a.name + '</span>' + CHECK_SVG + '</div>';
-            }).join('');
         suiteRight.appendChild(dd);
 
-        function updateAvatar() {
-            var userId = getUser();
-            var analyst = ANALYSTS.find(function(a) { return a.id === userId; });
-            if (analyst) {
-                avatar.textContent = analyst.initials;
-                avatar.style.background = analyst.color;
-                avatar.title = analyst.name;
-            } else {
-                avatar.textContent = '?';
-                avatar.style.background = '#718096';
-                avatar.title = 'Nicht angemeldet';
-            }
-        }
-
-        function markActive() {
-            var userId = getUser();
-            dd.querySelectorAll('.portal-dropdown-item').forEach(function(opt) {
-                opt.classList.toggle('active', opt.getAttribute('data-id') === userId);
-            });
+        function render() {
+            var p = getProfile();
+            avatar.textContent = p.initials;
+            avatar.style.background = p.color;
+            avatar.title = p.name;
+            var locale = window.PortalI18n ? PortalI18n.intlLocale() : 'de-CH';
+            var until = p.expiresAt
+                ? new Date(p.expiresAt).toLocaleString(locale, { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' })
+                : null;
+            dd.innerHTML = '<div class="portal-dropdown-header" data-i18n="nav.signed_in_as">Angemeldet als</div>' +
+                '<div class="portal-dd-identity">' +
+                    '<div class="dd-avatar" style="background:' + p.color + '">' + p.initials + '</div>' +
+                    '<div><div class="portal-dd-name"></div>' +
+                    '<div class="portal-dd-roles">' + p.roles.map(function (r) {
+                        return '<span class="portal-role-badge" data-i18n="nav.role.' + r + '">' + (ROLE_LABELS[r] || r) + '</span>';
+                    }).join('') + '</div></div>' +
+                '</div>' +
+                (until ? '<div class="portal-dd-session"><span data-i18n="nav.session_until">Sitzung gültig bis</span> ' + until + '</div>' : '') +
+                '<div class="portal-dropdown-item" data-action="logout">' +
+                    '<div class="dd-icon"><svg width="18" height="18" viewBox="0 0 24 24" fill="currentColor"><path d="M17 7l-1.41 1.41L18.17 11H8v2h10.17l-2.58 2.58L17 17l5-5zM4 5h8V3H4c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h8v-2H4V5z"/></svg></div>' +
+                    '<span data-i18n="nav.logout">Abmelden</span>' +
+                '</div>';
+            dd.querySelector('.portal-dd-name').textContent = p.name;
+            if (window.PortalI18n) PortalI18n.apply(dd);
         }
 
         avatar.addEventListener('click', function(e) {
             e.stopPropagation();
             var wasOpen = dd.classList.contains('open');
             closeAllDropdowns();
-            if (!wasOpen) { dd.classList.add('open'); markActive(); }
+            if (!wasOpen) { render(); dd.classList.add('open'); }
         });
 
-        dd.querySelectorAll('.portal-dropdown-item').forEach(function(opt) {
-            opt.addEventListener('click', function(e) {
-                e.stopPropagation();
-                setUser(opt.getAttribute('data-id'));
-                dd.classList.remove('open');
-                updateAvatar();
-                // Apply user's saved theme
-                setTheme(getTheme());
-                updateThemeMarks();
-                // Notify page-specific code
-                document.dispatchEvent(new Event('portalUserChanged'));
-            });
+        dd.addEventListener('click', function(e) {
+            e.stopPropagation();
+            if (e.target.closest('[data-action="logout"]')) portalLogout();
         });
 
-        updateAvatar();
-        return { updateAvatar: updateAvatar };
+        render();
+        return { updateAvatar: render };
     }
 
     var _themeDd = null;
     function updateThemeMarks() {
         if (!_themeDd) return;
         var current = getTheme();
-        _themeDd.querySelectorAll('.portal-dropdown-item').forEach(function(opt) {
+        _themeDd.querySelectorAll('.portal-dropdown-item[data-theme]').forEach(function(opt) {
             opt.classList.toggle('active', opt.getAttribute('data-theme') === current);
         });
     }
@@ -244,15 +451,16 @@
         var dd = document.createElement('div');
         dd.className = 'portal-dropdown portal-dd-settings';
         dd.style.minWidth = '200px';
-        dd.innerHTML = '<div class="portal-dropdown-header">Design</div>' +
+        dd.innerHTML = '<div class="portal-dropdown-header" data-i18n="settings.design">Design</div>' +
             '<div class="portal-dropdown-item" data-theme="light">' +
                 '<div class="dd-icon"><svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="5"/><line x1="12" y1="1" x2="12" y2="3"/><line x1="12" y1="21" x2="12" y2="23"/><line x1="4.22" y1="4.22" x2="5.64" y2="5.64"/><line x1="18.36" y1="18.36" x2="19.78" y2="19.78"/><line x1="1" y1="12" x2="3" y2="12"/><line x1="21" y1="12" x2="23" y2="12"/><line x1="4.22" y1="19.78" x2="5.64" y2="18.36"/><line x1="18.36" y1="5.64" x2="19.78" y2="4.22"/></svg></div>' +
-                '<span>Light</span>' + CHECK_SVG +
+                '<span data-i18n="settings.light">Light</span>' + CHECK_SVG +
             '</div>' +
             '<div class="portal-dropdown-item" data-theme="dark">' +
                 '<div class="dd-icon"><svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 12.79A9 9 0 1 1 11.21 3 7 7 0 0 0 21 12.79z"/></svg></div>' +
-                '<span>Dark Mode</span>' + CHECK_SVG +
-            '</div>';
+                '<span data-i18n="settings.dark">Dark Mode</span>' + CHECK_SVG +
+            '</div>' +
+            '<div class="portal-dd-i18n"></div>';
         suiteRight.appendChild(dd);
         _themeDd = dd;
 
@@ -260,10 +468,19 @@
             e.stopPropagation();
             var wasOpen = dd.classList.contains('open');
             closeAllDropdowns();
-            if (!wasOpen) { dd.classList.add('open'); updateThemeMarks(); }
+            if (!wasOpen) { renderI18nSettings(dd.querySelector('.portal-dd-i18n')); dd.classList.add('open'); updateThemeMarks(); }
         });
 
-        dd.querySelectorAll('.portal-dropdown-item').forEach(function(opt) {
+        // Sprache und Anzeigewährung (shared/js/i18n.js) – ein Wechsel lädt die Seite neu
+        dd.querySelector('.portal-dd-i18n').addEventListener('click', function(e) {
+            e.stopPropagation();
+            var opt = e.target.closest('.portal-dropdown-item');
+            if (!opt || opt.classList.contains('disabled') || !window.PortalI18n) return;
+            if (opt.hasAttribute('data-locale')) PortalI18n.setLocale(opt.getAttribute('data-locale'));
+            else PortalI18n.setCurrency(opt.getAttribute('data-currency'));
+        });
+
+        dd.querySelectorAll('.portal-dropdown-item[data-theme]').forEach(function(opt) {
             opt.addEventListener('click', function(e) {
                 e.stopPropagation();
                 setTheme(opt.getAttribute('data-theme'));
@@ -273,40 +490,208 @@
         });
     }
 
+    function renderI18nSettings(box) {
+        var i18n = window.PortalI18n;
+        if (!i18n) { box.innerHTML = ''; return; }
+        function item(attr, id, icon, label, active) {
+            return '<div class="portal-dropdown-item' + (active ? ' active' : '') + '" ' + attr + '="' + id + '">' +
+                '<div class="dd-icon dd-icon-text">' + icon + '</div><span>' + label + '</span>' + CHECK_SVG + '</div>';
+        }
+        var info = i18n.rateInfo();
+        var note = '';
+        if (i18n.currency() !== i18n.BASE_CURRENCY) {
+            note = info
+                ? i18n.t('settings.rate', { rate: info.rate.toLocaleString(i18n.intlLocale(), { maximumFractionDigits: 4 }), currency: info.currency, date: new Date(info.date).toLocaleDateString(i18n.intlLocale()) })
+                : i18n.t('settings.rates_missing');
+        }
+        box.innerHTML = '<div class="portal-dropdown-header">' + i18n.t('settings.language') + '</div>' +
+            i18n.LOCALES.map(function(l) { return item('data-locale', l.id, l.short, l.label, l.id === i18n.locale()); }).join('') +
+            '<div class="portal-dropdown-header">' + i18n.t('settings.currency') + '</div>' +
+            i18n.CURRENCIES.map(function(c) {
+                return item('data-currency', c.id, c.symbol, c.id + ' \u2013 ' + i18n.t('currency.' + c.id), c.id === i18n.currency());
+            }).join('') +
+            (note ? '<div class="portal-dd-session">' + note + '</div>' : '');
+
+        // Währungen ohne Kurse in fx_rates.json sichtbar sperren statt still in USD anzuzeigen
+        i18n.ratesAvailable().then(function(available) {
+            box.querySelectorAll('.portal-dropdown-item[data-currency]').forEach(function(opt) {
+                if (available[opt.getAttribute('data-currency')]) return;
+                opt.classList.add('disabled');
+                opt.title = i18n.t('settings.rates_missing');
+                opt.querySelector('span').insertAdjacentHTML('beforeend', ' <span class="dd-hint">' + i18n.t('settings.no_rates') + '</span>');
+            });
+        });
+    }
+
     /* ═══════════════════════════════════════════════════════
        SEARCH
        ═══════════════════════════════════════════════════════ */
 
-    var SEARCH_INDEX = [
-        { title: 'Home',                  desc: 'Trading Portal \u00dcbersicht',                  href: 'home.html',                                    section: 'Seiten' },
-        { title: 'Trading',               desc: 'Paper Strategie 1 \u2013 MES Futures',           href: 'trading/index.html',                           section: 'Seiten' },
-        { title: 'Datenanalysen',          desc: 'Interactive Brokers Fehleranalyse',              href: 'datenanalysen/index.html',                     section: 'Seiten' },
-        { title: 'Marktanalysen',          desc: '\u00dcbersicht aller Marktanalysen',             href: 'marktanalysen/index.html',                     section: 'Seiten' },
-        { title: 'B\u00f6rseninformationen', desc: 'CME/GLOBEX, NYSE',                            href: 'boerseninformationen/index.html',              section: 'Seiten' },
-        { title: 'Research',               desc: 'Forschungsartikel & Studien',                   href: 'research/index.html',                          section: 'Seiten' },
-        { title: 'W\u00e4hrungsanalyse',   desc: 'DXY, EUR/USD, Wechselkurse',                   href: 'marktanalysen/waehrungsanalyse/index.html',    section: 'Marktanalysen' },
-        { title: 'Zinskurvenanalyse',      desc: 'Yield Curve, Spreads, Inversionen',             href: 'marktanalysen/zinskurve/index.html',           section: 'Marktanalysen' },
-        { title: 'Inflationsanalyse',      desc: 'CPI, PCE, Inflationserwartungen',               href: 'marktanalysen/inflation/index.html',           section: 'Marktanalysen' },
-        { title: 'TMS2 \u2013 Geldmenge', desc: 'True Money Supply, Geldmengenaggregate',        href: 'marktanalysen/tms2/index.html',                section: 'Marktanalysen' },
-        { title: 'Employmentanalyse',      desc: 'NFP, Unemployment, Arbeitsmarkt',               href: 'marktanalysen/employment/index.html',          section: 'Marktanalysen' },
-        { title: 'Loananalyse',            desc: 'Bankkredite, Kreditwachstum',                   href: 'marktanalysen/loans/index.html',               section: 'Marktanalysen' },
-        { title: 'Produktionszyklus',      desc: 'ISM, PMI, Industrieproduktion',                 href: 'marktanalysen/production/index.html',          section: 'Marktanalysen' },
-        { title: 'Elektrizit\u00e4t',      desc: 'Stromverbrauch & Produktion',                   href: 'marktanalysen/electricity/index.html',         section: 'Marktanalysen' },
-        { title: 'L\u00f6hne',             desc: 'Lohnentwicklung, Average Hourly Earnings',      href: 'marktanalysen/wages/index.html',               section: 'Marktanalysen' },
-        { title: 'Credit Spreads',         desc: 'Investment Grade, High Yield, OAS',             href: 'marktanalysen/credit_spreads/index.html',      section: 'Marktanalysen' },
-        { title: 'Demographie',            desc: 'Bev\u00f6lkerungsentwicklung, Altersstruktur',   href: 'marktanalysen/demographics/index.html',        section: 'Marktanalysen' },
-        { title: 'Housing',                desc: 'Immobilienmarkt, Housing Starts',               href: 'marktanalysen/housing/index.html',             section: 'Marktanalysen' },
-        { title: 'Liquidit\u00e4t',        desc: 'Fed Bilanz, Reserven, RRP',                     href: 'marktanalysen/liquidity/index.html',           section: 'Marktanalysen' },
-        { title: 'Financial Conditions',   desc: 'FCI, Finanzkonditionen',                        href: 'marktanalysen/financial_conditions/index.html', section: 'Marktanalysen' },
-        { title: 'Sentiment',              desc: 'AAII, Put/Call, VIX, Fear & Greed',             href: 'marktanalysen/sentiment/index.html',           section: 'Marktanalysen' },
-        { title: 'Valuation',              desc: 'P/E, CAPE, Bewertungskennzahlen',               href: 'marktanalysen/valuation/index.html',           section: 'Marktanalysen' },
-        { title: 'Fiskalpolitik',          desc: 'Staatsausgaben, Defizit, Schulden',             href: 'marktanalysen/fiscal/index.html',              section: 'Marktanalysen' },
-        { title: 'Konsum',                 desc: 'Retail Sales, Konsumausgaben',                  href: 'marktanalysen/consumption/index.html',         section: 'Marktanalysen' },
-        { title: 'Bauwirtschaft',          desc: 'Construction Spending, Permits',                href: 'marktanalysen/construction/index.html',        section: 'Marktanalysen' },
-        { title: 'Gewinnmargen',           desc: 'Profit Margins, Unternehmensgewinne',           href: 'marktanalysen/profit_margins/index.html',      section: 'Marktanalysen' },
-        { title: 'Investitionen',          desc: 'CapEx, Business Investment',                    href: 'marktanalysen/investment/index.html',          section: 'Marktanalysen' },
-        { title: 'Futures Finanzierung',   desc: 'COT, Margin Debt, Futures-Positionierung',     href: 'marktanalysen/futures_financing/index.html',   section: 'Marktanalysen' }
-    ];
+    // Generiert von tools/build_search_index.js aus Seiten-Register, Kachel-Tags, Chart-Titeln und Research
+    var SEARCH_INDEX_URL = 'shared/config/search_index.json';
+    var SEARCH_MAX_PER_SECTION = 8;
+    var SEARCH_SECTION_BONUS = { 'Seiten': 4, 'Trading': 3, 'Marktanalysen': 3 };    // Seiten vor einzelnen Charts
+
+    var searchIndex = null;
+    var searchIndexPromise = null;
+
+    /** Kleinbuchstaben ohne Akzente; Umlaute wie in URLs und Ordnernamen (ä → ae) */
+    function normalizeSearch(str) {
+        return String(str || '').toLowerCase()
+            .replace(/ä/g, 'ae').replace(/ö/g, 'oe').replace(/ü/g, 'ue').replace(/ß/g, 'ss')
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    }
+
+    function searchWords(str) {
+        return normalizeSearch(str).split(/[^a-z0-9]+/).filter(Boolean);
+    }
+
+    function prepareEntry(e) {
+        return {
+            title: e.title, desc: e.desc || '', href: e.href, section: e.section || 'Seiten',
+            _keywordsRaw: (e.keywords || '').split(/\s+/),
+            _title: normalizeSearch(e.title),
+            _titleWords: searchWords(e.title),
+            _keywords: searchWords((e.keywords || '') + ' ' + (e.section || '')),     // "research api" findet Beiträge
+            _desc: normalizeSearch(e.desc)
+        };
+    }
+
+    function loadSearchIndex() {
+        if (!searchIndexPromise) {
+            searchIndexPromise = fetch(prefix + SEARCH_INDEX_URL, { cache: 'no-cache' })
+                .then(function (r) {
+                    if (!r.ok) throw new Error('HTTP ' + r.status);
+                    return r.json();
+                })
+                .then(function (data) { return data.entries || []; })
+                .catch(function (err) {
+                    // Ohne generierten Index bleibt wenigstens die Bereichsnavigation durchsuchbar
+                    console.warn('Suchindex nicht verfügbar, nur Bereiche:', err.message);
+                    return SIDEBAR.map(function (s) { return { title: s.label, href: s.href, section: 'Seiten' }; });
+                })
+                .then(function (entries) {
+                    searchIndex = entries.map(prepareEntry);
+                    return searchIndex;
+                });
+        }
+        return searchIndexPromise;
+    }
+
+    /** Levenshtein-Distanz mit Abbruch, sobald max überschritten ist */
+    function editDistance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+        var prev = [], cur, i, j;
+        for (j = 0; j <= b.length; j++) prev[j] = j;
+        for (i = 1; i <= a.length; i++) {
+            cur = [i];
+            var rowMin = i;
+            for (j = 1; j <= b.length; j++) {
+                cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+                if (cur[j] < rowMin) rowMin = cur[j];
+            }
+            if (rowMin > max) return max + 1;
+            prev = cur;
+        }
+        return prev[b.length];
+    }
+
+    /** Abkürzung aus Wortanfängen, z.B. "fci" → "Financial Conditions Index" */
+    function isAcronym(token, words) {
+        return token.length >= 2 && words.length >= token.length &&
+            words.map(function (w) { return w[0]; }).join('').indexOf(token) !== -1;
+    }
+
+    /** Erstes Wort mit Tippfehler-Treffer (1 Fehler ab 4, 2 Fehler ab 9 Zeichen) */
+    function fuzzyWord(token, words) {
+        if (token.length < 4) return null;
+        var max = token.length >= 9 ? 2 : 1;
+        for (var i = 0; i < words.length; i++) {
+            var w = words[i];
+            if (editDistance(token, w, max) <= max) return w;
+            if (w.length > token.length && editDistance(token, w.substring(0, token.length), max) <= max) return w;   // Wortanfang
+        }
+        return null;
+    }
+
+    /** Punkte eines Suchbegriffs für einen Eintrag, 0 = kein Treffer */
+    function scoreToken(token, e) {
+        var i;
+        for (i = 0; i < e._titleWords.length; i++) {
+            if (e._titleWords[i] === token) return { score: 12 };
+            if (e._titleWords[i].indexOf(token) === 0) return { score: 10 };
+        }
+        if (e._title.indexOf(token) !== -1) return { score: 7 };
+        for (i = 0; i < e._keywords.length; i++) {
+            if (e._keywords[i] === token) return { score: 8, hit: e._keywords[i] };
+        }
+        for (i = 0; i < e._keywords.length; i++) {
+            if (e._keywords[i].indexOf(token) === 0) return { score: 5, hit: e._keywords[i] };
+        }
+        if (e._desc.indexOf(token) !== -1) return { score: 3 };
+        if (fuzzyWord(token, e._titleWords)) return { score: 4 };
+        var kw = fuzzyWord(token, e._keywords);
+        if (kw) return { score: 3, hit: kw };
+        if (isAcronym(token, e._titleWords)) return { score: 2 };
+        return null;
+    }
+
+    /** Alle Begriffe müssen treffen; Rangfolge nach Punkten, dann kürzerer Titel */
+    function rankSearch(query, entries) {
+        var tokens = searchWords(query);
+        if (!tokens.length) return [];
+        var whole = normalizeSearch(query.trim());
+        var out = [];
+        entries.forEach(function (e) {
+            if (!canAccessHref(e.href)) return;
+            var score = 0, hits = [];
+            for (var i = 0; i < tokens.length; i++) {
+                var r = scoreToken(tokens[i], e);
+                if (!r) return;
+                score += r.score;
+                var raw = r.hit && e._keywordsRaw.find(function (w) { return normalizeSearch(w).indexOf(r.hit) !== -1; });
+                if (raw && hits.indexOf(raw) === -1) hits.push(raw);
+            }
+            if (e._title === whole) score += 20;
+            else if (e._title.indexOf(whole) === 0) score += 6;
+            score += SEARCH_SECTION_BONUS[e.section] || 0;
+            out.push({ entry: e, score: score, hits: hits });
+        });
+        out.sort(function (a, b) {
+            return b.score - a.score || a.entry.title.length - b.entry.title.length;
+        });
+        return out;
+    }
+
+    function escapeHtml(str) {
+        return String(str).replace(/[&<>"]/g, function (c) {
+            return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c];
+        });
+    }
+
+    /** Wörtliche Vorkommen der Suchbegriffe markieren (auf dem Rohtext, danach escapen) */
+    function highlight(text, query) {
+        var lower = String(text).toLowerCase();
+        var ranges = [];
+        query.toLowerCase().split(/\s+/).filter(Boolean).forEach(function (t) {
+            for (var i = lower.indexOf(t); i !== -1; i = lower.indexOf(t, i + t.length)) ranges.push([i, i + t.length]);
+        });
+        ranges.sort(function (a, b) { return a[0] - b[0]; });
+        var html = '', pos = 0;
+        ranges.forEach(function (r) {
+            if (r[0] < pos) return;
+            html += escapeHtml(text.substring(pos, r[0])) + '<mark>' + escapeHtml(text.substring(r[0], r[1])) + '</mark>';
+            pos = r[1];
+        });
+        return html + escapeHtml(text.substring(pos));
+    }
+
+    /** Icon des Bereichs, zu dem ein Treffer gehört */
+    function searchIcon(href) {
+        var first = href.split(/[/?#]/)[0];
+        var section = SIDEBAR.find(function (s) { return s.href.split('/')[0] === first; });
+        return section ? section.icon : 'M15.5 14h-.79l-.28-.27A6.471 6.471 0 0016 9.5 6.5 6.5 0 109.5 16c1.61 0 3.09-.59 4.23-1.57l.27.28v.79l5 4.99L20.49 19l-4.99-5zm-6 0C7.01 14 5 11.99 5 9.5S7.01 5 9.5 5 14 7.01 14 9.5 11.99 14 9.5 14z';
+    }
 
     function initSearch(searchContainer) {
         var input = searchContainer.querySelector('.suite-search-input');
@@ -320,12 +705,6 @@
 
         var activeIdx = -1;
 
-        function highlight(text, query) {
-            if (!query) return text;
-            var escaped = query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-            return text.replace(new RegExp('(' + escaped + ')', 'gi'), '<mark>$1</mark>');
-        }
-
         function search(query) {
             if (!query || query.length < 1) {
                 resultsDiv.classList.remove('open');
@@ -334,11 +713,14 @@
                 return;
             }
 
-            var q = query.toLowerCase();
-            var matches = SEARCH_INDEX.filter(function(item) {
-                return item.title.toLowerCase().indexOf(q) !== -1 ||
-                       item.desc.toLowerCase().indexOf(q) !== -1;
-            });
+            if (!searchIndex) {
+                loadSearchIndex().then(function () {
+                    if (input.value.trim() === query) search(query);
+                });
+                return;
+            }
+
+            var matches = rankSearch(query, searchIndex);
 
             if (matches.length === 0) {
                 resultsDiv.innerHTML = '<div class="search-results-section">Keine Ergebnisse</div>';
@@ -347,25 +729,28 @@
                 return;
             }
 
-            // Group by section
-            var sections = {};
+            // Nach Bereich gruppieren, Bereiche in der Reihenfolge ihres besten Treffers
+            var sections = {}, order = [];
             matches.forEach(function(m) {
-                if (!sections[m.section]) sections[m.section] = [];
-                sections[m.section].push(m);
+                var sec = m.entry.section;
+                if (!sections[sec]) { sections[sec] = []; order.push(sec); }
+                if (sections[sec].length < SEARCH_MAX_PER_SECTION) sections[sec].push(m);
             });
 
             var html = '';
-            var sectionKeys = Object.keys(sections);
-            sectionKeys.forEach(function(sec) {
-                html += '<div class="search-results-section">' + sec + '</div>';
-                sections[sec].forEach(function(item) {
-                    html += '<a class="search-result" href="' + prefix + item.href + '">' +
-                        '<div class="search-result-icon">' +
-                        svg('M15.5 14h-.79l-.28-.27A6.471 6.471 0 0016 9.5 6.5 6.5 0 109.5 16c1.61 0 3.09-.59 4.23-1.57l.27.28v.79l5 4.99L20.49 19l-4.99-5zm-6 0C7.01 14 5 11.99 5 9.5S7.01 5 9.5 5 14 7.01 14 9.5 11.99 14 9.5 14z', 16) +
-                        '</div>' +
+            order.forEach(function(sec) {
+                html += '<div class="search-results-section">' + escapeHtml(sec) + '</div>';
+                sections[sec].forEach(function(m) {
+                    var item = m.entry;
+                    var desc = highlight(item.desc, query);
+                    if (m.hits.length) {
+                        desc += (desc ? ' · ' : '') + '<span class="search-result-hit">' + escapeHtml(m.hits.join(', ')) + '</span>';
+                    }
+                    html += '<a class="search-result" href="' + escapeHtml(prefix + item.href) + '">' +
+                        '<div class="search-result-icon">' + svg(searchIcon(item.href), 16) + '</div>' +
                         '<div class="search-result-text">' +
                         '<div class="search-result-title">' + highlight(item.title, query) + '</div>' +
-                        '<div class="search-result-desc">' + highlight(item.desc, query) + '</div>' +
+                        '<div class="search-result-desc">' + desc + '</div>' +
                         '</div></a>';
                 });
             });
@@ -401,9 +786,9 @@
                 e.preventDefault();
                 activeIdx = Math.max(activeIdx - 1, 0);
                 updateActive();
-            } else if (e.key === 'Enter' && activeIdx >= 0 && items[activeIdx]) {
+            } else if (e.key === 'Enter') {
                 e.preventDefault();
-                items[activeIdx].click();
+                items[Math.max(activeIdx, 0)].click();          // ohne Auswahl: bester Treffer
             } else if (e.key === 'Escape') {
                 resultsDiv.classList.remove('open');
                 resultsDiv.innerHTML = '';
@@ -413,6 +798,7 @@
         });
 
         input.addEventListener('focus', function() {
+            loadSearchIndex();
             if (input.value.trim()) search(input.value.trim());
         });
 
@@ -424,6 +810,27 @@
         });
     }
 
+    /* ═══════════════════════════════════════════════════════
+       DEEP-LINKS  –  "#chart=<id>" aus der Suche
+       ═══════════════════════════════════════════════════════ */
+
+    function revealChart() {
+        var id = new URLSearchParams(window.location.hash.substring(1)).get('chart');
+        var el = id && document.getElementById(id);
+        if (!el) return;
+        var target = el.closest('.chart-container') || el;
+        target.classList.add('search-target');
+        target.scrollIntoView({ block: 'start', behavior: 'smooth' });
+        setTimeout(function () { target.classList.remove('search-target'); }, 2500);
+    }
+
+    function initDeepLinks() {
+        // Charts werden erst nach dem Laden gezeichnet und verschieben das Layout – danach scrollen
+        if (document.readyState === 'complete') setTimeout(revealChart, 300);
+        else window.addEventListener('load', function () { setTimeout(revealChart, 300); });
+        window.addEventListener('hashchange', function () { setTimeout(revealChart, 50); });
+    }
+
     /* ═══════════════════════════════════════════════════════
        INJECTION
        ═══════════════════════════════════════════════════════ */
@@ -431,6 +838,12 @@
     var layout = document.querySelector('.layout');
     if (!layout) return;
 
+    // Bereich ohne passende Rolle → zurück auf Home mit Hinweis
+    if (!canAccess(activeId)) {
+        window.location.replace(prefix + 'home.html?kein_zugriff=' + encodeURIComponent(activeId));
+        return;
+    }
+
     var parent = layout.parentNode;
 
     // Suite Bar (ganz oben)
@@ -441,7 +854,7 @@
 
     // Account & Settings dropdowns
     var avatar = document.querySelector('.user-avatar');
-    var settingsIcon = document.querySelector('.suite-icon[title="Einstellungen"]');
+    var settingsIcon = document.querySelector('.suite-settings');
     var suiteRight = document.querySelector('.suite-right');
     if (suiteRight) suiteRight.style.position = 'relative';
 
@@ -467,10 +880,54 @@
     // Apply saved theme on load
     setTheme(getTheme());
 
+    // Seiteninhalte mit data-roles="trader analyst" nur für passende Rollen
+    document.querySelectorAll('[data-roles]').forEach(function(node) {
+        var allowed = node.getAttribute('data-roles').split(/\s+/).some(hasRole);
+        if (!allowed) node.style.display = 'none';
+    });
+
+    var denied = new URLSearchParams(window.location.search).get('kein_zugriff');
+    var deniedSection = denied && SIDEBAR.find(function(s) { return s.id === denied; });
+    var main = document.querySelector('.main-content');
+    if (deniedSection && main) {
+        var notice = el('<div class="portal-access-notice"></div>');
+        notice.textContent = 'Kein Zugriff auf \u00ab' + deniedSection.label + '\u00bb \u2013 Ihre Rolle (' +
+            getProfile().roles.map(function(r) { return ROLE_LABELS[r] || r; }).join(', ') + ') ist daf\u00fcr nicht freigeschaltet.';
+        main.insertBefore(notice, main.firstChild);
+    }
+
+    startSessionWatch();
+    initDeepLinks();
+
     // Expose helpers for page-specific scripts
     window.portalGetUser = getUser;
-    window.portalSetUser = setUser;
-    window.portalAnalysts = ANALYSTS;
+    window.portalAnalysts = [getProfile()];
     window.portalLogout = portalLogout;
+    window.PortalAuth = {
+        session: getSession,
+        profile: getProfile,
+        hasRole: hasRole,
+        canAccess: canAccess,
+        canAccessHref: canAccessHref,
+        logout: portalLogout
+    };
+
+    // Sprache/Anzeigewährung: Seiten mit Beträgen binden i18n.js direkt nach nav.js ein, alle übrigen erhalten es hier
+    document.addEventListener('DOMContentLoaded', function() {
+        if (window.PortalI18n) return;
+        var i18nScript = document.createElement('script');
+        i18nScript.src = prefix + 'shared/js/i18n.js';
+        document.body.appendChild(i18nScript);
+    });
+
+    // Alerting: Regeln prüfen und Benachrichtigungs-Glocke befüllen
+    var alertsScript = document.createElement('script');
+    alertsScript.src = prefix + 'shared/js/alerts.js';
+    document.body.appendChild(alertsScript);
+
+    // Chart-Annotationen und Notiz-Feed der Seite
+    var annotationsScript = document.createElement('script');
+    annotationsScript.src = prefix + 'shared/js/annotations.js';
+    document.body.appendChild(annotationsScript);
 
 })();
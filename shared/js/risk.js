@@ -0,0 +1,259 @@
+/**
+ * Trading Portal – Risk Metrics
+ * Risiko-Kennzahlen für beliebige Strategie-Historien (Drawdown, Volatilität, Sharpe/Sortino/Calmar, Beta).
+ * Einbindung: <script src="[tief]/shared/js/risk.js"></script>
+ *
+ *   var risk = RiskMetrics.compute(history, {
+ *       dateKey: 'datum',                 // "YYYY-MM-DD HH:MM:SS" oder ISO
+ *       valueKey: 'konto_wert_pct',       // Strategie in % seit Start (valueType 'pct') oder absolut ('level')
+ *       benchmarkKey: 'buy_hold_pct',     // optional, gleicher valueType
+ *       valueType: 'pct',
+ *       riskFreeRate: 0                   // % p.a.
+ *   });
+ *   RiskMetrics.renderMonthlyHeatmap(document.getElementById('heatmap'), risk.monthly);
+ *
+ * Mehrere Einträge pro Tag werden auf den letzten Wert des Kalendertages reduziert.
+ */
+(function () {
+    'use strict';
+
+    var TRADING_DAYS = 252;
+
+    /* ═══════════════════════════════════════════════════════
+       HILFSFUNKTIONEN
+       ═══════════════════════════════════════════════════════ */
+
+    function mean(arr) {
+        return arr.length ? arr.reduce(function (s, v) { return s + v; }, 0) / arr.length : 0;
+    }
+
+    function stdev(arr) {
+        if (arr.length < 2) return 0;
+        var m = mean(arr);
+        return Math.sqrt(arr.reduce(function (s, v) { return s + (v - m) * (v - m); }, 0) / (arr.length - 1));
+    }
+
+    function daysBetween(a, b) {
+        return Math.round((Date.parse(b) - Date.parse(a)) / 86400000);
+    }
+
+    function toIndex(value, valueType) {
+        return valueType === 'pct' ? 1 + value / 100 : value;
+    }
+
+    /* ═══════════════════════════════════════════════════════
+       ZEITREIHEN
+       ═══════════════════════════════════════════════════════ */
+
+    /** Tagesreihe [{ date: 'YYYY-MM-DD', value, benchmark }] – Indexwerte (Start ≙ Faktor, nicht %) */
+    function dailySeries(history, opts) {
+        var byDay = {};
+        history.forEach(function (h) {
+            var raw = h[opts.dateKey];
+            var v = h[opts.valueKey];
+            if (!raw || v === null || v === undefined || isNaN(v)) return;
+            var stamp = String(raw).replace(' ', 'T');
+            var day = stamp.substring(0, 10);
+            if (!byDay[day] || stamp >= byDay[day].stamp) {
+                var b = opts.benchmarkKey ? h[opts.benchmarkKey] : null;
+                byDay[day] = {
+                    stamp: stamp,
+                    value: toIndex(parseFloat(v), opts.valueType),
+                    benchmark: b === null || b === undefined || isNaN(b) ? null : toIndex(parseFloat(b), opts.valueType)
+                };
+            }
+        });
+        return Object.keys(byDay).sort().map(function (day) {
+            return { date: day, value: byDay[day].value, benchmark: byDay[day].benchmark };
+        });
+    }
+
+    function returns(series, key) {
+        var out = [];
+        for (var i = 1; i < series.length; i++) {
+            var prev = series[i - 1][key], cur = series[i][key];
+            out.push({ date: series[i].date, r: prev ? cur / prev - 1 : null });
+        }
+        return out;
+    }
+
+    /** Drawdown pro Tag in % sowie maximale und aktuelle Drawdown-Dauer (Kalendertage) */
+    function drawdowns(series, key) {
+        var peak = -Infinity, peakDate = null, maxDD = 0, maxDDDate = null;
+        var points = series.map(function (p) {
+            var v = p[key];
+            if (v === null) return { date: p.date, dd: null };
+            if (v >= peak) {
+                peak = v;
+                peakDate = p.date;
+            }
+            var dd = (v / peak - 1) * 100;
+            if (dd < maxDD) { maxDD = dd; maxDDDate = p.date; }
+            return { date: p.date, dd: dd, peakDate: peakDate };
+        });
+        // Dauer = Tage vom Höchststand bis zur Erholung (bzw. bis heute)
+        var underwaterSince = null, longest = 0, current = 0;
+        points.forEach(function (p) {
+            if (p.dd === null) return;
+            if (p.dd < 0) {
+                if (!underwaterSince) underwaterSince = p.peakDate;
+                current = daysBetween(underwaterSince, p.date);
+                longest = Math.max(longest, current);
+            } else if (underwaterSince) {
+                longest = Math.max(longest, daysBetween(underwaterSince, p.date));
+                underwaterSince = null;
+                current = 0;
+            }
+        });
+        return { points: points, maxDD: maxDD, maxDDDate: maxDDDate, longestDays: longest, currentDays: current };
+    }
+
+    /** Annualisierte rollierende Volatilität in % über `window` Tagesrenditen */
+    function rollingVolatility(rets, window) {
+        var out = [];
+        for (var i = window - 1; i < rets.length; i++) {
+            var slice = rets.slice(i - window + 1, i + 1).map(function (x) { return x.r; }).filter(function (r) { return r !== null; });
+            out.push({ date: rets[i].date, vol: slice.length > 1 ? stdev(slice) * Math.sqrt(TRADING_DAYS) * 100 : null });
+        }
+        return out;
+    }
+
+    /** Monatsrenditen in % – Basis ist der letzte Wert des Vormonats (bzw. der erste Wert der Reihe) */
+    function monthlyReturns(series, key) {
+        var months = [];
+        var base = series.length ? series[0][key] : null;
+        var current = null;
+        series.forEach(function (p) {
+            if (p[key] === null) return;
+            var ym = p.date.substring(0, 7);
+            if (!current || current.month !== ym) {
+                if (current) base = current.last;
+                current = { month: ym, base: base, last: p[key] };
+                months.push(current);
+            } else {
+                current.last = p[key];
+            }
+        });
+        return months.map(function (m) {
+            return { year: parseInt(m.month.substring(0, 4), 10), month: parseInt(m.month.substring(5, 7), 10), ret: m.base ? (m.last / m.base - 1) * 100 : null };
+        });
+    }
+
+    /* ═══════════════════════════════════════════════════════
+       KENNZAHLEN
+       ═══════════════════════════════════════════════════════ */
+
+    function compute(history, options) {
+        var opts = Object.assign({ dateKey: 'datum', valueKey: 'konto_wert_pct', benchmarkKey: 'buy_hold_pct', valueType: 'pct', riskFreeRate: 0 }, options || {});
+        var series = dailySeries(history || [], opts);
+        if (series.length < 2) return null;
+
+        var rets = returns(series, 'value');
+        var r = rets.map(function (x) { return x.r; }).filter(function (v) { return v !== null; });
+        var rfDaily = opts.riskFreeRate / 100 / TRADING_DAYS;
+        var excess = r.map(function (v) { return v - rfDaily; });
+        var downside = Math.sqrt(mean(excess.map(function (v) { return v < 0 ? v * v : 0; })));
+        var vol = stdev(r);
+
+        var first = series[0], last = series[series.length - 1];
+        var totalReturn = (last.value / first.value - 1) * 100;
+        var days = Math.max(1, daysBetween(first.date, last.date));
+        var cagr = (Math.pow(last.value / first.value, 365 / days) - 1) * 100;
+        var dd = drawdowns(series, 'value');
+
+        var nonZero = r.filter(function (v) { return v !== 0; });
+        var wins = nonZero.filter(function (v) { return v > 0; });
+
+        // Beta/Korrelation nur über Tage mit Strategie- und Benchmark-Rendite
+        var beta = null, correlation = null, benchmark = null;
+        if (opts.benchmarkKey) {
+            var bRets = returns(series, 'benchmark');
+            var pairs = [];
+            rets.forEach(function (x, i) { if (x.r !== null && bRets[i].r !== null) pairs.push([x.r, bRets[i].r]); });
+            if (pairs.length > 2) {
+                var ms = mean(pairs.map(function (p) { return p[0]; }));
+                var mb = mean(pairs.map(function (p) { return p[1]; }));
+                var cov = 0, varB = 0, varS = 0;
+                pairs.forEach(function (p) { cov += (p[0] - ms) * (p[1] - mb); varB += (p[1] - mb) * (p[1] - mb); varS += (p[0] - ms) * (p[0] - ms); });
+                beta = varB ? cov / varB : null;
+                correlation = varB && varS ? cov / Math.sqrt(varB * varS) : null;
+            }
+            var bSeries = series.filter(function (p) { return p.benchmark !== null; });
+            if (bSeries.length > 1) {
+                benchmark = {
+                    totalReturn: (bSeries[bSeries.length - 1].benchmark / bSeries[0].benchmark - 1) * 100,
+                    drawdown: drawdowns(bSeries, 'benchmark')
+                };
+            }
+        }
+
+        return {
+            from: first.date,
+            to: last.date,
+            days: days,
+            totalReturn: totalReturn,
+            cagr: cagr,
+            volatility: vol * Math.sqrt(TRADING_DAYS) * 100,
+            sharpe: vol ? mean(excess) / vol * Math.sqrt(TRADING_DAYS) : null,
+            sortino: downside ? mean(excess) / downside * Math.sqrt(TRADING_DAYS) : null,
+            calmar: dd.maxDD < 0 ? cagr / Math.abs(dd.maxDD) : null,
+            maxDrawdown: dd.maxDD,
+            maxDrawdownDate: dd.maxDDDate,
+            longestDrawdownDays: dd.longestDays,
+            currentDrawdownDays: dd.currentDays,
+            hitRate: nonZero.length ? wins.length / nonZero.length * 100 : null,
+            beta: beta,
+            correlation: correlation,
+            underwater: dd.points,
+            rollingVol20: rollingVolatility(rets, 20),
+            rollingVol60: rollingVolatility(rets, 60),
+            monthly: monthlyReturns(series, 'value'),
+            benchmark: benchmark
+        };
+    }
+
+    /* ═══════════════════════════════════════════════════════
+       MONATS-HEATMAP
+       ═══════════════════════════════════════════════════════ */
+
+    function heatColor(v) {
+        var a = Math.min(Math.abs(v) / 10, 1) * 0.75 + 0.1;   // ±10% = volle Intensität
+        return v >= 0 ? 'rgba(22,163,74,' + a.toFixed(2) + ')' : 'rgba(220,38,38,' + a.toFixed(2) + ')';
+    }
+
+    function fmtPct(v) {
+        return (v > 0 ? '+' : '') + v.toLocaleString(portalLocale(), { minimumFractionDigits: 1, maximumFractionDigits: 1 }) + '%';
+    }
+
+    function renderMonthlyHeatmap(container, monthly) {
+        if (!container) return;
+        if (!monthly || monthly.length === 0) { container.innerHTML = '<div style="text-align:center;padding:20px">' + portalText('common.no_data', null, 'Keine Daten') + '</div>'; return; }
+        var years = {};
+        monthly.forEach(function (m) { (years[m.year] = years[m.year] || {})[m.month] = m.ret; });
+        var year = portalText('risk.year', null, 'Jahr');
+        var months = portalText('common.months_short', null, 'Jan Feb Mär Apr Mai Jun Jul Aug Sep Okt Nov Dez').split(' ');
+        var html = '<table class="risk-heatmap"><thead><tr><th>' + year + '</th>' + months.map(function (m) { return '<th>' + m + '</th>'; }).join('') + '<th>' + year + '</th></tr></thead><tbody>';
+        Object.keys(years).sort().forEach(function (y) {
+            var yearFactor = 1;
+            html += '<tr><th>' + y + '</th>';
+            for (var m = 1; m <= 12; m++) {
+                var v = years[y][m];
+                if (v === undefined || v === null) { html += '<td></td>'; continue; }
+                yearFactor *= 1 + v / 100;
+                html += '<td style="background:' + heatColor(v) + '">' + fmtPct(v) + '</td>';
+            }
+            var yr = (yearFactor - 1) * 100;
+            html += '<td class="risk-heatmap-year" style="background:' + heatColor(yr) + '">' + fmtPct(yr) + '</td></tr>';
+        });
+        container.innerHTML = html + '</tbody></table>';
+    }
+
+    window.RiskMetrics = {
+        compute: compute,
+        dailySeries: dailySeries,
+        monthlyReturns: monthlyReturns,
+        rollingVolatility: rollingVolatility,
+        renderMonthlyHeatmap: renderMonthlyHeatmap
+    };
+
+})();
@@ -0,0 +1,84 @@
+/**
+ * Trading Portal – Serienkatalog
+ * Zeitreihen aus marktanalysen/config/series_catalog.json (tools/build_series_catalog.js) für Chart-Workspace und Home-Widgets.
+ * Einbindung (nach common.js und nav.js): <script src="[tief]/shared/js/series.js"></script>
+ *
+ *   PortalSeries.catalog().then(function (list) { ... });   // nur Serien, deren Quellseite der Analyst öffnen darf
+ *   PortalSeries.find('tms2.tms2_real');                     // Katalogeintrag (nach catalog())
+ *   PortalSeries.load(entry).then(function (s) { ... });     // { dates: [ms], values: [Zahl|null] }, aufsteigend
+ *   PortalSeries.load(entry, true);                          // Quellseite neu laden statt aus dem Cache
+ *
+ * Generierte Seiten betten ihre Daten als "const <x>Data = {...};" ein (wie im Katalog-Generator),
+ * Trading-Serien kommen direkt aus dem JSON der Strategie.
+ */
+(function () {
+    'use strict';
+
+    var script = document.currentScript;
+    var srcAttr = script ? script.getAttribute('src') || '' : '';
+    var idx = srcAttr.indexOf('shared/js/series.js');
+    var prefix = idx >= 0 ? srcAttr.substring(0, idx) : '';
+
+    var CATALOG_URL = prefix + 'marktanalysen/config/series_catalog.json';
+
+    var catalogPromise = null;
+    var byId = {};
+    var pageCache = {};     // href → Promise<Datenobjekt>
+
+    function catalog() {
+        if (!catalogPromise) {
+            catalogPromise = loadJSONData(CATALOG_URL).then(function (data) {
+                var canAccess = window.PortalAuth ? window.PortalAuth.canAccessHref : function () { return true; };
+                var list = (data.series || []).filter(function (s) { return canAccess(s.href); });
+                list.forEach(function (s) { byId[s.id] = s; });
+                return list;
+            });
+            catalogPromise.catch(function () { catalogPromise = null; });
+        }
+        return catalogPromise;
+    }
+
+    function loadPageData(href, fresh) {
+        if (!pageCache[href] || fresh) {
+            pageCache[href] = fetch(prefix + href, fresh ? { cache: 'no-cache' } : undefined).then(function (r) {
+                if (!r.ok) throw new Error(href + ': HTTP ' + r.status);
+                return /\.json$/.test(href) ? r.json() : r.text().then(function (html) {
+                    var m = /^\s*(?:var|const) (\w+Data) = (\{.*\});?\s*$/m.exec(html);
+                    if (!m) throw new Error(href + ': kein Datenobjekt');
+                    return JSON.parse(m[2].replace(/\bNaN\b/g, 'null').replace(/-?\bInfinity\b/g, 'null'));
+                });
+            });
+            pageCache[href].catch(function () { delete pageCache[href]; });
+        }
+        return pageCache[href];
+    }
+
+    function pick(obj, path) {
+        return path.reduce(function (o, k) { return o == null ? undefined : o[k]; }, obj);
+    }
+
+    function load(s, fresh) {
+        return loadPageData(s.href, fresh).then(function (data) {
+            var dates, values;
+            if (s.records) {
+                var records = pick(data, s.records) || [];
+                dates = records.map(function (r) { return r[s.date_field]; });
+                values = records.map(function (r) { return typeof r[s.field] === 'number' ? r[s.field] : null; });
+            } else {
+                dates = pick(data, s.dates_path) || [];
+                values = pick(data, s.path) || [];
+            }
+            return {
+                dates: dates.map(function (d) { return Date.parse(String(d).substring(0, 10)); }),
+                values: values
+            };
+        });
+    }
+
+    window.PortalSeries = {
+        url: CATALOG_URL,
+        catalog: catalog,
+        find: function (id) { return byId[id] || null; },
+        load: load
+    };
+})();
@@ -0,0 +1,304 @@
+/**
+ * Trading Portal – Handelszeiten
+ * Börsen-Sessions mit Zeitzone, Wochenplan und Feiertagskalender (Schema von cme.json / nyse.json).
+ * Einbindung: <script src="[tief]/shared/js/sessions.js"></script>
+ *
+ *   TradingSessions.loadCalendars(['CME', 'NYSE']).then(function (data) {
+ *       var s = TradingSessions.status('CME');           // { isOpen, reason, closesAt / opensAt, ... }
+ *       TradingSessions.nextOpen('NYSE');                 // Date
+ *       TradingSessions.tradingMinutes('CME', a, b);      // Handelsminuten zwischen zwei Zeitpunkten
+ *       TradingSessions.parseLocal('CME', row.date_chi);  // Export-Zeitstempel in Börsenzeit → Epoch-ms
+ *   });
+ *
+ * Alle Zeitpunkte sind Date-Objekte oder Epoch-Millisekunden; die Umrechnung in die Börsenzeit
+ * (inkl. Sommerzeit) übernimmt Intl. Ein Handelstag D läuft von "open" (bei openPrevDay am Vorabend)
+ * bis "close" an D. Die tägliche Wartungspause ergibt sich aus der Lücke zwischen close und dem nächsten open.
+ */
+(function () {
+    'use strict';
+
+    var script = document.currentScript;
+    var srcAttr = script ? script.getAttribute('src') || '' : '';
+    var idx = srcAttr.indexOf('shared/js/sessions.js');
+    var prefix = idx >= 0 ? srcAttr.substring(0, idx) : '';
+
+    var WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    var SEARCH_DAYS = 30;
+
+    var EXCHANGES = {
+        CME: {
+            name: 'CME/GLOBEX', timezone: 'America/Chicago', tzLabel: 'CT', calendar: 'boerseninformationen/cme.json',
+            tradingDays: [1, 2, 3, 4, 5], open: '17:00', openPrevDay: true, close: '16:00'     // Pause 16:00–17:00 CT
+        },
+        NYSE: {
+            name: 'NYSE', timezone: 'America/New_York', tzLabel: 'ET', calendar: 'boerseninformationen/nyse.json',
+            tradingDays: [1, 2, 3, 4, 5], open: '09:30', close: '16:00'
+        },
+        EUREX: {
+            name: 'Eurex', timezone: 'Europe/Berlin', calendar: 'boerseninformationen/eurex.json',
+            tradingDays: [1, 2, 3, 4, 5], open: '01:10', close: '22:00'                        // Index-Derivate inkl. Asien-Stunden
+        },
+        SIX: {
+            name: 'SIX Swiss Exchange', timezone: 'Europe/Zurich', calendar: 'boerseninformationen/six.json',
+            tradingDays: [1, 2, 3, 4, 5], open: '09:00', close: '17:30'                        // inkl. Schlussauktion
+        }
+    };
+
+    var calendars = {};
+
+    /* ═══════════════════════════════════════════════════════
+       ZEITZONEN
+       ═══════════════════════════════════════════════════════ */
+
+    var formatters = {};
+
+    function partsIn(tz, ms) {
+        var f = formatters[tz] || (formatters[tz] = new Intl.DateTimeFormat('en-US', {
+            timeZone: tz, hourCycle: 'h23', weekday: 'short',
+            year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+        }));
+        var p = {};
+        f.formatToParts(new Date(ms)).forEach(function (x) { p[x.type] = x.value; });
+        return {
+            y: +p.year, m: +p.month, d: +p.day, h: +p.hour, mi: +p.minute, s: +p.second,
+            date: p.year + '-' + p.month + '-' + p.day,
+            minutes: +p.hour * 60 + +p.minute,
+            weekday: WEEKDAYS.indexOf(p.weekday)
+        };
+    }
+
+    /** Zeitzonen-Kürzel zum Zeitpunkt (en-GB: CET/CEST, en-US kennt nur GMT+1/GMT+2) */
+    function zoneName(tz, ms) {
+        var f = formatters[tz + '|name'] || (formatters[tz + '|name'] = new Intl.DateTimeFormat('en-GB', { timeZone: tz, timeZoneName: 'short' }));
+        var part = f.formatToParts(new Date(ms)).filter(function (x) { return x.type === 'timeZoneName'; })[0];
+        return part ? part.value : tz;
+    }
+
+    function offsetMs(tz, ms) {
+        var p = partsIn(tz, ms);
+        return Date.UTC(p.y, p.m - 1, p.d, p.h, p.mi, p.s) - Math.floor(ms / 1000) * 1000;
+    }
+
+    /** Lokale Börsenzeit (Datum + Minuten seit Mitternacht) → Epoch-ms; zweiter Durchlauf korrigiert DST-Wechsel */
+    function zonedToUtc(tz, date, minutes) {
+        var guess = Date.UTC(+date.substring(0, 4), +date.substring(5, 7) - 1, +date.substring(8, 10)) + minutes * 60000;
+        var t = guess - offsetMs(tz, guess);
+        return guess - offsetMs(tz, t);
+    }
+
+    function addDays(date, n) {
+        var d = new Date(date + 'T00:00:00Z');
+        d.setUTCDate(d.getUTCDate() + n);
+        return d.toISOString().substring(0, 10);
+    }
+
+    function weekdayOf(date) {
+        return new Date(date + 'T00:00:00Z').getUTCDay();
+    }
+
+    function toMinutes(hhmm) {
+        var m = /(\d{1,2}):(\d{2})/.exec(hhmm || '');
+        return m ? parseInt(m[1], 10) * 60 + parseInt(m[2], 10) : null;
+    }
+
+    /** "2026-03-15T11:10:03" in Börsenzeit (ohne Offset, wie in den Exporten) → Epoch-ms */
+    function parseLocal(id, str) {
+        var m = /^(\d{4}-\d{2}-\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?/.exec(str || '');
+        if (!m) return null;
+        return zonedToUtc(get(id).timezone, m[1], parseInt(m[2], 10) * 60 + parseInt(m[3], 10)) + (m[4] ? parseInt(m[4], 10) * 1000 : 0);
+    }
+
+    function toMs(t) {
+        return t === undefined || t === null ? Date.now() : +t;
+    }
+
+    /* ═══════════════════════════════════════════════════════
+       KALENDER
+       ═══════════════════════════════════════════════════════ */
+
+    function get(id) {
+        var ex = EXCHANGES[id];
+        if (!ex) throw new Error('Unbekannte Börse: ' + id);
+        return ex;
+    }
+
+    /** Feiertage aus dem Export-Schema übernehmen ({ trading_holidays: { upcoming: [...], all_2026: [...] } }) */
+    function setCalendar(id, data) {
+        var cal = {};
+        var th = (data && data.trading_holidays) || {};
+        Object.keys(th).forEach(function (key) {
+            if (!Array.isArray(th[key])) return;
+            th[key].forEach(function (h) {
+                if (!h.date) return;
+                var closed = h.status === 'Closed';
+                cal[h.date] = { name: h.name, closed: closed, close: closed ? null : toMinutes(h.close_time || h.status) };
+            });
+        });
+        calendars[id] = cal;
+    }
+
+    function holiday(id, date) {
+        return (calendars[id] || {})[date] || null;
+    }
+
+    function loadCalendars(ids) {
+        ids = ids || Object.keys(EXCHANGES);
+        var load = typeof loadJSONData === 'function'
+            ? function (url) { return loadJSONData(url); }
+            : function (url) { return fetch(url, { cache: 'no-store' }).then(function (r) { if (!r.ok) throw new Error('HTTP ' + r.status); return r.json(); }); };
+        return Promise.all(ids.map(function (id) {
+            return load(prefix + get(id).calendar).catch(function (e) {
+                console.warn('Kalender ' + id + ' nicht verfügbar, nur Wochenplan:', e.message);
+                return null;
+            });
+        })).then(function (results) {
+            var out = {};
+            ids.forEach(function (id, i) { setCalendar(id, results[i]); out[id] = results[i]; });
+            return out;
+        });
+    }
+
+    /* ═══════════════════════════════════════════════════════
+       SESSIONS
+       ═══════════════════════════════════════════════════════ */
+
+    /** Session des Handelstags `date` oder null (Wochenende / Feiertag) */
+    function session(id, date) {
+        var ex = get(id);
+        if (ex.tradingDays.indexOf(weekdayOf(date)) === -1) return null;
+        var h = holiday(id, date);
+        if (h && h.closed) return null;
+        var close = toMinutes(ex.close);
+        var early = !!(h && h.close !== null && h.close < close);
+        return {
+            day: date,
+            open: zonedToUtc(ex.timezone, ex.openPrevDay ? addDays(date, -1) : date, toMinutes(ex.open)),
+            close: zonedToUtc(ex.timezone, date, early ? h.close : close),
+            earlyClose: early,
+            holiday: h
+        };
+    }
+
+    function sessionsBetween(id, from, to) {
+        from = toMs(from); to = toMs(to);
+        var tz = get(id).timezone;
+        var day = addDays(partsIn(tz, from).date, -1), last = addDays(partsIn(tz, to).date, 1);
+        var out = [];
+        for (; day <= last; day = addDays(day, 1)) {
+            var s = session(id, day);
+            if (s && s.close > from && s.open < to) out.push(s);
+        }
+        return out;
+    }
+
+    function currentSession(id, t) {
+        t = toMs(t);
+        return sessionsBetween(id, t, t + 1).find(function (s) { return s.open <= t && t < s.close; }) || null;
+    }
+
+    function nextSession(id, t) {
+        t = toMs(t);
+        var day = addDays(partsIn(get(id).timezone, t).date, -1);
+        for (var i = 0; i < SEARCH_DAYS; i++, day = addDays(day, 1)) {
+            var s = session(id, day);
+            if (s && s.open > t) return s;
+        }
+        return null;
+    }
+
+    function isOpen(id, t) {
+        return !!currentSession(id, t);
+    }
+
+    function nextOpen(id, t) {
+        var s = nextSession(id, t);
+        return s ? new Date(s.open) : null;
+    }
+
+    function nextClose(id, t) {
+        var s = currentSession(id, t) || nextSession(id, t);
+        return s ? new Date(s.close) : null;
+    }
+
+    function tradingMinutes(id, a, b) {
+        a = toMs(a); b = toMs(b);
+        if (b <= a) return 0;
+        return sessionsBetween(id, a, b).reduce(function (sum, s) {
+            return sum + Math.max(0, Math.min(s.close, b) - Math.max(s.open, a));
+        }, 0) / 60000;
+    }
+
+    // Texte aus shared/i18n; ohne i18n.js bzw. vor dem Laden des Katalogs der de-CH-Text. Feiertagsnamen kommen unverändert aus den Kalendern
+    function text(key, params, fallback) {
+        if (window.PortalI18n) return PortalI18n.t(key, params, fallback);
+        return fallback.replace(/\{(\w+)\}/g, function (m, name) { return params && params[name] !== undefined ? params[name] : m; });
+    }
+
+    function earlyClose(name) {
+        return text('sessions.early_close', { name: name }, '{name} (Early Close)');
+    }
+
+    // Grund für "geschlossen" – bei Overnight-Börsen gehört die Zeit nach close bereits zum Folgetag,
+    // sofern an diesem Tag überhaupt eine Session geschlossen hat (sonst z.B. Sonntag 16:00–17:00 CT = Wochenende)
+    function closedReason(id, t) {
+        var ex = get(id);
+        var p = partsIn(ex.timezone, t);
+        var day = ex.openPrevDay && p.minutes >= toMinutes(ex.close) && session(id, p.date) ? addDays(p.date, 1) : p.date;
+        var h = holiday(id, day);
+        if (h && h.closed) return h.name;
+        if (ex.tradingDays.indexOf(weekdayOf(day)) === -1) return text('sessions.weekend', null, 'Wochenende');
+        if (h && day === p.date && h.close !== null && p.minutes >= h.close) return earlyClose(h.name);
+        if (ex.openPrevDay) return text('sessions.daily_break', null, 'Tägliche Pause');
+        return p.minutes < toMinutes(ex.open) ? text('sessions.pre_market', null, 'Vorbörslich') : text('sessions.after_hours', null, 'Nachbörslich');
+    }
+
+    function status(id, t) {
+        t = toMs(t);
+        var cur = currentSession(id, t);
+        if (cur) {
+            return {
+                isOpen: true,
+                reason: cur.earlyClose ? earlyClose(cur.holiday.name) : '',
+                session: cur,
+                closesAt: new Date(cur.close),
+                closesInMs: cur.close - t
+            };
+        }
+        var next = nextSession(id, t);
+        return {
+            isOpen: false,
+            reason: closedReason(id, t),
+            session: next,
+            opensAt: next ? new Date(next.open) : null,
+            opensInMs: next ? next.open - t : null
+        };
+    }
+
+    /** "Mo 17:00 CT" in Börsenzeit; ohne festes tzLabel (CT/ET gelten ganzjährig) das Kürzel des Zeitpunkts, z.B. CET/CEST */
+    function formatLocal(id, t) {
+        var ex = get(id);
+        var ms = toMs(t);
+        var p = partsIn(ex.timezone, ms);
+        var weekdays = text('common.weekdays_short', null, 'So Mo Di Mi Do Fr Sa').split(' ');
+        return weekdays[p.weekday] + ' ' + String(p.h).padStart(2, '0') + ':' + String(p.mi).padStart(2, '0') + ' ' + (ex.tzLabel || zoneName(ex.timezone, ms));
+    }
+
+    window.TradingSessions = {
+        define: function (id, spec) { EXCHANGES[id] = spec; },
+        get: get,
+        list: function () { return Object.keys(EXCHANGES); },
+        setCalendar: setCalendar,
+        loadCalendars: loadCalendars,
+        holiday: holiday,
+        session: session,
+        sessionsBetween: sessionsBetween,
+        isOpen: isOpen,
+        nextOpen: nextOpen,
+        nextClose: nextClose,
+        tradingMinutes: tradingMinutes,
+        status: status,
+        formatLocal: formatLocal,
+        parseLocal: parseLocal
+    };
+
+})();
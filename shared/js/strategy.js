@@ -0,0 +1,147 @@
+/**
+ * Trading Portal – Strategie-Registry
+ * Löst die aktive Handelsstrategie auf und liefert deren Datenpfade.
+ * Einbindung (nach common.js): <script src="[tief]/shared/js/strategy.js"></script>
+ *
+ *   PortalStrategy.ready().then(function (strategy) {
+ *       pollJSONData(PortalStrategy.dataUrl('trading_monitor/trading_monitor.json'), onData, 60000);
+ *   });
+ *   var rows = PortalStrategy.pick(data).trading_monitor;   // data[<strategie-id>]
+ *
+ * Registry: trading/config/strategies.json
+ * Die Seiten liegen einmal unter "pages_path" und werden von allen Strategien geteilt;
+ * pro Strategie unterscheidet sich nur der Datenordner ("data_path").
+ * Auswahl: ?s=<id> in der URL > gespeicherte Auswahl des Analysten > "default" der Registry.
+ * Auf Seiten mit .spa-tabs wird automatisch ein Strategie-Picker eingeblendet (ausser mit data-picker="off" am Script-Tag).
+ */
+(function () {
+    'use strict';
+
+    var script = document.currentScript;
+    var srcAttr = script ? script.getAttribute('src') || '' : '';
+    var idx = srcAttr.indexOf('shared/js/strategy.js');
+    var prefix = idx >= 0 ? srcAttr.substring(0, idx) : '';
+    var showPicker = !script || script.getAttribute('data-picker') !== 'off';
+
+    var REGISTRY_URL = prefix + 'trading/config/strategies.json';
+
+    // Rückfall, falls die Registry nicht geladen werden kann – entspricht dem bisherigen Verhalten
+    var FALLBACK = {
+        default: 'paper_strategie_1',
+        pages_path: 'paper_strategie_1/',
+        strategies: [{ id: 'paper_strategie_1', name: 'Paper Strategie 1', instrument: 'MES', multiplier: 5, data_path: 'paper_strategie_1/', status: 'active' }]
+    };
+
+    var registry = null;
+    var active = null;
+    var readyPromise = null;
+
+    function storageKey() {
+        var user = window.portalGetUser ? window.portalGetUser() : '';
+        return 'ma_strategy' + (user ? '_' + user : '');
+    }
+
+    function available() {
+        return (registry ? registry.strategies : []).filter(function (s) { return s.status !== 'planned' && s.data_path; });
+    }
+
+    function find(id) {
+        return available().find(function (s) { return s.id === id; }) || null;
+    }
+
+    function resolveActive() {
+        var fromUrl = new URLSearchParams(window.location.search).get('s');
+        var stored = localStorage.getItem(storageKey());
+        var s = find(fromUrl) || find(stored) || find(registry.default) || available()[0] || FALLBACK.strategies[0];
+        if (fromUrl && s.id === fromUrl) localStorage.setItem(storageKey(), s.id);
+        return s;
+    }
+
+    function ready() {
+        if (readyPromise) return readyPromise;
+        readyPromise = fetch(REGISTRY_URL, { cache: 'no-store' })
+            .then(function (r) { if (!r.ok) throw new Error('HTTP ' + r.status); return r.json(); })
+            .catch(function (e) {
+                console.warn('Strategie-Registry nicht verfügbar, verwende Standard:', e.message);
+                return FALLBACK;
+            })
+            .then(function (data) {
+                registry = data;
+                active = resolveActive();
+                applyTitle();
+                mountPicker();
+                return active;
+            });
+        return readyPromise;
+    }
+
+    /* ═══════════════════════════════════════════════════════
+       DATENPFADE
+       ═══════════════════════════════════════════════════════ */
+
+    /** Pfad relativ zum Strategie-Ordner, z.B. 'overview.json' → '../../trading/paper_strategie_1/overview.json' */
+    function dataUrl(relPath, strategy) {
+        var s = strategy || active || FALLBACK.strategies[0];
+        return prefix + 'trading/' + s.data_path + relPath;
+    }
+
+    /** Link auf eine Strategie-Seite, z.B. pageUrl('overview.html', s) → 'trading/paper_strategie_1/overview.html?s=<id>' */
+    function pageUrl(relPath, strategy) {
+        var s = strategy || active || FALLBACK.strategies[0];
+        var pages = (registry && registry.pages_path) || FALLBACK.pages_path;
+        return prefix + 'trading/' + pages + relPath + '?s=' + encodeURIComponent(s.id);
+    }
+
+    /** Strategie-Block aus verschachtelten Exporten ({ "<id>": { ... } }) */
+    function pick(data, strategy) {
+        var s = strategy || active || FALLBACK.strategies[0];
+        return (data && data[s.id]) || {};
+    }
+
+    /* ═══════════════════════════════════════════════════════
+       UI
+       ═══════════════════════════════════════════════════════ */
+
+    // Seitentitel "Paper Strategie 1 - Monitor" → "<Name> - Monitor"
+    function applyTitle() {
+        var parts = document.title.split(' - ');
+        if (parts.length > 1 && /strategie/i.test(parts[0])) {
+            parts[0] = active.name;
+            document.title = parts.join(' - ');
+        }
+    }
+
+    function mountPicker() {
+        var tabs = document.querySelector('.spa-tabs');
+        var list = available();
+        if (!showPicker || !tabs || !list.length || tabs.querySelector('.spa-strategy-picker')) return;
+        var sel = document.createElement('select');
+        sel.className = 'spa-strategy-picker';
+        sel.title = 'Strategie wählen';
+        sel.innerHTML = list.map(function (s) {
+            return '<option value="' + s.id + '"' + (s.id === active.id ? ' selected' : '') + '>' + s.name + (s.instrument ? ' (' + s.instrument + ')' : '') + '</option>';
+        }).join('');
+        sel.addEventListener('change', function () { setActive(sel.value); });
+        tabs.appendChild(sel);
+    }
+
+    function setActive(id) {
+        if (!find(id)) return;
+        localStorage.setItem(storageKey(), id);
+        var params = new URLSearchParams(window.location.search);
+        params.set('s', id);
+        window.location.search = params.toString();
+    }
+
+    window.PortalStrategy = {
+        ready: ready,
+        dataUrl: dataUrl,
+        pageUrl: pageUrl,
+        pick: pick,
+        setActive: setActive,
+        current: function () { return active; },
+        list: function () { return registry ? registry.strategies.slice() : []; },
+        available: available
+    };
+
+})();
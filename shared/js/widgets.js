@@ -0,0 +1,799 @@
+/**
+ * Trading Portal – Dashboard-Widgets
+ * Anpassbare Kacheln auf der Startseite: jeder Analyst stellt sich sein Dashboard selbst zusammen –
+ * Widgets hinzufügen, entfernen, in Breite/Höhe ändern und per Drag & Drop anordnen ("Anpassen").
+ * Einbindung (nach common.js, sessions.js, strategy.js, nav.js und series.js): <script src="[tief]/shared/js/widgets.js"></script>
+ *
+ *   PortalWidgets.mount(document.getElementById('home-widgets'), { toolbar: document.getElementById('home-widgets-toolbar') });
+ *
+ * Layout pro Analyst (portalGetUser) im localStorage "ma_home_widgets_<user>":
+ *   { version: 1, widgets: [{ id, type, w, h, refresh, config }] }   w = Spalten (1–4), h = Zeilen (1–2), refresh in Sekunden
+ *
+ * Jedes Widget lädt auf seinem eigenen Timer neu (Standard pro Typ, in den Einstellungen änderbar); in einem
+ * verborgenen Tab wird pausiert. JSON-Dateien kommen über loadJSONData, gleichzeitige Abrufe derselben Datei
+ * teilen sich also einen Request. Widgets, deren Bereich der Analyst nicht sehen darf, werden nicht angezeigt.
+ *
+ * Eigene Typen: PortalWidgets.register('name', {
+ *     title, description, access, refresh, w, h,
+ *     settings: [{ key, label, options: function () { return [{ value, label, group }] } }],   // auch als Promise
+ *     link: function (config) { return href; },
+ *     load: function (config, fresh) { return Promise<data>; },
+ *     render: function (body, data, config, size) { ... }
+ * });   title darf eine Funktion (config) sein
+ */
+(function () {
+    'use strict';
+
+    var script = document.currentScript;
+    var srcAttr = script ? script.getAttribute('src') || '' : '';
+    var idx = srcAttr.indexOf('shared/js/widgets.js');
+    var prefix = idx >= 0 ? srcAttr.substring(0, idx) : '';
+
+    var STORAGE_PREFIX = 'ma_home_widgets';
+    var LAYOUT_VERSION = 1;
+    var MAX_W = 4;
+    var MAX_H = 2;
+    var REFRESH_CHOICES = [30, 60, 300, 900, 3600];
+    var MARGIN_LIMITS = { warning: 25, critical: 50 };      // wie margin_auslastung_hoch / _kritisch in shared/config/alerts.json
+    var SPARK_POINTS = { 1: 60, 2: 120, 3: 180, 4: 240 };   // Punkte im Sparkline je Breite
+
+    var DEFAULT_LAYOUT = [
+        { type: 'nlv', w: 2, h: 1 },
+        { type: 'margin', w: 1, h: 1 },
+        { type: 'rollover', w: 1, h: 1 },
+        { type: 'hebel', w: 2, h: 1 },
+        { type: 'exchange', w: 1, h: 1, config: { exchange: 'CME' } },
+        { type: 'disruptions', w: 1, h: 1 }
+    ];
+
+    var TYPES = {};
+    var state = { el: null, toolbar: null, widgets: [], editing: false, instances: {}, dragId: null };
+
+    /* ═══════════════════════════════════════════════════════
+       HILFSFUNKTIONEN
+       ═══════════════════════════════════════════════════════ */
+
+    function esc(s) {
+        return String(s === null || s === undefined ? '' : s).replace(/[&<>"']/g, function (c) {
+            return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c];
+        });
+    }
+
+    // Texte aus shared/i18n (widgets.*); der de-CH-Text gilt, bis der Katalog geladen ist
+    function text(key, params, fallback) {
+        return portalText('widgets.' + key, params, fallback);
+    }
+
+    function canAccess(href) {
+        return !href || !window.PortalAuth || window.PortalAuth.canAccessHref(href);
+    }
+
+    function fmtSeconds(sec) {
+        if (sec < 60) return sec + ' s';
+        if (sec < 3600) return portalText('common.age.minutes', { n: Math.round(sec / 60) }, '{n} Min.');
+        return portalText('common.age.hours', { n: Math.round(sec / 3600) }, '{n} Std.');
+    }
+
+    function fmtTime(date) {
+        return date.toLocaleTimeString(portalLocale(), { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+    }
+
+    /** Kalendertag (ISO-Datum oder Epoch-ms, UTC) */
+    function fmtDay(v) {
+        var d = typeof v === 'number' ? new Date(v) : new Date(String(v).substring(0, 10) + 'T00:00:00Z');
+        return d.toLocaleDateString(portalLocale(), { day: '2-digit', month: '2-digit', year: 'numeric', timeZone: 'UTC' });
+    }
+
+    function fmtCountdown(ms) {
+        if (!ms || ms <= 0) return '0h 00m';
+        var d = Math.floor(ms / 864e5), h = Math.floor((ms % 864e5) / 36e5), m = Math.floor((ms % 36e5) / 6e4);
+        return (d > 0 ? d + 'd ' : '') + h + 'h ' + String(m).padStart(2, '0') + 'm';
+    }
+
+    function signClass(v) {
+        return v > 0 ? 'val-positive' : v < 0 ? 'val-negative' : '';
+    }
+
+    function todayCT() { return new Date().toLocaleDateString('sv-SE', { timeZone: 'America/Chicago' }); }
+
+    function daysBetween(a, b) {
+        return Math.round((Date.parse(b.substring(0, 10) + 'T00:00:00Z') - Date.parse(a.substring(0, 10) + 'T00:00:00Z')) / 864e5);
+    }
+
+    function strategyFor(config) {
+        var list = PortalStrategy.available();
+        return list.find(function (s) { return s.id === config.strategy; }) || PortalStrategy.current() || list[0];
+    }
+
+    function strategyOptions() {
+        return PortalStrategy.ready().then(function () {
+            return [{ value: '', label: text('active_strategy', null, 'Aktive Strategie') }].concat(PortalStrategy.available().map(function (s) {
+                return { value: s.id, label: s.name };
+            }));
+        });
+    }
+
+    function strategySuffix(config) {
+        var s = config.strategy && strategyFor(config);
+        return s && PortalStrategy.available().length > 1 ? ' – ' + s.name : '';
+    }
+
+    /** Einfache Sparkline (SVG, skaliert auf die Kachelbreite) */
+    function sparkline(values, height) {
+        var pts = values.filter(function (v) { return typeof v === 'number' && isFinite(v); });
+        if (pts.length < 2) return '';
+        var min = Math.min.apply(null, pts), max = Math.max.apply(null, pts), span = max - min || 1;
+        var coords = pts.map(function (v, i) {
+            return (i / (pts.length - 1) * 100).toFixed(2) + ',' + (28 - (v - min) / span * 26).toFixed(2);
+        }).join(' ');
+        return '<svg class="widget-spark" viewBox="0 0 100 30" preserveAspectRatio="none" style="height:' + (height || 40) + 'px">' +
+            '<polyline points="' + coords + '" fill="none" stroke="var(--color-blue)" stroke-width="1.5" vector-effect="non-scaling-stroke"/></svg>';
+    }
+
+    function row(label, value, cls) {
+        return '<div class="widget-row"><span>' + esc(label) + '</span><span class="' + (cls || '') + '">' + value + '</span></div>';
+    }
+
+    /* ═══════════════════════════════════════════════════════
+       LAYOUT (pro Analyst)
+       ═══════════════════════════════════════════════════════ */
+
+    function storageKey() {
+        var user = window.portalGetUser ? window.portalGetUser() : '';
+        return STORAGE_PREFIX + (user ? '_' + user : '');
+    }
+
+    function uid() {
+        return 'w' + Date.now().toString(36) + Math.random().toString(36).substring(2, 6);
+    }
+
+    function normalize(w) {
+        var def = TYPES[w.type];
+        return {
+            id: w.id || uid(),
+            type: w.type,
+            w: Math.max(1, Math.min(MAX_W, parseInt(w.w, 10) || (def ? def.w : 1))),
+            h: Math.max(1, Math.min(MAX_H, parseInt(w.h, 10) || (def ? def.h : 1))),
+            refresh: parseInt(w.refresh, 10) || null,
+            config: Object.assign({}, w.config || {})
+        };
+    }
+
+    function readLayout() {
+        var saved = null;
+        try { saved = JSON.parse(localStorage.getItem(storageKey()) || 'null'); } catch (e) { saved = null; }
+        var list = saved && saved.version === LAYOUT_VERSION && Array.isArray(saved.widgets) ? saved.widgets : DEFAULT_LAYOUT;
+        return list.map(normalize);
+    }
+
+    function saveLayout() {
+        localStorage.setItem(storageKey(), JSON.stringify({ version: LAYOUT_VERSION, widgets: state.widgets }));
+    }
+
+    function findWidget(id) {
+        return state.widgets.find(function (w) { return w.id === id; }) || null;
+    }
+
+    function visible(w) {
+        return TYPES[w.type] && canAccess(TYPES[w.type].access);
+    }
+
+    /* ═══════════════════════════════════════════════════════
+       WIDGET-INSTANZEN
+       ═══════════════════════════════════════════════════════ */
+
+    function titleOf(w) {
+        var t = TYPES[w.type].title;
+        return typeof t === 'function' ? t(w.config) : text('type.' + w.type, null, t);
+    }
+
+    /** Name und Beschreibung für die Auswahl "Widget hinzufügen" (de-CH aus register, sonst widgets.type.<typ>) */
+    function typeName(type) {
+        var def = TYPES[type];
+        return text('type.' + type + '.name', null, def.name || titleOf({ type: type, config: {} }));
+    }
+
+    function typeDescription(type) {
+        return text('type.' + type + '.description', null, TYPES[type].description || '');
+    }
+
+    function refreshOf(w) {
+        return w.refresh || TYPES[w.type].refresh;
+    }
+
+    function createElement(w) {
+        var el = document.createElement('div');
+        el.className = 'widget';
+        el.setAttribute('data-id', w.id);
+        el.innerHTML =
+            '<div class="widget-head">' +
+                '<span class="widget-handle" title="' + text('drag', null, 'Ziehen zum Verschieben') + '" data-i18n-title="widgets.drag">&#x2630;</span>' +
+                '<h3 class="widget-title"></h3>' +
+                '<a class="widget-link" title="' + text('open_page', null, 'Zur Seite') + '" data-i18n-title="widgets.open_page">&rarr;</a>' +
+                '<div class="widget-tools">' +
+                    '<button data-action="settings" title="' + portalText('nav.settings', null, 'Einstellungen') + '" data-i18n-title="nav.settings">&#x2699;</button>' +
+                    '<button data-action="width" title="' + text('width', null, 'Breite ändern') + '" data-i18n-title="widgets.width">&#x2194;</button>' +
+                    '<button data-action="height" title="' + text('height', null, 'Höhe ändern') + '" data-i18n-title="widgets.height">&#x2195;</button>' +
+                    '<button data-action="remove" title="' + text('remove', null, 'Entfernen') + '" data-i18n-title="widgets.remove">&times;</button>' +
+                '</div>' +
+            '</div>' +
+            '<div class="widget-settings" hidden></div>' +
+            '<div class="widget-body"><div class="widget-empty">' + portalText('common.loading', null, 'Lade...') + '</div></div>' +
+            '<div class="widget-foot"></div>';
+        return el;
+    }
+
+    function applyFrame(inst) {
+        var w = inst.widget, def = TYPES[w.type];
+        inst.el.setAttribute('data-w', w.w);
+        inst.el.setAttribute('data-h', w.h);
+        inst.el.querySelector('.widget-title').textContent = titleOf(w);
+        var link = inst.el.querySelector('.widget-link');
+        var href = def.link ? def.link(w.config) : null;
+        if (href) link.setAttribute('href', href); else link.removeAttribute('href');
+        link.hidden = !href;
+    }
+
+    function renderFoot(inst, error) {
+        var foot = inst.el.querySelector('.widget-foot');
+        var parts = [];
+        if (inst.data && inst.data.timestamp) parts.push(text('as_of', { time: formatDateTime(inst.data.timestamp) }, 'Stand {time}'));
+        if (inst.loadedAt) parts.push(text('loaded', { time: fmtTime(inst.loadedAt) }, 'geladen {time}'));
+        parts.push(text('every', { interval: fmtSeconds(refreshOf(inst.widget)) }, 'alle {interval}'));
+        foot.innerHTML = esc(parts.join(' · ')) + (error ? ' <span class="val-negative" title="' + esc(error.message) + '">&#x26A0; ' + text('load_failed', null, 'Fehler beim Laden') + '</span>' : '');
+    }
+
+    function render(inst) {
+        var w = inst.widget, body = inst.el.querySelector('.widget-body');
+        try {
+            TYPES[w.type].render(body, inst.data, w.config, { w: w.w, h: w.h });
+        } catch (e) {
+            console.error('Widget ' + w.type + ':', e);
+            body.innerHTML = '<div class="widget-empty val-negative">' + text('render_failed', null, 'Darstellung fehlgeschlagen') + '</div>';
+        }
+    }
+
+    function run(inst) {
+        if (document.hidden) { inst.pending = true; return; }
+        inst.pending = false;
+        var w = inst.widget, seq = ++inst.seq;
+        var fresh = !!inst.loadedAt;
+        Promise.resolve().then(function () {
+            return TYPES[w.type].load(w.config, fresh);
+        }).then(function (data) {
+            if (seq !== inst.seq) return;
+            inst.data = data;
+            inst.loadedAt = new Date();
+            render(inst);
+            renderFoot(inst, null);
+        }, function (error) {
+            if (seq !== inst.seq) return;
+            console.warn('Widget ' + w.type + ' nicht geladen:', error);
+            if (!inst.data) inst.el.querySelector('.widget-body').innerHTML = '<div class="widget-empty">' + text('unavailable', null, 'Daten nicht verfügbar') + '</div>';
+            renderFoot(inst, error);
+        });
+    }
+
+    function start(inst) {
+        clearInterval(inst.timer);
+        inst.data = null;
+        inst.loadedAt = null;
+        run(inst);
+        inst.timer = setInterval(function () { run(inst); }, refreshOf(inst.widget) * 1000);
+    }
+
+    function stop(inst) {
+        clearInterval(inst.timer);
+        inst.seq++;
+        delete state.instances[inst.widget.id];
+    }
+
+    function mountWidget(w) {
+        var inst = { widget: w, el: createElement(w), timer: null, seq: 0, data: null, loadedAt: null, pending: false };
+        state.instances[w.id] = inst;
+        applyFrame(inst);
+        state.el.appendChild(inst.el);
+        start(inst);
+        return inst;
+    }
+
+    /* ═══════════════════════════════════════════════════════
+       EINSTELLUNGEN
+       ═══════════════════════════════════════════════════════ */
+
+    function optionsHtml(options, selected) {
+        var groups = [], byGroup = {};
+        options.forEach(function (o) {
+            var g = o.group || '';
+            if (!byGroup[g]) { byGroup[g] = []; groups.push(g); }
+            byGroup[g].push(o);
+        });
+        return groups.map(function (g) {
+            var html = byGroup[g].map(function (o) {
+                return '<option value="' + esc(o.value) + '"' + (String(o.value) === String(selected) ? ' selected' : '') + '>' + esc(o.label) + '</option>';
+            }).join('');
+            return g ? '<optgroup label="' + esc(g) + '">' + html + '</optgroup>' : html;
+        }).join('');
+    }
+
+    function openSettings(inst) {
+        var panel = inst.el.querySelector('.widget-settings');
+        if (!panel.hidden) { panel.hidden = true; return; }
+        var w = inst.widget, def = TYPES[w.type];
+        var fields = def.settings || [];
+        panel.hidden = false;
+        panel.innerHTML = '<div class="widget-empty">' + portalText('common.loading', null, 'Lade...') + '</div>';
+        Promise.all(fields.map(function (f) { return Promise.resolve(f.options()); })).then(function (lists) {
+            var refreshOptions = REFRESH_CHOICES.map(function (s) {
+                var label = text('every', { interval: fmtSeconds(s) }, 'alle {interval}');
+                return { value: s, label: s === def.refresh ? text('default_option', { label: label }, '{label} (Standard)') : label };
+            });
+            panel.innerHTML = fields.map(function (f, i) {
+                return '<label>' + esc(text('setting.' + f.key, null, f.label)) + '<select data-key="' + esc(f.key) + '">' + optionsHtml(lists[i], w.config[f.key] || '') + '</select></label>';
+            }).join('') +
+                '<label>' + text('setting.refresh', null, 'Aktualisierung') + '<select data-key="refresh">' + optionsHtml(refreshOptions, refreshOf(w)) + '</select></label>';
+        }, function (error) {
+            panel.innerHTML = '<div class="widget-empty">' + esc(text('settings_unavailable', { error: error.message }, 'Einstellungen nicht verfügbar ({error})')) + '</div>';
+        });
+    }
+
+    function changeSetting(inst, key, value) {
+        var w = inst.widget;
+        if (key === 'refresh') w.refresh = parseInt(value, 10) === TYPES[w.type].refresh ? null : parseInt(value, 10);
+        else w.config[key] = value;
+        saveLayout();
+        applyFrame(inst);
+        start(inst);
+    }
+
+    /* ═══════════════════════════════════════════════════════
+       BEARBEITEN: HINZUFÜGEN, ENTFERNEN, GRÖSSE, DRAG & DROP
+       ═══════════════════════════════════════════════════════ */
+
+    function renderEmpty() {
+        var empty = state.el.querySelector('.widget-grid-empty');
+        var count = state.el.querySelectorAll('.widget').length;
+        if (count && empty) empty.remove();
+        if (!count && !empty) {
+            empty = document.createElement('div');
+            empty.className = 'widget-grid-empty';
+            empty.textContent = text('empty', null, 'Keine Widgets – über «Anpassen» hinzufügen.');
+            state.el.appendChild(empty);
+        }
+    }
+
+    function addWidget(type) {
+        var def = TYPES[type];
+        if (!def) return;
+        var config = {};
+        (def.settings || []).forEach(function (f) { if (f.initial !== undefined) config[f.key] = f.initial; });
+        var w = normalize({ type: type, w: def.w, h: def.h, config: config });
+        state.widgets.push(w);
+        saveLayout();
+        var inst = mountWidget(w);
+        renderEmpty();
+        if (def.settings && def.settings.some(function (f) { return f.required && !w.config[f.key]; })) openSettings(inst);
+        inst.el.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    function removeWidget(inst) {
+        stop(inst);
+        state.widgets = state.widgets.filter(function (w) { return w !== inst.widget; });
+        inst.el.remove();
+        saveLayout();
+        renderEmpty();
+    }
+
+    function resize(inst, dim) {
+        var w = inst.widget;
+        if (dim === 'width') w.w = w.w % MAX_W + 1;
+        else w.h = w.h % MAX_H + 1;
+        saveLayout();
+        applyFrame(inst);
+        if (inst.data) render(inst);
+    }
+
+    /** Widget `id` vor bzw. nach `targetId` einordnen (null = ans Ende) */
+    function move(id, targetId, after) {
+        if (id === targetId) return;
+        var w = findWidget(id);
+        state.widgets.splice(state.widgets.indexOf(w), 1);
+        var target = targetId ? findWidget(targetId) : null;
+        var pos = target ? state.widgets.indexOf(target) + (after ? 1 : 0) : state.widgets.length;
+        state.widgets.splice(pos, 0, w);
+        saveLayout();
+        var el = state.instances[id].el;
+        var ref = target ? (after ? state.instances[targetId].el.nextSibling : state.instances[targetId].el) : null;
+        state.el.insertBefore(el, ref);
+    }
+
+    function clearDropMarks() {
+        state.el.querySelectorAll('.drop-before, .drop-after').forEach(function (n) { n.classList.remove('drop-before', 'drop-after'); });
+    }
+
+    function dropSide(el, e) {
+        var r = el.getBoundingClientRect();
+        return e.clientX > r.left + r.width / 2;
+    }
+
+    function setEditing(on) {
+        state.editing = on;
+        state.el.classList.toggle('editing', on);
+        if (!on) Object.keys(state.instances).forEach(function (id) {
+            state.instances[id].el.querySelector('.widget-settings').hidden = true;
+        });
+        renderToolbar();
+    }
+
+    function resetLayout() {
+        if (!confirm(text('reset_confirm', null, 'Standard-Dashboard wiederherstellen? Die eigene Anordnung geht verloren.'))) return;
+        localStorage.removeItem(storageKey());
+        build();
+    }
+
+    function renderToolbar() {
+        var tb = state.toolbar;
+        if (!tb) return;
+        if (!state.editing) {
+            tb.innerHTML = '<button class="widget-btn" data-tb="edit">&#x270E; ' + text('edit', null, 'Anpassen') + '</button>';
+            return;
+        }
+        var types = Object.keys(TYPES).filter(function (t) { return canAccess(TYPES[t].access); });
+        tb.innerHTML =
+            '<select class="widget-add" data-tb="add"><option value="">' + text('add', null, '+ Widget hinzufügen …') + '</option>' +
+                types.map(function (t) {
+                    return '<option value="' + esc(t) + '" title="' + esc(typeDescription(t)) + '">' + esc(typeName(t)) + '</option>';
+                }).join('') + '</select>' +
+            '<button class="widget-btn widget-btn-secondary" data-tb="reset">' + text('reset', null, 'Standard') + '</button>' +
+            '<button class="widget-btn" data-tb="done">' + text('done', null, 'Fertig') + '</button>';
+    }
+
+    function bindEvents() {
+        var grid = state.el;
+        grid.addEventListener('click', function (e) {
+            var btn = e.target.closest('[data-action]');
+            if (!btn) return;
+            var inst = state.instances[btn.closest('.widget').getAttribute('data-id')];
+            var action = btn.getAttribute('data-action');
+            if (action === 'settings') openSettings(inst);
+            else if (action === 'remove') removeWidget(inst);
+            else resize(inst, action);
+        });
+        grid.addEventListener('change', function (e) {
+            var key = e.target.getAttribute('data-key');
+            if (!key) return;
+            changeSetting(state.instances[e.target.closest('.widget').getAttribute('data-id')], key, e.target.value);
+        });
+
+        // Gezogen wird am Kopf der Kachel, damit Auswahlfelder in den Einstellungen bedienbar bleiben
+        grid.addEventListener('mousedown', function (e) {
+            var head = e.target.closest('.widget-head');
+            if (head && state.editing && !e.target.closest('button, a')) head.parentNode.draggable = true;
+        });
+        grid.addEventListener('dragstart', function (e) {
+            var el = e.target.closest && e.target.closest('.widget');
+            if (!state.editing || !el) return;
+            state.dragId = el.getAttribute('data-id');
+            el.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', state.dragId);
+        });
+        grid.addEventListener('dragover', function (e) {
+            if (!state.dragId) return;
+            e.preventDefault();
+            clearDropMarks();
+            var el = e.target.closest('.widget');
+            if (el && el.getAttribute('data-id') !== state.dragId) el.classList.add(dropSide(el, e) ? 'drop-after' : 'drop-before');
+        });
+        grid.addEventListener('drop', function (e) {
+            if (!state.dragId) return;
+            e.preventDefault();
+            var el = e.target.closest('.widget');
+            move(state.dragId, el ? el.getAttribute('data-id') : null, el ? dropSide(el, e) : false);
+            clearDropMarks();
+        });
+        grid.addEventListener('dragend', function () {
+            var inst = state.dragId && state.instances[state.dragId];
+            if (inst) { inst.el.classList.remove('dragging'); inst.el.draggable = false; }
+            state.dragId = null;
+            clearDropMarks();
+        });
+
+        if (state.toolbar) {
+            state.toolbar.addEventListener('click', function (e) {
+                var action = e.target.getAttribute('data-tb');
+                if (action === 'edit') setEditing(true);
+                else if (action === 'done') setEditing(false);
+                else if (action === 'reset') resetLayout();
+            });
+            state.toolbar.addEventListener('change', function (e) {
+                if (e.target.getAttribute('data-tb') !== 'add' || !e.target.value) return;
+                addWidget(e.target.value);
+                e.target.value = '';
+            });
+        }
+
+        // Katalog erst nach dem ersten Rendern geladen: Titel, Inhalte und Symbolleiste in der gewählten Sprache neu zeichnen
+        document.addEventListener('portalI18nReady', function () {
+            Object.keys(state.instances).forEach(function (id) {
+                var inst = state.instances[id];
+                applyFrame(inst);
+                if (!inst.data) return;
+                render(inst);
+                renderFoot(inst, null);
+            });
+            var empty = state.el.querySelector('.widget-grid-empty');
+            if (empty) empty.textContent = text('empty', null, empty.textContent);
+            renderToolbar();
+        });
+
+        // Verborgener Tab: Timer laufen weiter, geladen wird erst beim Zurückkehren
+        document.addEventListener('visibilitychange', function () {
+            if (document.hidden) return;
+            Object.keys(state.instances).forEach(function (id) {
+                if (state.instances[id].pending) run(state.instances[id]);
+            });
+        });
+    }
+
+    function build() {
+        Object.keys(state.instances).forEach(function (id) { stop(state.instances[id]); });
+        state.el.innerHTML = '';
+        state.widgets = readLayout();
+        state.widgets.filter(visible).forEach(mountWidget);
+        renderEmpty();
+        setEditing(state.editing);
+    }
+
+    function mount(el, options) {
+        options = options || {};
+        state.el = el;
+        state.toolbar = options.toolbar || null;
+        el.classList.add('widget-grid');
+        bindEvents();
+        build();
+    }
+
+    /* ═══════════════════════════════════════════════════════
+       WIDGET-TYPEN
+       ═══════════════════════════════════════════════════════ */
+
+    function register(name, def) {
+        TYPES[name] = Object.assign({ refresh: 300, w: 1, h: 1 }, def);
+    }
+
+    var strategySetting = { key: 'strategy', label: 'Strategie', options: strategyOptions };   // Label: widgets.setting.<key>
+
+    function loadStrategyJSON(config, relPath) {
+        return PortalStrategy.ready().then(function () {
+            return loadJSONData(PortalStrategy.dataUrl(relPath, strategyFor(config)));
+        });
+    }
+
+    register('nlv', {
+        name: 'NLV & P&L',
+        title: function (config) { return text('type.nlv', null, 'NLV & P&L') + strategySuffix(config); },
+        description: 'Kontowert, unrealisierter und realisierter P&L (overview.json)',
+        access: 'trading/index.html',
+        refresh: 60, w: 2, h: 1,
+        settings: [strategySetting],
+        link: function (config) { return PortalStrategy.pageUrl('overview.html', strategyFor(config)); },
+        load: function (config) { return loadStrategyJSON(config, 'overview.json'); },
+        render: function (body, data, config, size) {
+            var ov = data.overview || {};
+            var html = '<div class="widget-value">' + formatCurrency(ov.konto_wert_nlv) + getSourceBadge(ov.konto_wert_from_ib) + '</div>' +
+                '<div class="widget-label">' + text('nlv.value', null, 'Kontowert (NLV)') + '</div>' +
+                row(text('nlv.unrealized', null, 'Unrealisiert'), formatCurrency(ov.unrealized_pnl), signClass(ov.unrealized_pnl)) +
+                row(text('nlv.realized_net', null, 'Realisiert netto'), formatCurrency(ov.realized_pnl_net_total), signClass(ov.realized_pnl_net_total)) +
+                row(text('nlv.realized_gross', null, 'Realisiert brutto'), formatCurrency(ov.realized_pnl_gross_total), signClass(ov.realized_pnl_gross_total));
+            var chart = data.realized_pnl_chart || [];
+            if (size.h > 1 && chart.length) {
+                html += '<div class="widget-label" style="margin-top:10px">' + esc(text('nlv.cumulative', { date: fmtDay(ov.realized_pnl_start_date || chart[0].date) }, 'Kumuliert netto seit {date}')) + '</div>' +
+                    sparkline(chart.map(function (p) { return p.cumulative_net; }), 70);
+            }
+            body.innerHTML = html;
+        }
+    });
+
+    register('margin', {
+        name: 'Margin-Auslastung',
+        title: function (config) { return text('type.margin', null, 'Margin-Auslastung') + strategySuffix(config); },
+        description: 'Auslastung als Tacho mit den Alarmgrenzen, benötigte und freie Margin',
+        access: 'trading/index.html',
+        refresh: 300,
+        settings: [strategySetting],
+        link: function (config) { return PortalStrategy.pageUrl('margin_analyse/margin_analyse.html', strategyFor(config)); },
+        load: function (config) { return loadStrategyJSON(config, 'margin_analyse/margin_analyse.json'); },
+        render: function (body, data) {
+            var c = (data.margin_data && data.margin_data.current) || {};
+            var pct = parseFloat(c.margin_auslastung || 0);
+            var cls = pct > MARGIN_LIMITS.critical ? 'val-negative' : pct > MARGIN_LIMITS.warning ? 'val-warning' : 'val-positive';
+            // Halbkreis 0–100 %: Zonen bis zur Warn- und kritischen Grenze
+            function point(p, r) {
+                var a = Math.PI * (1 - Math.min(100, Math.max(0, p)) / 100);
+                return (60 + r * Math.cos(a)).toFixed(2) + ' ' + (60 - r * Math.sin(a)).toFixed(2);
+            }
+            function arc(from, to, color) {
+                return '<path d="M ' + point(from, 48) + ' A 48 48 0 0 1 ' + point(to, 48) + '" fill="none" stroke="' + color + '" stroke-width="10"/>';
+            }
+            body.innerHTML =
+                '<svg class="widget-gauge" viewBox="0 0 120 68">' +
+                    arc(0, MARGIN_LIMITS.warning, 'var(--color-positive)') +
+                    arc(MARGIN_LIMITS.warning, MARGIN_LIMITS.critical, 'var(--color-orange)') +
+                    arc(MARGIN_LIMITS.critical, 100, 'var(--color-negative)') +
+                    '<line x1="60" y1="60" x2="' + point(pct, 40).replace(' ', '" y2="') + '" stroke="var(--color-text)" stroke-width="2.5" stroke-linecap="round"/>' +
+                    '<circle cx="60" cy="60" r="4" fill="var(--color-text)"/>' +
+                '</svg>' +
+                '<div class="widget-value ' + cls + '" style="text-align:center">' + formatNumber(pct, 1) + '%</div>' +
+                row(text('margin.required', null, 'Benötigt'), formatCurrency(c.margin_benoetigt)) +
+                row(text('margin.excess', null, 'Excess Liquidity'), formatCurrency(c.excess_liquidity));
+        }
+    });
+
+    register('rollover', {
+        name: 'Rollover-Countdown',
+        title: function (config) { return text('type.rollover', null, 'Rollover') + strategySuffix(config); },
+        description: 'Tage bis zum Verfall des gehaltenen Kontrakts',
+        access: 'trading/index.html',
+        refresh: 3600,
+        settings: [strategySetting],
+        link: function (config) { return PortalStrategy.pageUrl('rollover_analyse/rollover_analyse.html', strategyFor(config)); },
+        load: function (config) { return loadStrategyJSON(config, 'rollover_analyse/rollover_analyse.json'); },
+        render: function (body, data) {
+            var c = (data.rollover_data && data.rollover_data.current) || {};
+            if (!c.kontrakt_verfall) { body.innerHTML = '<div class="widget-empty">' + text('rollover.no_contract', null, 'Kein Kontrakt erfasst') + '</div>'; return; }
+            // Ab heute (CT) gerechnet – tage_bis_verfall im Export ist nur so aktuell wie der letzte Lauf
+            var days = daysBetween(todayCT(), c.kontrakt_verfall);
+            var cls = days <= 3 ? 'val-danger' : days <= 7 ? 'val-warning' : 'val-success';
+            body.innerHTML =
+                '<div class="widget-value ' + cls + '">' + (days < 0 ? text('rollover.expired', null, 'Verfallen') : days === 0 ? text('rollover.today', null, 'Heute')
+                    : days === 1 ? text('rollover.day', null, '1 Tag') : text('rollover.days', { n: days }, '{n} Tage')) + '</div>' +
+                '<div class="widget-label">' + esc(text('rollover.until', { contract: c.kontraktname || '' }, 'bis Verfall {contract}')) + '</div>' +
+                row(text('rollover.expiry', null, 'Verfall'), esc(fmtDay(c.kontrakt_verfall))) +
+                row(text('rollover.rollover', null, 'Rollover'), c.rollover_stattgefunden ? text('rollover.done', null, 'erfolgt') : text('rollover.open', null, 'offen'), c.rollover_stattgefunden ? 'val-positive' : '');
+        }
+    });
+
+    var calendarLoads = {};
+    register('exchange', {
+        name: 'Börsenstatus',
+        title: function (config) {
+            var id = config.exchange || 'CME';
+            return window.TradingSessions ? TradingSessions.get(id).name : id;
+        },
+        description: 'Offen/geschlossen mit Countdown (Handelszeiten und Feiertage aus shared/js/sessions.js)',
+        access: 'boerseninformationen/index.html',
+        refresh: 30,
+        settings: [{ key: 'exchange', label: 'Börse', initial: 'CME', options: function () {
+            return TradingSessions.list().map(function (id) { return { value: id, label: TradingSessions.get(id).name }; });
+        } }],
+        link: function () { return prefix + 'boerseninformationen/index.html'; },
+        load: function (config) {
+            var id = config.exchange || 'CME';
+            if (!calendarLoads[id]) calendarLoads[id] = TradingSessions.loadCalendars([id]);
+            return calendarLoads[id].then(function () { return TradingSessions.status(id); });
+        },
+        render: function (body, s, config) {
+            var id = config.exchange || 'CME';
+            body.innerHTML =
+                '<div class="widget-value ' + (s.isOpen ? 'status-ok' : 'status-closed') + '">' + (s.isOpen ? text('exchange.open', null, 'Offen') : text('exchange.closed', null, 'Geschlossen')) + '</div>' +
+                '<div class="widget-label">' + (s.isOpen ? text('exchange.closes_in', { t: fmtCountdown(s.closesInMs) }, 'Schliesst in {t}')
+                    : s.opensAt ? text('exchange.opens_in', { t: fmtCountdown(s.opensInMs) }, 'Öffnet in {t}') : '') + '</div>' +
+                (s.isOpen ? row(text('exchange.close', null, 'Schluss'), esc(TradingSessions.formatLocal(id, s.closesAt)))
+                    : s.opensAt ? row(text('exchange.next_open', null, 'Nächste Eröffnung'), esc(TradingSessions.formatLocal(id, s.opensAt))) : '') +
+                (s.reason ? '<div class="widget-label" style="margin-top:6px">' + esc(s.reason) + '</div>' : '');
+        }
+    });
+
+    register('disruptions', {
+        name: 'Aktive Störungen',
+        title: 'Störungen',
+        description: 'Aktive Meldungen aus dem Störungs-Feed (disruptions.json)',
+        access: 'boerseninformationen/index.html',
+        refresh: 60,
+        link: function () { return prefix + 'boerseninformationen/index.html'; },
+        load: function () { return loadJSONData(prefix + 'boerseninformationen/disruptions.json'); },
+        render: function (body, data) {
+            var active = data.active || [];
+            if (!active.length) {
+                body.innerHTML = '<div class="widget-value status-ok">' + text('disruptions.none', null, 'Keine Störungen') + '</div>' +
+                    '<div class="widget-label">' + text('disruptions.quiet', null, 'Alle Feeds ruhig') + '</div>';
+                return;
+            }
+            body.innerHTML = '<div class="widget-value val-negative">' + text('disruptions.active', { n: active.length }, '{n} aktiv') + '</div>' + active.map(function (item) {
+                var critical = item.severity === 'critical';
+                return '<div class="widget-row" style="justify-content:flex-start;gap:6px"><span class="sp-badge ' + (critical ? 'sp-badge-error' : 'sp-badge-warning') + '">' +
+                    portalText('incidents.severity.' + (critical ? 'critical' : 'warning'), null, critical ? 'Störung' : 'Warnung') + '</span><span>' + esc(item.title) + '</span></div>';
+            }).join('');
+        }
+    });
+
+    register('hebel', {
+        name: 'Letzte Hebel-Entscheidung',
+        title: function (config) { return text('type.hebel', null, 'Letzte Hebel-Entscheidung') + strategySuffix(config); },
+        description: 'Alter und neuer Hebel, Aktion, Reason Code und Faktor-Beiträge (hebel_berechnung.json)',
+        access: 'trading/index.html',
+        refresh: 300, w: 2,
+        settings: [strategySetting],
+        link: function (config) { return PortalStrategy.pageUrl('hebel_berechnung/hebel_berechnung.html', strategyFor(config)); },
+        load: function (config) { return loadStrategyJSON(config, 'hebel_berechnung/hebel_berechnung.json'); },
+        render: function (body, data) {
+            var last = (data.hebel_history || []).reduce(function (a, b) {
+                return !a || String(b.timestamp_chi) > String(a.timestamp_chi) ? b : a;
+            }, null);
+            if (!last) { body.innerHTML = '<div class="widget-empty">' + text('hebel.none', null, 'Noch keine Entscheidung') + '</div>'; return; }
+            var aktion = String(last.aktion || '').toUpperCase();
+            var aktionCls = aktion === 'BUY' ? 'aktion-buy' : aktion === 'SELL' ? 'aktion-sell' : 'aktion-other';
+            var factors = Object.keys(last).filter(function (k) { return /_beitrag$/.test(k) && last[k]; }).map(function (k) {
+                return k.replace(/_beitrag$/, '').toUpperCase().replace('_', '/') + ' ' + formatNumber(last[k], 2);
+            });
+            body.innerHTML =
+                '<div class="widget-value">' + (last.alter_hebel != null ? formatNumber(last.alter_hebel, 3) + 'x &rarr; ' : '') + formatNumber(last.neuer_hebel, 3) + 'x</div>' +
+                '<div class="widget-label">' + esc(formatDateTime(last.timestamp_chi)) + ' CT</div>' +
+                row(text('hebel.change', null, 'Änderung'), last.hebel_aenderung_prozent != null ? (last.hebel_aenderung_prozent > 0 ? '+' : '') + formatNumber(last.hebel_aenderung_prozent, 1) + '%' : '—', signClass(last.hebel_aenderung_prozent)) +
+                row(text('hebel.action', null, 'Aktion'), (aktion ? '<span class="aktion-badge ' + aktionCls + '">' + esc(aktion) + '</span>' : '—') +
+                    (last.delta ? ' ' + text('hebel.contracts', { n: (last.delta > 0 ? '+' : '') + last.delta }, '{n} Kontrakte') : '')) +
+                row(text('hebel.reason', null, 'Reason Code'), esc(last.reason_code || '—')) +
+                (factors.length ? row(text('hebel.factors', null, 'Beiträge'), esc(factors.join(' · '))) : '');
+        }
+    });
+
+    if (window.PortalSeries) {
+        register('series', {
+            name: 'Marktserie',
+            title: function (config) {
+                var s = config.series && PortalSeries.find(config.series);
+                return s ? s.name : text('type.series', null, 'Marktserie');
+            },
+            description: 'Beliebige Serie aus dem Serienkatalog: letzter Wert, Veränderung und Verlauf',
+            access: 'marktanalysen/index.html',
+            refresh: 3600, w: 2,
+            settings: [{ key: 'series', label: 'Serie', required: true, options: function () {
+                return PortalSeries.catalog().then(function (list) {
+                    return [{ value: '', label: text('series.choose', null, 'Serie wählen …') }].concat(list.map(function (s) {
+                        return { value: s.id, label: s.name + ' (' + s.unit + ')', group: s.group };
+                    }));
+                });
+            } }],
+            link: function (config) {
+                var s = config.series && PortalSeries.find(config.series);
+                return s ? prefix + s.href : null;
+            },
+            load: function (config, fresh) {
+                if (!config.series) return null;
+                return PortalSeries.catalog().then(function () {
+                    var s = PortalSeries.find(config.series);
+                    if (!s) throw new Error('Serie ' + config.series + ' nicht im Katalog oder ohne Zugriff');
+                    return PortalSeries.load(s, fresh).then(function (data) { return { entry: s, dates: data.dates, values: data.values }; });
+                });
+            },
+            render: function (body, data, config, size) {
+                if (!data) { body.innerHTML = '<div class="widget-empty">' + text('series.hint', null, 'Über &#x2699; eine Serie wählen') + '</div>'; return; }
+                var points = [];
+                data.values.forEach(function (v, i) {
+                    if (typeof v === 'number' && isFinite(v) && !isNaN(data.dates[i])) points.push({ t: data.dates[i], v: v });
+                });
+                points.sort(function (a, b) { return a.t - b.t; });
+                if (!points.length) { body.innerHTML = '<div class="widget-empty">' + text('series.no_values', null, 'Keine Werte') + '</div>'; return; }
+                var last = points[points.length - 1], prev = points.length > 1 ? points[points.length - 2] : null;
+                var change = prev ? last.v - prev.v : null;
+                var recent = points.slice(-SPARK_POINTS[size.w]);
+                body.innerHTML =
+                    '<div class="widget-value">' + formatNumber(last.v, 2) + ' <span class="widget-unit">' + esc(data.entry.unit) + '</span></div>' +
+                    '<div class="widget-label">' + esc(fmtDay(last.t)) + ' · ' + esc(data.entry.frequency) +
+                        (change !== null ? ' · <span class="' + signClass(change) + '">' + (change > 0 ? '+' : '') + formatNumber(change, 2) + '</span> ' + text('series.vs_previous', null, 'zum Vorwert') : '') + '</div>' +
+                    sparkline(recent.map(function (p) { return p.v; }), size.h > 1 ? 150 : 50) +
+                    '<div class="widget-label">' + esc(data.entry.source) + ' · ' + esc(text('series.from', { date: fmtDay(recent[0].t) }, 'ab {date}')) + '</div>';
+            }
+        });
+    }
+
+    window.PortalWidgets = {
+        register: register,
+        types: function () { return Object.keys(TYPES); },
+        mount: mount,
+        layout: function () { return state.widgets.slice(); },
+        edit: setEditing
+    };
+
+})();
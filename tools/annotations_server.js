@@ -0,0 +1,175 @@
+/**
+ * Trading Portal – Annotations-Dienst (REST-Backend für shared/js/annotations.js)
+ * Speichert Chart-Annotationen und Seitennotizen in einer JSON-Datei, keine Abhängigkeiten.
+ * Start: node tools/annotations_server.js   (Auth-Dienst auf Port 8081 muss laufen, z.B. node auth/dev_server.js)
+ *
+ *   GET    /annotations        → { annotations: [...] }
+ *   POST   /annotations        { page, text, date?, value?, chart?, tags? } → neue Annotation
+ *   DELETE /annotations/<id>   → { deleted: <id> }   (nur Autor oder Admin)
+ *
+ * Jede Anfrage braucht "Authorization: Bearer <token>"; der Token wird beim Auth-Dienst (/verify) geprüft,
+ * Autor, Name und Farbe stammen aus der Sitzung. Schreiben dürfen Analysten und Admins.
+ *
+ * Umgebung: ANNOTATIONS_PORT (8082), ANNOTATIONS_FILE (shared/data/annotations.json), AUTH_URL (http://localhost:8081)
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+
+const ROOT = path.resolve(__dirname, '..');
+const PORT = parseInt(process.env.ANNOTATIONS_PORT || '8082', 10);
+const FILE = path.resolve(ROOT, process.env.ANNOTATIONS_FILE || 'shared/data/annotations.json');
+const AUTH_URL = process.env.AUTH_URL || 'http://localhost:8081';
+const WRITE_ROLES = ['analyst', 'admin'];
+const MAX_TEXT = 2000;
+const MAX_TAGS = 10;
+
+/* ── Speicher ── */
+
+function load() {
+    if (!fs.existsSync(FILE)) return [];
+    try {
+        return JSON.parse(fs.readFileSync(FILE, 'utf8')).annotations || [];
+    } catch (e) {
+        console.error('Annotationsdatei nicht lesbar (' + FILE + '): ' + e.message);
+        process.exit(1);
+    }
+}
+
+// Schreiben über Temp-Datei + rename, damit ein Abbruch die Datei nicht halb überschreibt
+function save(list) {
+    fs.mkdirSync(path.dirname(FILE), { recursive: true });
+    const tmp = FILE + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify({ annotations: list }, null, 4));
+    fs.renameSync(tmp, FILE);
+}
+
+let annotations = load();
+
+/* ── Auth ── */
+
+function verifyToken(token) {
+    return new Promise(function (resolve) {
+        const body = JSON.stringify({ token: token });
+        const req = http.request(AUTH_URL + '/verify', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+            timeout: 5000
+        }, function (res) {
+            let raw = '';
+            res.on('data', function (chunk) { raw += chunk; });
+            res.on('end', function () {
+                try {
+                    const s = JSON.parse(raw);
+                    resolve(s.valid ? s : null);
+                } catch (e) {
+                    resolve(null);
+                }
+            });
+        });
+        req.on('timeout', function () { req.destroy(); });
+        req.on('error', function () { resolve(null); });
+        req.end(body);
+    });
+}
+
+function initials(name) {
+    return String(name || '').split(/[\s._-]+/).filter(Boolean).map(function (w) { return w.charAt(0); }).join('').substring(0, 2).toUpperCase() || '?';
+}
+
+/* ── Validierung ── */
+
+function clean(body, user) {
+    const text = String(body.text || '').trim();
+    if (!text) return [null, 'Text fehlt'];
+    if (text.length > MAX_TEXT) return [null, 'Text länger als ' + MAX_TEXT + ' Zeichen'];
+    const page = String(body.page || '').trim();
+    if (!page || page.length > 200) return [null, 'Seite fehlt oder ist ungültig'];
+    if (body.date && !/^\d{4}-\d{2}-\d{2}$/.test(body.date)) return [null, 'Datum muss JJJJ-MM-TT sein'];
+    const hasValue = body.value !== undefined && body.value !== null && body.value !== '';
+    if (hasValue && !isFinite(Number(body.value))) return [null, 'Wert ist keine Zahl'];
+    if (hasValue && (!body.chart || !body.date)) return [null, 'Ein Wert braucht Datum und Diagramm'];
+    const tags = (Array.isArray(body.tags) ? body.tags : []).map(function (t) { return String(t).trim().substring(0, 30); })
+        .filter(function (t, i, a) { return t && a.indexOf(t) === i; }).slice(0, MAX_TAGS);
+    const color = user.color || (/^#[0-9a-f]{6}$/i.test(body.color || '') ? body.color : null);
+    return [{
+        id: crypto.randomBytes(8).toString('hex'),
+        page: page,
+        chart: body.chart ? String(body.chart).substring(0, 200) : null,
+        date: body.date || null,
+        value: hasValue ? Number(body.value) : null,
+        text: text,
+        tags: tags,
+        author: user.analyst,
+        name: user.name,
+        initials: initials(user.name),
+        color: color,
+        created_at: new Date().toISOString()
+    }, null];
+}
+
+/* ── HTTP ── */
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise(function (resolve) {
+        let raw = '';
+        req.on('data', function (chunk) { raw += chunk; if (raw.length > 1e5) req.destroy(); });
+        req.on('end', function () {
+            try { resolve(JSON.parse(raw || '{}')); } catch (e) { resolve({}); }
+        });
+    });
+}
+
+function handle(req, user, body) {
+    const parts = req.url.split('?')[0].split('/').filter(Boolean);
+    if (parts[0] !== 'annotations' || parts.length > 2) return [404, { detail: 'Not Found' }];
+    const canWrite = user.roles.some(function (r) { return WRITE_ROLES.indexOf(r) !== -1; });
+
+    if (req.method === 'GET' && parts.length === 1) return [200, { annotations: annotations }];
+
+    if (req.method === 'POST' && parts.length === 1) {
+        if (!canWrite) return [403, { detail: 'Nur Analysten dürfen Annotationen anlegen' }];
+        const result = clean(body, user);
+        if (!result[0]) return [400, { detail: result[1] }];
+        annotations.push(result[0]);
+        save(annotations);
+        return [201, result[0]];
+    }
+
+    if (req.method === 'DELETE' && parts.length === 2) {
+        const item = annotations.find(function (a) { return a.id === parts[1]; });
+        if (!item) return [404, { detail: 'Annotation nicht gefunden' }];
+        if (item.author !== user.analyst && user.roles.indexOf('admin') === -1) return [403, { detail: 'Nur eigene Annotationen löschen' }];
+        annotations = annotations.filter(function (a) { return a !== item; });
+        save(annotations);
+        return [200, { deleted: item.id }];
+    }
+
+    return [405, { detail: 'Method Not Allowed' }];
+}
+
+http.createServer(function (req, res) {
+    if (req.method === 'OPTIONS') return send(res, 204);
+    const token = (/^Bearer\s+(.+)$/.exec(req.headers.authorization || '') || [])[1];
+    Promise.all([token ? verifyToken(token) : null, readBody(req)]).then(function (r) {
+        const user = r[0];
+        const out = user ? handle(req, user, r[1]) : [401, { detail: 'Nicht angemeldet oder Token abgelaufen' }];
+        console.log(new Date().toISOString() + ' ' + req.method + ' ' + req.url + ' → ' + out[0] + (user ? ' (' + user.analyst + ')' : ''));
+        send(res, out[0], out[1]);
+    });
+}).listen(PORT, function () {
+    console.log('Annotations-Dienst auf http://localhost:' + PORT + ' – ' + annotations.length + ' Einträge in ' + path.relative(ROOT, FILE));
+});
@@ -0,0 +1,124 @@
+/**
+ * Trading Portal – Health-Historie
+ * Hängt den aktuellen Server-Snapshot (dashboard_analyse.json) als eine Zeile an datenanalysen/health/health_history.jsonl an.
+ * Die Datei wird nur ergänzt, nie umgeschrieben; jede Zeile entspricht shared/config/health_schema.json.
+ * Ein Snapshot, dessen timestamp nicht neuer ist als die letzte Zeile, wird übersprungen (mehrfacher Aufruf ist harmlos).
+ * Start: node tools/append_health.js [--source <datei>]
+ *
+ * Per cron kurz nach dem Schreiben von dashboard_analyse.json (stündlich um hh:10), z.B.:
+ *   15 * * * *  cd /pfad/zum/portal && node tools/append_health.js
+ * Ungültige Snapshots werden nicht angehängt (Exit-Code 1 mit Liste der Abweichungen).
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const SCHEMA = 'shared/config/health_schema.json';
+const DEFAULT_SOURCE = 'dashboard_analyse.json';
+const OUT = 'datenanalysen/health/health_history.jsonl';
+
+function read(rel) {
+    const file = path.resolve(ROOT, rel);
+    return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+}
+
+function arg(name) {
+    const i = process.argv.indexOf('--' + name);
+    return i > 0 ? process.argv[i + 1] : null;
+}
+
+/* ── Schema-Prüfung (Teilmenge von JSON Schema: type, required, properties, pattern, minimum, maximum) ── */
+
+function typeOf(v) {
+    if (v === null) return 'null';
+    if (Array.isArray(v)) return 'array';
+    return typeof v;
+}
+
+function validate(value, schema, at, errors) {
+    const type = typeOf(value);
+    if (schema.type && schema.type !== type) {
+        errors.push(at + ': erwartet ' + schema.type + ', ist ' + type);
+        return errors;
+    }
+    if (schema.pattern && type === 'string' && !new RegExp(schema.pattern).test(value)) errors.push(at + ': Format passt nicht (' + value + ')');
+    if (schema.minimum !== undefined && type === 'number' && value < schema.minimum) errors.push(at + ': kleiner als ' + schema.minimum);
+    if (schema.maximum !== undefined && type === 'number' && value > schema.maximum) errors.push(at + ': grösser als ' + schema.maximum);
+    if (type === 'object') {
+        (schema.required || []).forEach(function (key) {
+            if (!(key in value)) errors.push(at + '.' + key + ': fehlt');
+        });
+        Object.keys(schema.properties || {}).forEach(function (key) {
+            if (key in value) validate(value[key], schema.properties[key], at + '.' + key, errors);
+        });
+    }
+    return errors;
+}
+
+/** Letzte nicht-leere Zeile der Historie, ohne die ganze Datei einzulesen */
+function lastLine(file) {
+    if (!fs.existsSync(file)) return null;
+    const size = fs.statSync(file).size;
+    const len = Math.min(size, 64 * 1024);
+    const buf = Buffer.alloc(len);
+    const fd = fs.openSync(file, 'r');
+    fs.readSync(fd, buf, 0, len, size - len);
+    fs.closeSync(fd);
+    const lines = buf.toString('utf8').split('\n').filter(function (l) { return l.trim(); });
+    return lines.length ? lines[lines.length - 1] : null;
+}
+
+/* ── Start ── */
+
+const source = arg('source') || DEFAULT_SOURCE;
+const raw = read(source);
+if (!raw) {
+    console.error(source + ' nicht gefunden');
+    process.exit(1);
+}
+let snapshot;
+try {
+    snapshot = JSON.parse(raw);
+} catch (e) {
+    console.error(source + ' ist kein gültiges JSON: ' + e.message);
+    process.exit(1);
+}
+
+const errors = validate(snapshot, JSON.parse(read(SCHEMA)), 'snapshot', []);
+if (errors.length) {
+    console.error(source + ' entspricht nicht ' + SCHEMA + ':\n  ' + errors.join('\n  '));
+    process.exit(1);
+}
+
+// Nur die Felder aus dem Schema – was der Erzeuger zusätzlich schreibt, gehört nicht in die Historie
+const line = JSON.stringify({
+    timestamp: snapshot.timestamp,
+    server_status: {
+        gateway_running: snapshot.server_status.gateway_running,
+        port_4002_listening: snapshot.server_status.port_4002_listening,
+        last_check: snapshot.server_status.last_check,
+        overall: snapshot.server_status.overall
+    },
+    system_status: {
+        ram_usage_percent: snapshot.system_status.ram_usage_percent,
+        disk_usage_percent: snapshot.system_status.disk_usage_percent,
+        uptime_days: snapshot.system_status.uptime_days
+    }
+});
+
+const file = path.join(ROOT, OUT);
+const last = lastLine(file);
+if (last) {
+    let lastTs = null;
+    try { lastTs = JSON.parse(last).timestamp; } catch (e) { /* beschädigte letzte Zeile: trotzdem anhängen */ }
+    if (lastTs && snapshot.timestamp <= lastTs) {
+        console.log(OUT + ': Snapshot ' + snapshot.timestamp + ' bereits erfasst (letzte Zeile ' + lastTs + ')');
+        process.exit(0);
+    }
+}
+
+fs.mkdirSync(path.dirname(file), { recursive: true });
+fs.appendFileSync(file, line + '\n');
+console.log(OUT + ': Snapshot ' + snapshot.timestamp + ' angehängt (Gateway ' + (snapshot.server_status.overall ? 'ok' : 'AUSFALL') + ')');
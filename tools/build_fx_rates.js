@@ -0,0 +1,90 @@
+/**
+ * Trading Portal – Wechselkurse für die Anzeigewährung
+ * Baut shared/config/fx_rates.json aus den FRED-Tageskursen, die die Währungsanalyse bereits abruft
+ * (eingebettetes "allPairsData" in marktanalysen/waehrungsanalyse/index.html, erzeugt von update_waehrung.py + generate.py).
+ * Start: node tools/build_fx_rates.js   (nach generate.py)
+ *
+ * Je Anzeigewährung das Paar <Land>_USA: Einheiten der Währung pro 1 USD, ab START.
+ * Genutzt von shared/js/i18n.js – Beträge in USD werden damit in CHF/EUR umgerechnet.
+ *
+ * Ohne generierte Währungsanalyse (frischer Checkout) bleiben vorhandene Kurse stehen; gibt es noch keine,
+ * wird eine leere Datei geschrieben. Das Einstellungs-Menü zeigt CHF/EUR dann als "keine Kurse" an.
+ * Eingecheckt sind Startwerte aus den Tages-Snapshots von @fawazahmed0/currency-api (März 2024 bis September 2026,
+ * Abstand einige Tage bis Wochen; dazwischen gilt der letzte Kurs) – der erste Lauf mit Währungsanalyse ersetzt sie.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const PAGE = 'marktanalysen/waehrungsanalyse/index.html';
+const OUT = 'shared/config/fx_rates.json';
+const DISPLAY = ['CHF', 'EUR'];
+const START = '2020-01-01';
+
+function read(rel) {
+    const file = path.join(ROOT, rel);
+    return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+}
+
+function write(currencies) {
+    // Kompakt: mehrere tausend Tageskurse, bei Einrückung je Zahl eine Zeile
+    fs.mkdirSync(path.dirname(path.join(ROOT, OUT)), { recursive: true });
+    fs.writeFileSync(path.join(ROOT, OUT), JSON.stringify({
+        description: 'Generiert von tools/build_fx_rates.js – nicht von Hand bearbeiten',
+        generated_at: new Date().toISOString().substring(0, 19),
+        base: 'USD',
+        source: PAGE,
+        currencies: currencies
+    }));
+}
+
+const html = read(PAGE);
+if (!html) {
+    const existing = read(OUT);
+    const kept = existing ? Object.keys(JSON.parse(existing).currencies || {}) : [];
+    console.warn('Warnung: ' + PAGE + ' fehlt – zuerst die Währungsanalyse generieren (marktanalysen/generate.py)');
+    if (kept.length) {
+        console.log(OUT + ': unverändert (' + kept.join(', ') + ')');
+    } else {
+        write({});
+        console.log(OUT + ': ohne Kurse geschrieben – Anzeige bleibt in USD');
+    }
+    process.exit(0);
+}
+const m = /^\s*(?:var|const) allPairsData = (\{.*\});?\s*$/m.exec(html);
+if (!m) {
+    console.error('allPairsData nicht gefunden in ' + PAGE);
+    process.exit(1);
+}
+const pairs = JSON.parse(m[1].replace(/\bNaN\b/g, 'null').replace(/-?\bInfinity\b/g, 'null'));
+const currencies = JSON.parse(read('marktanalysen/config/waehrungsanalyse.json')).currencies;
+
+const out = {};
+DISPLAY.forEach(function (symbol) {
+    const code = Object.keys(currencies).find(function (c) { return currencies[c].symbol === symbol; });
+    const pair = code + '_USA';
+    const daily = pairs[pair] && pairs[pair].daily;
+    if (!daily) {
+        console.warn('Warnung: Paar ' + pair + ' fehlt in ' + PAGE);
+        return;
+    }
+    const dates = [];
+    const rates = [];
+    daily.dates.forEach(function (d, i) {
+        const v = daily.fx[i];
+        if (String(d) >= START && typeof v === 'number' && v > 0) {
+            dates.push(String(d).substring(0, 10));
+            rates.push(Math.round(v * 1e6) / 1e6);
+        }
+    });
+    out[symbol] = { name: currencies[code].name, pair: pair, dates: dates, rates: rates };
+});
+
+write(out);
+
+console.log(OUT + ': ' + Object.keys(out).map(function (c) {
+    const r = out[c];
+    return c + ' ' + r.rates.length + ' Kurse bis ' + r.dates[r.dates.length - 1] + ' (' + r.rates[r.rates.length - 1] + ' je USD)';
+}).join(', '));
@@ -0,0 +1,254 @@
+/**
+ * Trading Portal – Makro-Regime-Generator
+ * Baut marktanalysen/config/regime_composite.json aus den Indikatoren in marktanalysen/config/regime.json:
+ *   1. Werte je Indikator aus der Quellseite laden (Pfade aus series_catalog.json), optional YoY
+ *   2. Rollierender Z-Score über "lookback_years" – nur Vergangenheitswerte, kein Look-ahead –, gekappt auf ±z_clip,
+ *      mit "direction" orientiert (positiv = Risk-on)
+ *   3. Wöchentliches Raster (Freitage ab "start"): letzter bekannter Wert, höchstens "max_age_days" alt
+ *   4. Teilscore = Mittel der Indikatoren einer Gruppe, Gesamtscore = gewichtetes Mittel der verfügbaren Teilscores;
+ *      Beitrag einer Gruppe = Gewicht × Teilscore / Summe der verfügbaren Gewichte (Beiträge summieren sich zum Gesamtscore)
+ *   5. Regime: Risk-on über thresholds.risk_on, Risk-off unter thresholds.risk_off, sonst Neutral;
+ *      ein Wechsel gilt erst nach "confirm_periods" Wochen in Folge
+ * Start: node tools/build_regime_composite.js   (nach tools/build_series_catalog.js)
+ *
+ * Veröffentlichungsverzögerungen der Quellen werden nicht modelliert – Monatswerte gelten ab Monatsende.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const CONFIG = 'marktanalysen/config/regime.json';
+const CATALOG = 'marktanalysen/config/series_catalog.json';
+const OUT = 'marktanalysen/config/regime_composite.json';
+const DAY = 864e5;
+const REGIMES = { on: 'Risk-on', neutral: 'Neutral', off: 'Risk-off' };
+
+/* ── Hilfsfunktionen ── */
+
+function read(rel) {
+    const file = path.join(ROOT, rel);
+    return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+}
+
+const pages = {};
+
+/** Eingebettetes Datenobjekt einer generierten Seite (wie in build_series_catalog.js) */
+function pageData(href) {
+    if (!(href in pages)) {
+        const m = /^\s*(?:var|const) (\w+Data) = (\{.*\});?\s*$/m.exec(read(href) || '');
+        pages[href] = m ? JSON.parse(m[2].replace(/\bNaN\b/g, 'null').replace(/-?\bInfinity\b/g, 'null')) : null;
+    }
+    return pages[href];
+}
+
+function pick(obj, keys) {
+    return keys.reduce(function (o, k) { return o == null ? undefined : o[k]; }, obj);
+}
+
+function round(v, digits) {
+    if (v === null || !isFinite(v)) return null;
+    const f = Math.pow(10, digits);
+    return Math.round(v * f) / f;
+}
+
+/** Punkte { t, v } einer Katalogserie, nach Datum sortiert, ohne Lücken */
+function loadSeries(entry) {
+    const data = pageData(entry.href);
+    if (!data) throw new Error('Seite fehlt: ' + entry.href);
+    const dates = pick(data, entry.dates_path) || [];
+    const values = pick(data, entry.path) || [];
+    const points = [];
+    dates.forEach(function (d, i) {
+        if (typeof values[i] === 'number' && isFinite(values[i])) points.push({ t: Date.parse(String(d).substring(0, 10)), v: values[i] });
+    });
+    return points.sort(function (a, b) { return a.t - b.t; });
+}
+
+function yearAgoIndex(points, i) {
+    const target = new Date(points[i].t);
+    target.setUTCFullYear(target.getUTCFullYear() - 1);
+    let j = i;
+    while (j > 0 && points[j].t > target.getTime()) j--;
+    return points[j].t <= target.getTime() && target.getTime() - points[j].t <= 36 * DAY ? j : -1;
+}
+
+function applyTransform(points, transform) {
+    if (!transform) return points;
+    if (transform !== 'yoy') throw new Error('Unbekannte Transformation: ' + transform);
+    const out = [];
+    points.forEach(function (p, i) {
+        const j = yearAgoIndex(points, i);
+        if (j >= 0 && points[j].v) out.push({ t: p.t, v: (p.v / points[j].v - 1) * 100 });
+    });
+    return out;
+}
+
+/** Rollierender Z-Score mit Fenster [t − lookback, t]; erst ab min_history Jahren Daten */
+function rollingZ(points, cfg) {
+    const lookback = cfg.lookback_years * 365.25 * DAY;
+    const minHistory = cfg.min_history_years * 365.25 * DAY;
+    const out = [];
+    let start = 0;
+    points.forEach(function (p, i) {
+        while (points[start].t < p.t - lookback) start++;
+        if (p.t - points[0].t < minHistory) return;
+        let sum = 0, sq = 0;
+        const n = i - start + 1;
+        for (let k = start; k <= i; k++) { sum += points[k].v; sq += points[k].v * points[k].v; }
+        const mean = sum / n;
+        const sd = Math.sqrt(Math.max(0, sq / n - mean * mean) * n / Math.max(1, n - 1));
+        if (!sd) return;
+        out.push({ t: p.t, v: Math.max(-cfg.z_clip, Math.min(cfg.z_clip, (p.v - mean) / sd)) });
+    });
+    return out;
+}
+
+/** Letzter Wert ≤ t je Rasterdatum, höchstens max_age_days alt */
+function sample(points, grid, maxAge) {
+    let j = -1;
+    return grid.map(function (t) {
+        while (j + 1 < points.length && points[j + 1].t <= t) j++;
+        return j >= 0 && t - points[j].t <= maxAge * DAY ? points[j].v : null;
+    });
+}
+
+function fridayGrid(start, end) {
+    const grid = [];
+    const d = new Date(start);
+    d.setUTCDate(d.getUTCDate() + ((5 - d.getUTCDay() + 7) % 7));
+    for (; d.getTime() <= end; d.setUTCDate(d.getUTCDate() + 7)) grid.push(d.getTime());
+    return grid;
+}
+
+function classify(score, thresholds) {
+    if (score === null) return null;
+    if (score >= thresholds.risk_on) return 'on';
+    if (score <= thresholds.risk_off) return 'off';
+    return 'neutral';
+}
+
+/* ── Berechnung ── */
+
+const cfg = JSON.parse(read(CONFIG));
+const catalog = JSON.parse(read(CATALOG) || '{"series":[]}');
+const byId = {};
+catalog.series.forEach(function (s) { byId[s.id] = s; });
+
+const groups = cfg.groups.map(function (g) {
+    const indicators = g.indicators.map(function (ind) {
+        const entry = byId[ind.series];
+        if (!entry) {
+            console.warn('Serie nicht im Katalog: ' + ind.series + ' (tools/build_series_catalog.js ausführen?)');
+            return null;
+        }
+        const z = rollingZ(applyTransform(loadSeries(entry), ind.transform), cfg)
+            .map(function (p) { return { t: p.t, v: p.v * (ind.direction < 0 ? -1 : 1) }; });
+        return { id: ind.series, name: entry.name + (ind.transform === 'yoy' ? ' (YoY)' : ''), source: entry.source,
+                 frequency: entry.frequency, direction: ind.direction < 0 ? -1 : 1, z: z };
+    }).filter(Boolean);
+    return { id: g.id, label: g.label, weight: g.weight === undefined ? 1 : g.weight, indicators: indicators };
+});
+
+// Raster bis zum letzten Datum, an dem noch mindestens die Hälfte der Gewichte Daten hat
+const lastDates = groups.map(function (g) {
+    return Math.max.apply(null, g.indicators.map(function (ind) { return ind.z.length ? ind.z[ind.z.length - 1].t : 0; }));
+});
+const end = Math.max.apply(null, lastDates);
+const grid = fridayGrid(Date.parse(cfg.start), end + 6 * DAY);
+const totalWeight = groups.reduce(function (a, g) { return a + g.weight; }, 0);
+
+groups.forEach(function (g) {
+    const sampled = g.indicators.map(function (ind) { return sample(ind.z, grid, cfg.max_age_days); });
+    g.score = grid.map(function (t, i) {
+        const vals = sampled.map(function (s) { return s[i]; }).filter(function (v) { return v !== null; });
+        return vals.length ? vals.reduce(function (a, v) { return a + v; }, 0) / vals.length : null;
+    });
+});
+
+const composite = [], contributions = {};
+groups.forEach(function (g) { contributions[g.id] = []; });
+grid.forEach(function (t, i) {
+    const avail = groups.filter(function (g) { return g.score[i] !== null; });
+    const weight = avail.reduce(function (a, g) { return a + g.weight; }, 0);
+    if (weight < totalWeight / 2) {
+        composite.push(null);
+        groups.forEach(function (g) { contributions[g.id].push(null); });
+        return;
+    }
+    let sum = 0;
+    groups.forEach(function (g) {
+        const c = g.score[i] === null ? null : g.weight * g.score[i] / weight;
+        contributions[g.id].push(c);
+        if (c !== null) sum += c;
+    });
+    composite.push(sum);
+});
+
+// Regime mit Bestätigung: neuer Zustand erst nach confirm_periods Wochen in Folge
+const regime = [], changes = [];
+let current = null, candidate = null, streak = 0;
+composite.forEach(function (score, i) {
+    const raw = classify(score, cfg.thresholds);
+    if (raw === null) { regime.push(current); return; }
+    if (current === null) current = raw;
+    else if (raw !== current) {
+        streak = raw === candidate ? streak + 1 : 1;
+        candidate = raw;
+        if (streak >= cfg.confirm_periods) {
+            changes.push({ date: iso(grid[i]), from: REGIMES[current], to: REGIMES[raw], composite: round(score, 2) });
+            current = raw;
+            streak = 0;
+            candidate = null;
+        }
+    } else {
+        streak = 0;
+        candidate = null;
+    }
+    regime.push(current);
+});
+
+function iso(t) { return new Date(t).toISOString().substring(0, 10); }
+
+// Letztes Rasterdatum mit Gesamtscore
+let last = composite.length - 1;
+while (last > 0 && composite[last] === null) last--;
+
+const out = {
+    description: 'Generiert von tools/build_regime_composite.js aus ' + CONFIG + ' – nicht von Hand bearbeiten',
+    generated_at: new Date().toISOString().substring(0, 19),
+    settings: {
+        lookback_years: cfg.lookback_years,
+        z_clip: cfg.z_clip,
+        thresholds: cfg.thresholds,
+        confirm_periods: cfg.confirm_periods
+    },
+    regimes: REGIMES,
+    groups: groups.map(function (g) {
+        return {
+            id: g.id, label: g.label, weight: g.weight,
+            indicators: g.indicators.map(function (ind) {
+                return { id: ind.id, name: ind.name, source: ind.source, frequency: ind.frequency, direction: ind.direction };
+            })
+        };
+    }),
+    dates: grid.map(iso),
+    composite: composite.map(function (v) { return round(v, 3); }),
+    regime: regime,
+    subscores: groups.reduce(function (o, g) { o[g.id] = g.score.map(function (v) { return round(v, 3); }); return o; }, {}),
+    contributions: Object.keys(contributions).reduce(function (o, k) { o[k] = contributions[k].map(function (v) { return round(v, 3); }); return o; }, {}),
+    changes: changes,
+    current: {
+        date: iso(grid[last]),
+        composite: round(composite[last], 2),
+        regime: regime[last],
+        subscores: groups.reduce(function (o, g) { o[g.id] = round(g.score[last], 2); return o; }, {})
+    }
+};
+
+// Kompakt statt eingerückt: sieben Wochenreihen über 20 Jahre
+fs.writeFileSync(path.join(ROOT, OUT), JSON.stringify(out));
+
+console.log(OUT + ': ' + grid.length + ' Wochen, ' + changes.length + ' Regimewechsel, aktuell ' +
+    REGIMES[out.current.regime] + ' (' + out.current.composite + ' per ' + out.current.date + ')');
@@ -0,0 +1,246 @@
+/**
+ * Trading Portal – Suchindex-Generator
+ * Baut shared/config/search_index.json aus den vorhandenen Registern statt aus einer Handliste:
+ *   - Bereichsseiten (home.html, <bereich>/index.html) und deren Unterseiten-Links
+ *   - Trading: Seiten-Tabs jeder aktiven Strategie aus trading/config/strategies.json
+ *   - Marktanalysen: "dashboard.pages" aus marktanalysen/config/waehrungsanalyse.json,
+ *     Kachel-Tags (Indikatoren) aus marktanalysen/index.html, Tabs und Chart-Titel der generierten Seiten
+ *   - Research: Ordner und Beiträge aus research/index.html
+ * Start: node tools/build_search_index.js   (nach generate.py bzw. wenn Seiten dazukommen)
+ *
+ * Deep-Links: "#chart=<element-id>" scrollt nav.js zum Chart, "#view=<tab>" öffnet einen SPA-Tab,
+ * "#artikel=<id>" / "#ordner=<id>" öffnen Research-Inhalte.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..');
+const OUT = 'shared/config/search_index.json';
+
+// Bereichsseiten in Sidebar-Reihenfolge; Unterseiten werden aus deren Links gelesen
+const SECTIONS = [
+    { href: 'home.html', title: 'Home' },
+    { href: 'trading/index.html' },
+    { href: 'datenanalysen/index.html' },
+    { href: 'marktanalysen/index.html' },
+    { href: 'boerseninformationen/index.html' },
+    { href: 'research/index.html' }
+];
+
+const ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', shy: '',
+    auml: 'ä', ouml: 'ö', uuml: 'ü', Auml: 'Ä', Ouml: 'Ö', Uuml: 'Ü', szlig: 'ss',
+    eacute: 'é', egrave: 'è', agrave: 'à', ndash: '–', mdash: '—', hellip: '…',
+    empty: '∅', times: '×', minus: '−', euro: '€', deg: '°', plusmn: '±', ge: '≥', le: '≤', prod: '∏',
+    middot: '·', laquo: '«', raquo: '»', rarr: '→', larr: '←', uarr: '↑', darr: '↓', harr: '↔'
+};
+
+/* ── Hilfsfunktionen ── */
+
+function read(rel) {
+    const file = path.join(ROOT, rel);
+    return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+}
+
+function text(html) {
+    return String(html || '')
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, function (m, e) {
+            if (e[0] === '#') return String.fromCodePoint(e[1] === 'x' || e[1] === 'X' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10));
+            return ENTITIES[e] !== undefined ? ENTITIES[e] : m;
+        })
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function first(re, html) {
+    const m = re.exec(html || '');
+    return m ? text(m[1]) : '';
+}
+
+function shorten(str, max) {
+    return str.length > max ? str.substring(0, max - 1).replace(/\s+\S*$/, '') + ' …' : str;
+}
+
+function pageTitle(html) {
+    return first(/<h1[^>]*>([\s\S]*?)<\/h1>/i, html) || first(/<title>([^<|]*?)(?:\s+[-|]\s+[^<]*)?<\/title>/i, html);
+}
+
+function heroText(html) {
+    return first(/class="site-hero"[\s\S]*?<p[^>]*>([\s\S]*?)<\/p>/i, html);
+}
+
+function joinHref(base, rel) {
+    return path.posix.normalize(path.posix.join(path.posix.dirname(base), rel));
+}
+
+/* ── Quellen ── */
+
+function sectionEntries() {
+    const out = [];
+    SECTIONS.forEach(function (sec) {
+        const html = read(sec.href);
+        if (!html) return;
+        out.push({ title: sec.title || pageTitle(html), desc: heroText(html), href: sec.href, section: 'Seiten' });
+
+        // Relative Unterseiten-Links der Bereichsseite (Marktanalysen kommen aus dem Register, Research hat keine)
+        if (sec.href.indexOf('marktanalysen/') === 0) return;
+        const seen = {};
+        const re = /href="([^"#:]+\.html)"/g;
+        let m;
+        while ((m = re.exec(html))) {
+            const href = joinHref(sec.href, m[1]);
+            if (seen[href] || SECTIONS.some(function (s) { return s.href === href; })) continue;
+            seen[href] = true;
+            const sub = read(href);
+            if (!sub) continue;
+            out.push({ title: pageTitle(sub), desc: heroText(sub) || pageTitle(html), href: href, section: 'Seiten' });
+        }
+    });
+    return out;
+}
+
+function tradingEntries() {
+    const cfg = JSON.parse(read('trading/config/strategies.json') || '{"strategies":[]}');
+    const out = [];
+    cfg.strategies.filter(function (s) { return s.status === 'active'; }).forEach(function (s) {
+        const base = 'trading/' + (s.data_path || cfg.pages_path);
+        const overview = read(base + 'overview.html');
+        if (!overview) return;
+        const re = /<a href="([^"]+)" class="spa-tab[^"]*"[^>]*>([^<]*)<\/a>/g;
+        let m;
+        while ((m = re.exec(overview))) {
+            const href = base + m[1];
+            const html = read(href) || '';
+            const full = first(/<title>([^<|]*)/i, html);
+            out.push({
+                title: s.name + ' – ' + text(m[2]),
+                desc: full.indexOf(' - ') > 0 ? full.substring(full.indexOf(' - ') + 3) : s.description || '',
+                href: href + '?s=' + encodeURIComponent(s.id),
+                section: 'Trading',
+                keywords: [s.instrument, s.exchange].filter(Boolean).join(' ')
+            });
+        }
+    });
+    return out;
+}
+
+/** Kacheln der Marktanalysen-Übersicht: Beschreibung + data-tags (Indikatoren, FRED-Serien) je Seite */
+function marketTiles() {
+    const html = read('marktanalysen/index.html') || '';
+    const tiles = {};
+    const re = /<a href="([^"]+)" class="analysis-tile"(?: data-tags="([^"]*)")?>([\s\S]*?)<\/a>/g;
+    let m;
+    while ((m = re.exec(html))) {
+        tiles[m[1]] = {
+            title: first(/class="tile-title">([\s\S]*?)<\/div>/, m[3]),
+            desc: first(/class="tile-description">([\s\S]*?)<\/div>/, m[3]),
+            tags: text(m[2] || '')
+        };
+    }
+    return tiles;
+}
+
+function marketEntries() {
+    const cfg = JSON.parse(read('marktanalysen/config/waehrungsanalyse.json') || '{}');
+    const pages = (cfg.dashboard && cfg.dashboard.pages) || [];
+    const tiles = marketTiles();
+    const out = [];
+    pages.forEach(function (p) {
+        const href = 'marktanalysen/' + p.output;
+        const tile = tiles[p.output] || {};
+        out.push({ title: tile.title || p.title, desc: tile.desc || '', href: href, section: 'Marktanalysen', keywords: [p.title, tile.tags].filter(Boolean).join(' ') });
+
+        // Generierte Seite, sonst das Template (gleiche Struktur, nur ohne Daten)
+        const html = read(href) || read('marktanalysen/templates/' + p.template);
+        if (!html) return;
+        const pageName = tile.title || p.title;
+
+        // SPA-Tabs: <button class="spa-tab" onclick="switchView('id', this)">Label</button>
+        const views = [];
+        const tabRe = /class="spa-tab[^"]*" onclick="switchView\('([^']+)'[^"]*">([^<]*)</g;
+        let m;
+        while ((m = tabRe.exec(html))) {
+            const label = text(m[2]);
+            views.push({ id: m[1], label: label, at: html.indexOf('id="view-' + m[1] + '"') });
+            out.push({ title: pageName + ' – ' + label, desc: pageName + ' › Tab', href: href + '#view=' + m[1], section: 'Marktanalysen', keywords: p.title });
+        }
+
+        // Chart-Karten: Titel (h3.section-title), Untertitel und erste Element-ID als Anker
+        const starts = [];
+        const boxRe = /<div class="chart-container[^"]*"/g;
+        while ((m = boxRe.exec(html))) starts.push(m.index);
+        starts.forEach(function (at, i) {
+            const block = html.substring(at, starts[i + 1] || html.length);
+            const title = first(/<h3 class="section-title"[^>]*>([\s\S]*?)<\/h3>/, block);
+            if (!title || /^(Methodik|Keine Daten)/i.test(title)) return;
+            const idMatch = /\bid="([^"]+)"/.exec(block);
+            const view = views.filter(function (v) { return v.at >= 0 && v.at < at; }).pop();
+            const hash = [view ? 'view=' + view.id : '', idMatch ? 'chart=' + idMatch[1] : ''].filter(Boolean).join('&');
+            const sub = first(/<\/h3>\s*<p[^>]*>([\s\S]*?)<\/p>/, block);
+            out.push({
+                title: title,
+                desc: pageName + (view ? ' › ' + view.label : '') + (sub ? ' – ' + shorten(sub, 90) : ''),
+                href: href + (hash ? '#' + hash : ''),
+                section: 'Charts',
+                keywords: p.title
+            });
+        });
+    });
+    return out;
+}
+
+/** Research-Inhalte stehen als Literal "let items = [...]" in research/index.html */
+function researchEntries() {
+    const html = read('research/index.html') || '';
+    const m = /let items = (\[[\s\S]*?\n\]);/.exec(html);
+    if (!m) return [];
+    let items;
+    try {
+        items = vm.runInNewContext(m[1], {}, { timeout: 1000 });
+    } catch (e) {
+        console.warn('Research-Items nicht lesbar:', e.message);
+        return [];
+    }
+    return items.map(function (i) {
+        const folder = i.type === 'folder';
+        return {
+            title: i.name,
+            desc: folder ? i.description || 'Ordner' : (i.folder ? i.folder + ' – ' : '') + (i.excerpt || ''),
+            href: 'research/index.html#' + (folder ? 'ordner=' : 'artikel=') + i.id,
+            section: 'Research',
+            keywords: [i.author, i.tag].concat((i.attachments || []).map(function (a) { return a.name; }), (i.links || []).map(function (l) { return l.title; }))
+                .filter(Boolean).join(' ')
+        };
+    });
+}
+
+/* ── Ausgabe ── */
+
+const entries = [].concat(sectionEntries(), tradingEntries(), marketEntries(), researchEntries())
+    .map(function (e) {
+        const out = { title: e.title, desc: e.desc || '', href: e.href, section: e.section };
+        if (e.keywords) out.keywords = e.keywords;
+        return out;
+    });
+
+const checked = {};
+entries.forEach(function (e) {
+    const file = e.href.split(/[?#]/)[0];
+    if (checked[file]) return;
+    checked[file] = true;
+    if (!read(file)) console.warn('Ziel fehlt (noch nicht generiert?): ' + file);
+});
+
+fs.writeFileSync(path.join(ROOT, OUT), JSON.stringify({
+    description: 'Generiert von tools/build_search_index.js – nicht von Hand bearbeiten',
+    generated_at: new Date().toISOString().substring(0, 19),
+    entries: entries
+}, null, 4));
+
+const count = {};
+entries.forEach(function (e) { count[e.section] = (count[e.section] || 0) + 1; });
+console.log(OUT + ': ' + entries.length + ' Einträge (' + Object.keys(count).map(function (k) { return k + ' ' + count[k]; }).join(', ') + ')');
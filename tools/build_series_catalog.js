@@ -0,0 +1,351 @@
+/**
+ * Trading Portal – Serienkatalog-Generator
+ * Baut marktanalysen/config/series_catalog.json: jede geplottete Zeitreihe mit Metadaten
+ * (Quelle, Einheit, Frequenz, Zeitraum) – Grundlage für den Chart-Workspace (datenanalysen/workspace/).
+ *   - Marktanalysen: eingebettetes Datenobjekt ("const <x>Data = {...};") jeder generierten Seite aus
+ *     "dashboard.pages"; numerische Arrays werden mit der nächstliegenden Datumsreihe gleicher Länge gepaart
+ *   - Trading: Verlaufsreihen (Konto, MES-Preis, Hebel) der aktiven Strategien aus trading/config/strategies.json
+ * Start: node tools/build_series_catalog.js   (nach generate.py bzw. wenn Seiten dazukommen)
+ *
+ * Der Katalog enthält nur Metadaten und Pfade; die Werte lädt der Workspace bei Bedarf aus der Quellseite.
+ * Einheit und Quelle werden aus Schlüssel und Label abgeleitet – Ausnahmen in KEY_UNITS / FRED_ALIAS.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const OUT = 'marktanalysen/config/series_catalog.json';
+const MIN_POINTS = 12;
+
+// Keine Zeitreihen: Hilfsstrukturen der Seiten
+const SKIP_KEYS = ['nber_recessions', 'labels', 'colors', 'current', 'percentiles', 'term_structure', 'available',
+    'cluster_names', 'cluster_order', 'regime_config', 'backtest', 'drawdowns', 'dd_events', 'spans', 'decades', 'order'];
+
+// Seitenweise ausgelassene Pfade: zinskurve.variants wiederholt raw_data je Spread-Variante (nur "spread" ist neu)
+const SKIP_PATHS = {
+    zinskurve: /^variants\.[^.]+\.(?!spread$)/
+};
+
+// Kleingeschriebene Schlüssel, die einer FRED-Serie entsprechen
+const FRED_ALIAS = {
+    walcl: 'WALCL', rrp: 'RRPONTSYD', tga: 'WTREGEN', dollar: 'DTWEXBGS',
+    y3m: 'DGS3MO', y2: 'DGS2', y5: 'DGS5', y10: 'DGS10',
+    r5: 'DFII5', r7: 'DFII7', r10: 'DFII10', r20: 'DFII20', r30: 'DFII30',
+    unrate: 'UNRATE', u6rate: 'U6RATE', unemploy: 'UNEMPLOY', uempmean: 'UEMPMEAN', uemp27ov: 'UEMP27OV',
+    icsa: 'ICSA', ccsa: 'CCSA', civpart: 'CIVPART', emratio: 'EMRATIO', velocity: 'M2V',
+    sofr: 'SOFR', dff: 'DFF', dgs3mo: 'DGS3MO', fdhbfin: 'FDHBFIN', awhman: 'AWHMAN',
+    jtsqur: 'JTSQUR', jtsjor: 'JTSJOR', jtshir: 'JTSHIR', jtsldl: 'JTSLDL'
+};
+
+// Anzeigenamen für Schlüssel ohne Label im Datenobjekt
+const KEY_NAMES = {
+    spx: 'S&P 500', SPX: 'S&P 500', spx_values: 'S&P 500', spx_yoy: 'S&P 500 YoY',
+    y3m: 'Treasury 3M', y2: 'Treasury 2Y', y5: 'Treasury 5Y', y10: 'Treasury 10Y',
+    r5: 'TIPS 5Y', r7: 'TIPS 7Y', r10: 'TIPS 10Y', r20: 'TIPS 20Y', r30: 'TIPS 30Y',
+    tp2: 'Term Premium 2Y', tp5: 'Term Premium 5Y', tp10: 'Term Premium 10Y', spread: 'Spread',
+    tms2_nominal: 'TMS2 nominal', tms2_real: 'TMS2 real', m2_nominal: 'M2 nominal', m2_real: 'M2 real',
+    exp_trend: 'Exponentieller Trend', deviation_pct: 'Abweichung vom Trend', yoy_change: 'Veränderung YoY',
+    rrp: 'Reverse Repo', tga: 'TGA', walcl: 'Fed-Bilanz', dollar: 'Dollar Index (TWI)', dollar_yoy: 'Dollar Index YoY',
+    net_liquidity_yoy: 'Netto-Liquidität YoY',
+    futures_price: 'Futures-Preis', spot_price: 'Spot-Preis', dte: 'Tage bis Verfall', basis_bps: 'Basis',
+    implied_no_div: 'Impliziter Zins (ohne Dividende)', implied_with_div: 'Impliziter Zins (mit Dividende)',
+    implied_rate: 'Impliziter Zins', div_yield: 'Dividendenrendite', sofr: 'SOFR', dff: 'Fed Funds (effektiv)',
+    dgs3mo: 'T-Bill 3M', spread_vs_sofr: 'Spread vs. SOFR', spread_vs_dff: 'Spread vs. Fed Funds',
+    spread_vs_tbill: 'Spread vs. T-Bill', bh_cumret: 'Buy & Hold kumuliert',
+    konto_wert: 'Kontowert', konto_wert_pct: 'Kontowert-Rendite', buy_hold_pct: 'Buy & Hold', mes_preis: 'MES-Preis',
+    neuer_hebel: 'Hebel', kosten_kumulativ: 'Kosten kumuliert',
+    unrate: 'Arbeitslosenquote', u6rate: 'Arbeitslosenquote U-6', unemploy: 'Arbeitslose', uempmean: 'Ø Dauer der Arbeitslosigkeit',
+    uemp27ov: 'Langzeitarbeitslose (27+ Wochen)', icsa: 'Erstanträge Arbeitslosenhilfe', ccsa: 'Fortgesetzte Anträge',
+    civpart: 'Partizipationsrate', primepart: 'Partizipation 25–54', emratio: 'Beschäftigungsquote', sahm: 'Sahm-Regel',
+    awhman: 'Wochenstunden Industrie', jtsqur: 'Kündigungsquote (JOLTS)', jtsjor: 'Offene Stellen (JOLTS)',
+    jtshir: 'Einstellungsquote (JOLTS)', jtsldl: 'Entlassungsquote (JOLTS)', leading_composite: 'Vorlaufender Beschäftigungs-Composite',
+    broad_composite: 'Breiter Beschäftigungs-Composite', spread_leading_nf: 'Spread Vorlauf vs. Nonfarm',
+    spread_leading_broad: 'Spread Vorlauf vs. breit', be_10y_5y: 'Breakeven 10Y–5Y', be_30y_10y: 'Breakeven 30Y–10Y',
+    hy_ig: 'HY minus IG', real_wage: 'Reallohn', real_wage_core: 'Reallohn (Core CPI)', real_fedfunds: 'Realer Leitzins',
+    wage_growth: 'Lohnwachstum', composite: 'Composite', credit_composite: 'Kredit-Composite', indpro: 'Industrieproduktion',
+    productivity: 'Produktivität', ulc: 'Lohnstückkosten', productivity_yoy: 'Produktivität YoY', ulc_yoy: 'Lohnstückkosten YoY',
+    clf_yoy: 'Erwerbspersonen YoY', cumret: 'Kumulierte Rendite', position: 'Position',
+    cum_bh: 'Buy & Hold kumuliert', cum_timing: 'Timing-Strategie kumuliert', tms2_ma: 'Gleitender Durchschnitt',
+    drawdown_bh: 'Drawdown Buy & Hold', drawdown_timing: 'Drawdown Timing-Strategie'
+};
+
+// Einheiten, die sich nicht aus dem Schlüssel ableiten lassen
+const KEY_UNITS = {
+    dte: 'Tage', spx: 'Punkte', spx_values: 'Punkte', futures_price: 'Punkte', spot_price: 'Punkte',
+    mes_preis: 'Punkte', konto_wert: 'USD', kosten_kumulativ: 'USD', neuer_hebel: 'Faktor', velocity: 'Faktor',
+    vel_factor: 'Faktor', icsa: 'Personen', ccsa: 'Personen', dollar: 'Index', cum_bh: 'Faktor', cum_timing: 'Faktor',
+    SPX: 'Punkte', civpart: '%', primepart: '%', emratio: '%', LNS11300060: '%', jtsqur: '%', jtshir: '%', jtsldl: '%',
+    T10Y2Y: '%', T10Y3M: '%', hy_ig: '%', MICH: '%', EXPINF1YR: '%', EXPINF10YR: '%', awhman: 'Stunden',
+    drawdown_bh: '%', drawdown_timing: '%', TDSP: '%', MDSP: '%', CDSP: '%', FODSP: '%', real_wage: 'Index', real_wage_core: 'Index'
+};
+
+// Pfadsegmente, die im Namen als Zusatz erscheinen
+const SEGMENT_NAMES = {
+    yoy: 'YoY', broad_yoy: 'YoY, lang', extended_yoy: 'YoY', pct: 'Anteil', pct1y: 'Perzentil 1J', pct2y: 'Perzentil 2J',
+    level: 'Niveau', levels: 'Niveau', indexed: 'indexiert', nominal: 'nominal', tips: 'TIPS', breakeven: 'Breakeven',
+    es: 'ES', gold: 'Gold', m2: 'M2', sloos: 'SLOOS', weekly: 'wöchentlich', monthly: 'monatlich', performance: 'Performance',
+    components: 'Komponenten'
+};
+
+// Neutrale Pfadsegmente (Containernamen ohne Aussage)
+const NEUTRAL_SEGMENTS = ['data', 'series', 'values', 'clusters', 'strategy', 'raw_data', 'extended', 'quarterly', 'annual', 'level_data', 'variants',
+    'claims', 'jolts', 'prod_ulc', 'unemployment_rates', 'unemployment_detail'];
+
+// Schlüssel ohne eigene Bedeutung: Name kommt vom Elternschlüssel ("sahm.values" → "Sahm-Regel")
+const QUALIFIER_KEYS = ['values', 'yoy', 'pct1y', 'pct2y'];
+
+/* ── Hilfsfunktionen ── */
+
+function read(rel) {
+    const file = path.join(ROOT, rel);
+    return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+}
+
+/** Eingebettetes Datenobjekt einer generierten Seite; NaN/Infinity (financial_conditions) werden zu null */
+function pageData(html) {
+    const m = /^\s*(?:var|const) (\w+Data) = (\{.*\});?\s*$/m.exec(html || '');
+    if (!m) return null;
+    try {
+        return { name: m[1], data: JSON.parse(m[2].replace(/\bNaN\b/g, 'null').replace(/-?\bInfinity\b/g, 'null')) };
+    } catch (e) {
+        console.warn('Datenobjekt ' + m[1] + ' nicht lesbar: ' + e.message);
+        return null;
+    }
+}
+
+function isDateArray(arr) {
+    return Array.isArray(arr) && arr.length > 0 && typeof arr[0] === 'string' && /^\d{4}-\d{2}(-\d{2})?/.test(arr[0]);
+}
+
+function isSeries(arr) {
+    if (!Array.isArray(arr) || arr.length < MIN_POINTS) return false;
+    let numbers = 0;
+    for (let i = 0; i < arr.length; i++) {
+        if (typeof arr[i] === 'number') numbers++;
+        else if (arr[i] !== null) return false;
+    }
+    return numbers >= MIN_POINTS;
+}
+
+/** "net_liquidity_yoy" → "Net liquidity yoy" */
+function humanize(key) {
+    const s = String(key).replace(/_/g, ' ').replace(/\byoy\b/gi, 'YoY').trim();
+    return s.charAt(0).toUpperCase() + s.substring(1);
+}
+
+/** Datumsreihe zur Reihe an "trail" (Objekte vom Wurzel- bis zum Elternobjekt): nächster Vorfahre zuerst */
+function findDates(trail, keys, length) {
+    for (let level = trail.length - 1; level >= 0; level--) {
+        const obj = trail[level];
+        const hint = String(keys[level] || '').replace(/_(yoy|values|pct)$/, '');
+        const candidates = [];
+        Object.keys(obj).forEach(function (k) {
+            if (k !== 'dates' && !/_dates$/.test(k)) return;
+            const v = obj[k];
+            if (isDateArray(v)) candidates.push({ key: k, dates: v });
+            else if (v && typeof v === 'object' && !Array.isArray(v)) {
+                // demographics: dates = { participation: [...], unrate: [...] }
+                Object.keys(v).forEach(function (sub) { if (isDateArray(v[sub])) candidates.push({ key: sub + '_dates', dates: v[sub] }); });
+            }
+        });
+        const fitting = candidates.filter(function (c) { return c.dates.length === length; });
+        if (!fitting.length) continue;
+        const named = fitting.find(function (c) { return c.key === hint + '_dates' || hint.indexOf(c.key.replace(/_dates$/, '')) === 0; });
+        const plain = fitting.find(function (c) { return c.key === 'dates'; });
+        return (named || plain || fitting[0]).dates;
+    }
+    return null;
+}
+
+/** Median-Abstand der Datumswerte → Frequenz */
+function frequency(dates) {
+    const gaps = [];
+    for (let i = 1; i < dates.length && gaps.length < 400; i++) {
+        gaps.push((Date.parse(dates[i].substring(0, 10)) - Date.parse(dates[i - 1].substring(0, 10))) / 864e5);
+    }
+    gaps.sort(function (a, b) { return a - b; });
+    const median = gaps[Math.floor(gaps.length / 2)] || 0;
+    if (median <= 4) return 'täglich';
+    if (median <= 10) return 'wöchentlich';
+    if (median <= 40) return 'monatlich';
+    if (median <= 120) return 'quartalsweise';
+    return 'jährlich';
+}
+
+function fredId(key, labels) {
+    if (FRED_ALIAS[key]) return FRED_ALIAS[key];
+    if (/^[A-Z][A-Z0-9]{2,}$/.test(key) && key !== 'SPX' && !/^\d/.test(key)) return key;
+    if (labels[key.toUpperCase()] && key.toUpperCase() !== 'SPX') return key.toUpperCase();
+    return null;
+}
+
+function label(key, labels) {
+    const v = labels[key] || labels[key.toUpperCase()] || labels[FRED_ALIAS[key]];
+    if (typeof v === 'string') return v;
+    return KEY_NAMES[key] || humanize(key);
+}
+
+/** Anzeigename: Label der Reihe plus bedeutungstragende Pfadsegmente ("Heavy Truck Sales (Transport & Heavy Trucks, YoY)") */
+function seriesName(keys, labels, groups) {
+    let baseAt = keys.length - 1;
+    if (QUALIFIER_KEYS.indexOf(keys[baseAt]) !== -1 && baseAt > 0) baseAt--;
+    const base = label(keys[baseAt], labels);
+    const context = keys.filter(function (k, i) { return i !== baseAt && NEUTRAL_SEGMENTS.indexOf(k) === -1 && k !== 'values'; })
+        .map(function (k) {
+            const i = keys.indexOf(k);
+            if (keys[i - 1] === 'variants') return 'Variante ' + k.replace(/_/g, '–');
+            return SEGMENT_NAMES[k] || groups[k] || (typeof labels[k] === 'string' ? labels[k] : KEY_NAMES[k] || humanize(k));
+        })
+        .filter(function (k) { return base.indexOf(k) === -1; });
+    return base + (context.length ? ' (' + context.join(', ') + ')' : '');
+}
+
+function unit(keys, name) {
+    const key = keys[keys.length - 1];
+    const joined = keys.join('.').toLowerCase();
+    if (/yoy/i.test(joined + ' ' + name)) return '%';
+    if (KEY_UNITS[key]) return KEY_UNITS[key];
+    if (QUALIFIER_KEYS.indexOf(key) !== -1 && KEY_UNITS[keys[keys.length - 2]]) return KEY_UNITS[keys[keys.length - 2]];
+    if (/(^|\.)pct[12]y(\.|$)/.test(joined)) return 'Perzentil';
+    if (/(^|\.)indexed(\.|$)|cumret/.test(joined)) return 'Index';
+    if (/bps/.test(joined)) return 'Bp.';
+    if (/yoy|(^|_)pct($|\.|_)|(^|\.)pct\.|deviation|margin|rate|spread|yield|implied|sofr|dff|dgs|share|percent|sahm/.test(joined)) return '%';
+    if (/^(y|r|tp)\d+m?$/.test(key) || /^\d+Y$/.test(key)) return '%';
+    if (/%|Rate|Spread|Yield|Quote|Margin|\/ GDP|Tightening|Delinq|Charge/i.test(name)) return '%';
+    return 'Niveau';
+}
+
+/* ── Quellen ── */
+
+function marketSeries(pages, out) {
+    pages.forEach(function (p) {
+        const href = 'marktanalysen/' + p.output;
+        const parsed = pageData(read(href));
+        if (!parsed) {
+            console.warn('Keine Daten (Seite fehlt oder ohne Datenobjekt): ' + href);
+            return;
+        }
+        const groups = parsed.data.cluster_names || {};
+        const skip = SKIP_PATHS[p.id];
+        const seen = {};
+        let count = 0;
+
+        (function walk(node, keys, trail, labels) {
+            if (Array.isArray(node)) {
+                if (!isSeries(node) || (skip && skip.test(keys.join('.')))) return;
+                const dates = findDates(trail, keys, node.length);
+                if (!dates) return;
+                // Kopien überspringen (zinskurve.variants wiederholt raw_data je Spread-Variante)
+                const fingerprint = dates[0] + '|' + dates.length + '|' + node.join(',');
+                if (seen[fingerprint]) return;
+                seen[fingerprint] = true;
+                const key = keys[keys.length - 1];
+                const fred = fredId(key, labels);
+                const name = seriesName(keys, labels, groups);
+                const first = node.findIndex(function (v) { return v !== null; });
+                let last = node.length - 1;
+                while (last > 0 && node[last] === null) last--;
+                out.push({
+                    id: p.id + '.' + keys.join('.'),
+                    name: name,
+                    group: p.title,
+                    source: fred ? 'FRED: ' + fred : /^spx/i.test(key) || keys[keys.length - 2] === 'spx' ? 'Yahoo Finance: ^GSPC' : 'Berechnet (' + p.title + ')',
+                    unit: unit(keys, name),
+                    frequency: frequency(dates),
+                    start: dates[first].substring(0, 10),
+                    end: dates[last].substring(0, 10),
+                    points: node.filter(function (v) { return v !== null; }).length,
+                    href: href,
+                    var: parsed.name,
+                    path: keys,
+                    dates_path: datesPath(trail, keys, dates)
+                });
+                count++;
+                return;
+            }
+            if (!node || typeof node !== 'object') return;
+            // Labels gelten für ihren Zweig (tms2.components.labels ergänzt die Seiten-Labels)
+            if (node.labels && typeof node.labels === 'object') labels = Object.assign({}, labels, node.labels);
+            Object.keys(node).forEach(function (k) {
+                if (SKIP_KEYS.indexOf(k) !== -1 || k === 'dates' || /_dates$/.test(k)) return;
+                walk(node[k], keys.concat(k), trail.concat([node]), labels);
+            });
+        })(parsed.data, [], [], {});
+
+        if (!count) console.warn('Keine Zeitreihen gefunden: ' + href);
+    });
+}
+
+/** Pfad der gefundenen Datumsreihe (für den Workspace) */
+function datesPath(trail, keys, dates) {
+    for (let level = trail.length - 1; level >= 0; level--) {
+        const obj = trail[level];
+        for (const k of Object.keys(obj)) {
+            if (obj[k] === dates) return keys.slice(0, level).concat(k);
+            if (k === 'dates' && obj[k] && !Array.isArray(obj[k]) && typeof obj[k] === 'object') {
+                for (const sub of Object.keys(obj[k])) if (obj[k][sub] === dates) return keys.slice(0, level).concat(k, sub);
+            }
+        }
+    }
+    return null;
+}
+
+// Verlaufsreihen der Trading-Strategien: Datei, Array-Pfad, Datumsfeld und Felder
+const TRADING_SOURCES = [
+    { file: 'performance_analyse/performance_analyse.json', records: ['performance_data', 'history'], date: 'datum',
+      fields: ['mes_preis', 'konto_wert', 'konto_wert_pct', 'buy_hold_pct', 'neuer_hebel', 'kosten_kumulativ'] }
+];
+
+function tradingSeries(out) {
+    const cfg = JSON.parse(read('trading/config/strategies.json') || '{"strategies":[]}');
+    cfg.strategies.filter(function (s) { return s.status === 'active'; }).forEach(function (s) {
+        const base = 'trading/' + (s.data_path || cfg.pages_path);
+        TRADING_SOURCES.forEach(function (src) {
+            const raw = read(base + src.file);
+            if (!raw) return console.warn('Trading-Daten fehlen: ' + base + src.file);
+            let records = JSON.parse(raw);
+            src.records.forEach(function (k) { records = records && records[k]; });
+            if (!Array.isArray(records) || !records.length) return;
+            const dates = records.map(function (r) { return String(r[src.date] || ''); });
+            src.fields.forEach(function (field) {
+                const values = records.map(function (r) { return typeof r[field] === 'number' ? r[field] : null; });
+                if (!isSeries(values)) return;
+                const name = (KEY_NAMES[field] || humanize(field)) + (field === 'mes_preis' ? '' : ' (' + s.name + ')');
+                out.push({
+                    id: 'trading.' + s.id + '.' + field,
+                    name: name,
+                    group: 'Trading – ' + s.name,
+                    source: 'Interactive Brokers (' + s.account + '-Konto)',
+                    unit: unit([field], name),
+                    frequency: frequency(dates),
+                    start: dates[0].substring(0, 10),
+                    end: dates[dates.length - 1].substring(0, 10),
+                    points: values.filter(function (v) { return v !== null; }).length,
+                    href: base + src.file,
+                    records: src.records,
+                    date_field: src.date,
+                    field: field
+                });
+            });
+        });
+    });
+}
+
+/* ── Ausgabe ── */
+
+const cfg = JSON.parse(read('marktanalysen/config/waehrungsanalyse.json') || '{}');
+const series = [];
+marketSeries((cfg.dashboard && cfg.dashboard.pages) || [], series);
+tradingSeries(series);
+
+fs.writeFileSync(path.join(ROOT, OUT), JSON.stringify({
+    description: 'Generiert von tools/build_series_catalog.js – nicht von Hand bearbeiten',
+    generated_at: new Date().toISOString().substring(0, 19),
+    series: series
+}, null, 4));
+
+const count = {};
+series.forEach(function (s) { count[s.group] = (count[s.group] || 0) + 1; });
+console.log(OUT + ': ' + series.length + ' Zeitreihen aus ' + Object.keys(count).length + ' Quellen');
@@ -0,0 +1,467 @@
+/**
+ * Trading Portal – Wochenbericht
+ * Stellt aus den JSON-Quellen der Trading- und Marktseiten einen eigenständigen HTML-Bericht zusammen
+ * (CSS und Diagramme als SVG eingebettet, keine externen Abhängigkeiten), optional zusätzlich als PDF.
+ * Abschnitte und Reihenfolge: trading/config/report.json
+ *   kpis       Kennzahlen mit Veränderung zur Vorwoche
+ *   chart      Zeitreihen aus performance, margin, pnl, regime oder dem Serienkatalog (catalog)
+ *   decisions  Hebelentscheidungen der Berichtswoche (recent_transactions aus overview.json)
+ *   closures   Anstehende CME-Schliessungen und Kontraktverfall
+ * Start: node tools/build_weekly_report.js [--date JJJJ-MM-TT] [--strategy <id>] [--config <datei>] [--out <datei>] [--pdf]
+ *
+ * Ohne --date endet die Berichtswoche am Zeitstempel von overview.json. Ausgabe standardmässig nach
+ * reports/wochenbericht_<strategie>_<JJJJ>-KW<ww>.html. --pdf druckt die HTML-Datei mit Chrome/Chromium
+ * im Headless-Modus (Pfad über CHROME_BIN, sonst Suche im PATH).
+ * Wöchentlich per cron, z.B. montags 07:00:  0 7 * * 1  cd /pfad/zum/portal && node tools/build_weekly_report.js --pdf
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const childProcess = require('child_process');
+
+const ROOT = path.resolve(__dirname, '..');
+const STRATEGIES = 'trading/config/strategies.json';
+const DEFAULT_CONFIG = 'trading/config/report.json';
+const DAY = 864e5;
+const COLORS = ['#2598C3', '#F79645', '#9BBB59', '#8064A2', '#C0504D', '#4BACC6'];
+
+/* ── Hilfsfunktionen ── */
+
+function read(rel) {
+    const file = path.resolve(ROOT, rel);
+    return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+}
+
+const warnings = [];
+
+function json(rel) {
+    const text = read(rel);
+    if (text === null) {
+        warnings.push('Quelle fehlt: ' + rel);
+        return null;
+    }
+    return JSON.parse(text.replace(/\bNaN\b/g, 'null').replace(/-?\bInfinity\b/g, 'null'));
+}
+
+const pages = {};
+
+/** Eingebettetes Datenobjekt einer generierten Seite (wie in build_series_catalog.js) */
+function pageData(href) {
+    if (!(href in pages)) {
+        const m = /^\s*(?:var|const) (\w+Data) = (\{.*\});?\s*$/m.exec(read(href) || '');
+        pages[href] = m ? JSON.parse(m[2].replace(/\bNaN\b/g, 'null').replace(/-?\bInfinity\b/g, 'null')) : null;
+    }
+    return pages[href];
+}
+
+function pick(obj, keys) {
+    return keys.reduce(function (o, k) { return o == null ? undefined : o[k]; }, obj);
+}
+
+function day(s) {
+    return Date.parse(String(s).substring(0, 10));
+}
+
+function isoDate(t) {
+    return new Date(t).toISOString().substring(0, 10);
+}
+
+function dateDE(t) {
+    const d = new Date(t);
+    return String(d.getUTCDate()).padStart(2, '0') + '.' + String(d.getUTCMonth() + 1).padStart(2, '0') + '.' + d.getUTCFullYear();
+}
+
+function isoWeek(t) {
+    const d = new Date(t);
+    d.setUTCDate(d.getUTCDate() + 3 - (d.getUTCDay() + 6) % 7);
+    const jan4 = Date.UTC(d.getUTCFullYear(), 0, 4);
+    return { year: d.getUTCFullYear(), week: 1 + Math.round(((d.getTime() - jan4) / DAY - 3 + (new Date(jan4).getUTCDay() + 6) % 7) / 7) };
+}
+
+function esc(s) {
+    return String(s === null || s === undefined ? '' : s).replace(/[&<>"]/g, function (c) {
+        return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c];
+    });
+}
+
+function fmt(v, digits) {
+    if (v === null || v === undefined || !isFinite(v)) return '–';
+    return Number(v).toLocaleString('de-DE', { minimumFractionDigits: digits, maximumFractionDigits: digits });
+}
+
+function withUnit(text, unit) {
+    return unit ? text + (unit === '%' ? ' %' : ' ' + unit) : text;
+}
+
+function parseArgs(argv) {
+    const args = { pdf: false };
+    for (let i = 0; i < argv.length; i++) {
+        const a = argv[i];
+        if (a === '--pdf') args.pdf = true;
+        else if (['--date', '--strategy', '--config', '--out'].indexOf(a) !== -1 && argv[i + 1]) args[a.substring(2)] = argv[++i];
+        else throw new Error('Unbekanntes Argument: ' + a);
+    }
+    if (args.date && !/^\d{4}-\d{2}-\d{2}$/.test(args.date)) throw new Error('--date muss JJJJ-MM-TT sein');
+    return args;
+}
+
+/* ── Quellen ── */
+
+function loadSources(strategy) {
+    const base = 'trading/' + strategy.data_path;
+    return {
+        overview: json(base + 'overview.json'),
+        performance: json(base + 'performance_analyse/performance_analyse.json'),
+        margin: json(base + 'margin_analyse/margin_analyse.json'),
+        rollover: json(base + 'rollover_analyse/rollover_analyse.json'),
+        cme: json('boerseninformationen/cme.json'),
+        regime: json('marktanalysen/config/regime_composite.json'),
+        catalog: json('marktanalysen/config/series_catalog.json')
+    };
+}
+
+/** Zeilen { t, row } einer Quelle, nach Datum sortiert */
+function rows(src, source) {
+    let list = [];
+    if (source === 'performance') {
+        list = (pick(src.performance, ['performance_data', 'history']) || []).map(function (r) { return { t: day(r.datum), row: r }; });
+    } else if (source === 'margin') {
+        const m = (src.margin && src.margin.margin_data) || {};
+        list = (m.history || []).map(function (r) { return { t: day(r.datum), row: r }; });
+        // "current" ist oft neuer als der letzte Verlaufseintrag
+        if (m.current && m.current.date_chi) list.push({ t: day(m.current.date_chi), row: m.current });
+    } else if (source === 'pnl') {
+        list = ((src.overview && src.overview.realized_pnl_chart) || []).map(function (r) { return { t: day(r.date), row: r }; });
+    } else {
+        throw new Error('Unbekannte Quelle: ' + source);
+    }
+    return list.filter(function (r) { return isFinite(r.t); }).sort(function (a, b) { return a.t - b.t; });
+}
+
+/** Punkte { t, v } einer Serienangabe aus report.json bzw. der Kennzahlentabelle */
+function points(src, spec) {
+    if (spec.source === 'regime') {
+        const r = src.regime || { dates: [], composite: [] };
+        return r.dates.map(function (d, i) { return { t: day(d), v: r.composite[i] }; })
+            .filter(function (p) { return typeof p.v === 'number'; });
+    }
+    if (spec.source === 'catalog') {
+        const entry = ((src.catalog && src.catalog.series) || []).find(function (s) { return s.id === spec.id; });
+        const data = entry && pageData(entry.href);
+        if (!data) {
+            warnings.push('Katalogserie nicht verfügbar: ' + spec.id);
+            return [];
+        }
+        const dates = pick(data, entry.dates_path) || [];
+        const values = pick(data, entry.path) || [];
+        return dates.map(function (d, i) { return { t: day(d), v: values[i] }; })
+            .filter(function (p) { return typeof p.v === 'number' && isFinite(p.v) && isFinite(p.t); })
+            .sort(function (a, b) { return a.t - b.t; });
+    }
+    const get = typeof spec.field === 'function' ? spec.field : function (r) { return r[spec.field]; };
+    return rows(src, spec.source).map(function (r) { return { t: r.t, v: get(r.row) }; })
+        .filter(function (p) { return typeof p.v === 'number' && isFinite(p.v); });
+}
+
+function valueAt(pts, t) {
+    let v = null;
+    for (let i = 0; i < pts.length && pts[i].t <= t; i++) v = pts[i].v;
+    return v;
+}
+
+function sumBetween(pts, from, to) {
+    return pts.reduce(function (s, p) { return p.t > from && p.t <= to ? s + p.v : s; }, 0);
+}
+
+/* ── Kennzahlen ── */
+
+// mode: level = Stand am Wochenende, sum = Summe der Woche, change = Zuwachs eines kumulierten Werts in der Woche
+// good: Richtung, in der eine Veränderung positiv eingefärbt wird (0 = neutral)
+const KPIS = {
+    konto_wert: { label: 'Kontowert', source: 'performance', field: 'konto_wert', unit: 'USD', digits: 0, good: 1 },
+    rendite: { label: 'Rendite seit Start', source: 'performance', field: 'konto_wert_pct', unit: '%', digits: 2, good: 1 },
+    vs_buy_hold: {
+        label: 'Mehrrendite ggü. Buy & Hold', source: 'performance', unit: '%', digits: 2, good: 1,
+        field: function (r) { return r.konto_wert_pct - r.buy_hold_pct; }
+    },
+    hebel: { label: 'Hebel', source: 'performance', field: 'neuer_hebel', digits: 2, good: 0 },
+    margin_auslastung: { label: 'Margin-Auslastung', source: 'margin', field: 'margin_auslastung', unit: '%', digits: 1, good: 0 },
+    pnl_woche: { label: 'Realisierter PnL der Woche (netto)', source: 'pnl', field: 'daily_net', mode: 'sum', unit: 'USD', digits: 0, good: 1 },
+    kosten_woche: { label: 'Kosten der Woche inkl. Slippage', source: 'performance', field: 'total_kosten_kumulativ', mode: 'change', unit: 'USD', digits: 0, good: -1 },
+    trades_woche: { label: 'Trades der Woche', source: 'pnl', field: 'trade_count', mode: 'sum', digits: 0, good: 0 },
+    mes_preis: { label: 'MES-Preis', source: 'performance', field: 'mes_preis', digits: 2, good: 1 }
+};
+
+function kpiValues(src, def, end, period) {
+    const pts = points(src, def);
+    if (!pts.length) return null;
+    if (def.mode === 'sum') return [sumBetween(pts, end - period, end), sumBetween(pts, end - 2 * period, end - period)];
+    const cur = valueAt(pts, end);
+    const prev = valueAt(pts, end - period);
+    if (def.mode === 'change') {
+        const prev2 = valueAt(pts, end - 2 * period);
+        return [cur !== null && prev !== null ? cur - prev : null, prev !== null && prev2 !== null ? prev - prev2 : null];
+    }
+    return [cur, prev];
+}
+
+function renderKpis(section, ctx) {
+    const cards = (section.items || Object.keys(KPIS)).map(function (key) {
+        const def = KPIS[key];
+        if (!def) {
+            warnings.push('Unbekannte Kennzahl: ' + key);
+            return '';
+        }
+        const vals = kpiValues(ctx.src, def, ctx.end, ctx.period) || [null, null];
+        const cur = vals[0];
+        const prev = vals[1];
+        let delta = '<div class="kpi-delta">Vorwoche: keine Daten</div>';
+        if (cur !== null && prev !== null) {
+            const d = cur - prev;
+            const cls = !def.good || Math.abs(d) < Math.pow(10, -def.digits) / 2 ? '' : (d * def.good > 0 ? ' pos' : ' neg');
+            let text = (d > 0 ? '+' : '') + fmt(d, def.digits) + (def.unit === '%' ? ' Pp' : def.unit ? ' ' + def.unit : '');
+            if (def.unit !== '%' && (def.mode || 'level') === 'level' && prev) text += ' (' + (d > 0 ? '+' : '') + fmt(d / Math.abs(prev) * 100, 1) + ' %)';
+            delta = '<div class="kpi-delta' + cls + '">' + esc(text) + ' ggü. Vorwoche</div>' +
+                '<div class="kpi-prev">Vorwoche: ' + esc(withUnit(fmt(prev, def.digits), def.unit)) + '</div>';
+        }
+        return '<div class="kpi"><div class="kpi-label">' + esc(def.label) + '</div>' +
+            '<div class="kpi-value">' + esc(withUnit(fmt(cur, def.digits), def.unit)) + '</div>' + delta + '</div>';
+    });
+    return '<div class="kpi-grid">' + cards.join('') + '</div>';
+}
+
+/* ── Diagramme (SVG) ── */
+
+function niceStep(range) {
+    const raw = range / 4 || 1;
+    const mag = Math.pow(10, Math.floor(Math.log10(raw)));
+    const n = raw / mag;
+    return (n <= 1 ? 1 : n <= 2 ? 2 : n <= 2.5 ? 2.5 : n <= 5 ? 5 : 10) * mag;
+}
+
+function svgChart(series, opts) {
+    const W = 860, H = 240, L = 64, R = 16, T = 12, B = 28;
+    const all = [].concat.apply([], series.map(function (s) { return s.points; }));
+    if (!all.length) return '<p class="empty">Keine Daten im Zeitraum.</p>';
+    let min = Math.min.apply(null, all.map(function (p) { return p.v; }));
+    let max = Math.max.apply(null, all.map(function (p) { return p.v; }));
+    if (min === max) { min -= 1; max += 1; }
+    const step = niceStep(max - min);
+    min = Math.floor(min / step) * step;
+    max = Math.ceil(max / step) * step;
+    const x0 = opts.from, x1 = opts.to;
+    const x = function (t) { return L + (t - x0) / (x1 - x0 || 1) * (W - L - R); };
+    const y = function (v) { return T + (max - v) / (max - min) * (H - T - B); };
+    const digits = step >= 1 ? 0 : (String(Number(step.toPrecision(2))).split('.')[1] || '').length;
+    const out = [];
+
+    // Berichtswoche hinterlegen
+    out.push('<rect class="week" x="' + x(opts.weekFrom).toFixed(1) + '" y="' + T + '" width="' + (x(x1) - x(opts.weekFrom)).toFixed(1) + '" height="' + (H - T - B) + '"/>');
+    for (let k = 0; k <= Math.round((max - min) / step); k++) {
+        const v = min + k * step;
+        out.push('<line class="grid' + (Math.abs(v) < step / 1e6 ? ' zero' : '') + '" x1="' + L + '" x2="' + (W - R) + '" y1="' + y(v).toFixed(1) + '" y2="' + y(v).toFixed(1) + '"/>');
+        out.push('<text class="tick" x="' + (L - 6) + '" y="' + (y(v) + 4).toFixed(1) + '" text-anchor="end">' + esc(fmt(v, digits)) + '</text>');
+    }
+    const long = x1 - x0 > 180 * DAY;
+    for (let i = 0; i <= 5; i++) {
+        const t = x0 + (x1 - x0) * i / 5;
+        const d = new Date(t);
+        const label = long ? String(d.getUTCMonth() + 1).padStart(2, '0') + '.' + d.getUTCFullYear()
+            : String(d.getUTCDate()).padStart(2, '0') + '.' + String(d.getUTCMonth() + 1).padStart(2, '0') + '.';
+        out.push('<text class="tick" x="' + x(t).toFixed(1) + '" y="' + (H - 8) + '" text-anchor="' + (i === 0 ? 'start' : i === 5 ? 'end' : 'middle') + '">' + label + '</text>');
+    }
+    series.forEach(function (s, i) {
+        const pts = [];
+        s.points.forEach(function (p, j) {
+            if (opts.step && j > 0) pts.push(x(p.t).toFixed(1) + ',' + y(s.points[j - 1].v).toFixed(1));
+            pts.push(x(p.t).toFixed(1) + ',' + y(p.v).toFixed(1));
+        });
+        out.push('<polyline fill="none" stroke="' + COLORS[i % COLORS.length] + '" stroke-width="2" points="' + pts.join(' ') + '"/>');
+    });
+    return '<svg viewBox="0 0 ' + W + ' ' + H + '" xmlns="http://www.w3.org/2000/svg" role="img">' + out.join('') + '</svg>';
+}
+
+function renderChart(section, ctx) {
+    const from = ctx.end - (section.weeks || 13) * 7 * DAY;
+    const series = (section.series || []).map(function (spec) {
+        const all = points(ctx.src, spec);
+        // letzter Wert vor dem Zeitraum als Startpunkt, damit Treppen und seltene Serien am linken Rand beginnen
+        const before = all.filter(function (p) { return p.t < from; }).pop();
+        const inRange = all.filter(function (p) { return p.t >= from && p.t <= ctx.end; });
+        return { label: spec.label || spec.field || spec.id, points: (before ? [{ t: from, v: before.v }] : []).concat(inRange) };
+    });
+    const legend = series.map(function (s, i) {
+        const last = s.points.length ? s.points[s.points.length - 1].v : null;
+        return '<span><i style="background:' + COLORS[i % COLORS.length] + '"></i>' + esc(s.label) + ': <b>' +
+            esc(withUnit(fmt(last, Math.abs(last) >= 1000 ? 0 : 2), section.unit)) + '</b></span>';
+    }).join('');
+    return '<div class="legend">' + legend + '<span class="range">' + (section.weeks || 13) + ' Wochen' + (section.unit ? ', in ' + esc(section.unit) : '') + '</span></div>' +
+        svgChart(series, { from: from, to: ctx.end, weekFrom: ctx.end - ctx.period, step: section.step });
+}
+
+/* ── Tabellen ── */
+
+function renderDecisions(section, ctx) {
+    const all = (ctx.src.overview && ctx.src.overview.recent_transactions) || [];
+    const list = all.filter(function (r) {
+        const t = day(r.date_chi);
+        return t > ctx.end - ctx.period && t <= ctx.end;
+    }).sort(function (a, b) { return a.date_chi < b.date_chi ? -1 : 1; });
+
+    const hebel = points(ctx.src, { source: 'performance', field: 'neuer_hebel' });
+    const startLev = valueAt(hebel, ctx.end - ctx.period);
+    const endLev = valueAt(hebel, ctx.end);
+    let html = '<p class="note">Hebel zu Wochenbeginn ' + esc(fmt(startLev, 2)) + ', am Wochenende ' + esc(fmt(endLev, 2)) + '.</p>';
+
+    // overview.json führt nur die letzten Transaktionen – ältere Wochen sind dort ggf. nicht mehr vollständig
+    const oldest = all.reduce(function (m, r) { return Math.min(m, day(r.date_chi)); }, Infinity);
+    if (all.length && oldest > ctx.end - ctx.period) html += '<p class="note">Nur die letzten ' + all.length + ' Transaktionen verfügbar – die Woche ist möglicherweise unvollständig.</p>';
+    if (!list.length) return html + '<p class="empty">Keine Hebelentscheidungen in dieser Woche.</p>';
+
+    return html + '<table><thead><tr><th>Zeit (Chicago)</th><th>Aktion</th><th class="r">Kontrakte</th><th class="r">Preis</th>' +
+        '<th class="r">Neuer Hebel</th><th class="r">Margin-Ausl.</th><th class="r">PnL netto</th><th>Grund</th></tr></thead><tbody>' +
+        list.map(function (r) {
+            const t = String(r.date_chi).replace('T', ' ').substring(0, 16);
+            return '<tr><td>' + esc(t) + '</td><td>' + esc(r.aktion) + (r.is_rollover ? ' (Rollover)' : '') + '</td>' +
+                '<td class="r">' + esc((r.delta_zu_handeln > 0 ? '+' : '') + fmt(r.delta_zu_handeln, 0)) + '</td>' +
+                '<td class="r">' + esc(fmt(r.durchschnittspreis, 2)) + '</td>' +
+                '<td class="r">' + esc(fmt(r.leverage_new, 2)) + '</td>' +
+                '<td class="r">' + esc(withUnit(fmt(r.margin_auslastung, 1), '%')) + '</td>' +
+                '<td class="r' + (r.realized_pnl_net > 0 ? ' pos' : r.realized_pnl_net < 0 ? ' neg' : '') + '">' + esc(fmt(r.realized_pnl_net, 0)) + '</td>' +
+                '<td>' + esc(r.reason_code || '–') + '</td></tr>';
+        }).join('') + '</tbody></table>';
+}
+
+function renderClosures(section, ctx) {
+    const th = (ctx.src.cme && ctx.src.cme.trading_holidays) || {};
+    const seen = {};
+    const until = ctx.end + (section.days || 60) * DAY;
+    const items = [].concat(th.upcoming || [], th.all_2026 || [], th.all_2027 || []).filter(function (h) {
+        const t = day(h.date);
+        if (seen[h.date] || t <= ctx.end || t > until) return false;
+        seen[h.date] = true;
+        return true;
+    }).map(function (h) {
+        return { t: day(h.date), name: h.name, status: h.status, detail: h.closure_description || '' };
+    });
+
+    const cur = pick(ctx.src.rollover, ['rollover_data', 'current']);
+    if (cur && cur.kontrakt_verfall && day(cur.kontrakt_verfall) > ctx.end) {
+        items.push({ t: day(cur.kontrakt_verfall), name: 'Verfall ' + cur.kontraktname, status: 'Kontraktverfall', detail: 'Rollover vor Verfall erforderlich' });
+    }
+    items.sort(function (a, b) { return a.t - b.t; });
+    if (!items.length) return '<p class="empty">Keine Schliessungen in den nächsten ' + (section.days || 60) + ' Tagen.</p>';
+
+    return '<table><thead><tr><th>Datum</th><th class="r">in Tagen</th><th>Anlass</th><th>Status</th><th>Details</th></tr></thead><tbody>' +
+        items.map(function (h) {
+            return '<tr><td>' + dateDE(h.t) + '</td><td class="r">' + Math.round((h.t - ctx.end) / DAY) + '</td><td>' + esc(h.name) + '</td>' +
+                '<td>' + esc(h.status) + '</td><td>' + esc(h.detail) + '</td></tr>';
+        }).join('') + '</tbody></table>';
+}
+
+const RENDERERS = { kpis: renderKpis, chart: renderChart, decisions: renderDecisions, closures: renderClosures };
+
+/* ── Dokument ── */
+
+const CSS = [
+    '*{box-sizing:border-box}',
+    'body{font-family:-apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,Helvetica,Arial,sans-serif;color:#1f2933;margin:0;padding:32px;font-size:13px;background:#fff}',
+    'header{border-bottom:3px solid #2598C3;padding-bottom:12px;margin-bottom:20px}',
+    'h1{margin:0 0 4px;font-size:22px}h2{font-size:15px;margin:0 0 10px;color:#2598C3}',
+    '.meta{color:#6b7785;font-size:12px}',
+    'section{margin-bottom:24px;page-break-inside:avoid;break-inside:avoid}',
+    '.kpi-grid{display:grid;grid-template-columns:repeat(3,1fr);gap:10px}',
+    '.kpi{border:1px solid #dde3ea;border-radius:6px;padding:10px 12px}',
+    '.kpi-label{font-size:11px;color:#6b7785}.kpi-value{font-size:19px;font-weight:700;margin:2px 0}',
+    '.kpi-delta{font-size:12px;color:#52606d}.kpi-prev{font-size:11px;color:#9aa5b1}',
+    '.pos{color:#1a7f37}.neg{color:#c62828}',
+    '.legend{display:flex;flex-wrap:wrap;gap:14px;font-size:12px;margin-bottom:4px}',
+    '.legend i{display:inline-block;width:10px;height:10px;border-radius:2px;margin-right:5px}',
+    '.legend .range{margin-left:auto;color:#9aa5b1}',
+    'svg{width:100%;height:auto;display:block}',
+    'svg .grid{stroke:#e6eaef;stroke-width:1}svg .zero{stroke:#9aa5b1}',
+    'svg .tick{font-size:11px;fill:#6b7785}svg .week{fill:#2598C3;opacity:.08}',
+    'table{width:100%;border-collapse:collapse;font-size:12px}',
+    'th,td{padding:5px 8px;border-bottom:1px solid #e6eaef;text-align:left}th{background:#f4f6f8;font-weight:600}',
+    '.r{text-align:right}.note,.empty{color:#6b7785;margin:0 0 8px}',
+    '.warnings{margin-top:24px;font-size:11px;color:#c62828}',
+    'footer{margin-top:24px;font-size:11px;color:#9aa5b1}',
+    '@page{size:A4;margin:14mm}',
+    '@media print{body{padding:0}}'
+].join('\n');
+
+function build(config, strategy, src, end) {
+    const period = (config.period_days || 7) * DAY;
+    const ctx = { src: src, end: end, period: period };
+    const kw = isoWeek(end);
+    const sections = config.sections.map(function (section) {
+        const render = RENDERERS[section.type];
+        if (!render) {
+            warnings.push('Unbekannter Abschnittstyp: ' + section.type);
+            return '';
+        }
+        return '<section><h2>' + esc(section.title || section.type) + '</h2>' + render(section, ctx) + '</section>';
+    });
+    const title = (config.title || 'Wochenbericht') + ' ' + strategy.name + ' – KW ' + kw.week + '/' + kw.year;
+    return {
+        week: kw,
+        html: '<!DOCTYPE html>\n<html lang="de">\n<head>\n<meta charset="UTF-8">\n<title>' + esc(title) + '</title>\n<style>\n' + CSS + '\n</style>\n</head>\n<body>\n' +
+            '<header><h1>' + esc(title) + '</h1><div class="meta">Berichtszeitraum ' + dateDE(end - period + DAY) + ' – ' + dateDE(end) +
+            ' · ' + esc(strategy.instrument || '') + ' ' + esc(strategy.exchange || '') + ' · Datenstand overview.json: ' +
+            esc(String((src.overview && src.overview.timestamp) || '–').replace('T', ' ').substring(0, 16)) + '</div></header>\n' +
+            sections.join('\n') + '\n' +
+            (warnings.length ? '<div class="warnings">' + warnings.map(esc).join('<br>') + '</div>\n' : '') +
+            '<footer>Erstellt ' + esc(new Date().toISOString().replace('T', ' ').substring(0, 16)) + ' UTC mit tools/build_weekly_report.js</footer>\n</body>\n</html>\n'
+    };
+}
+
+/* ── PDF ── */
+
+function findChrome() {
+    if (process.env.CHROME_BIN) return process.env.CHROME_BIN;
+    return ['chromium', 'chromium-browser', 'google-chrome', 'google-chrome-stable', 'chrome'].find(function (name) {
+        return childProcess.spawnSync('which', [name]).status === 0;
+    }) || null;
+}
+
+function printPdf(htmlFile) {
+    const chrome = findChrome();
+    if (!chrome) throw new Error('Kein Chrome/Chromium gefunden – CHROME_BIN setzen oder ohne --pdf ausführen');
+    const pdfFile = htmlFile.replace(/\.html?$/, '') + '.pdf';
+    const res = childProcess.spawnSync(chrome, [
+        '--headless', '--disable-gpu', '--no-sandbox', '--no-pdf-header-footer',
+        '--print-to-pdf=' + pdfFile, 'file://' + htmlFile
+    ], { timeout: 60000, stdio: 'ignore' });
+    if (res.status !== 0 || !fs.existsSync(pdfFile)) throw new Error('PDF-Erzeugung fehlgeschlagen (' + chrome + ')');
+    return pdfFile;
+}
+
+/* ── Ablauf ── */
+
+const args = parseArgs(process.argv.slice(2));
+const config = JSON.parse(read(args.config || DEFAULT_CONFIG) || 'null');
+if (!config) throw new Error('Konfiguration fehlt: ' + (args.config || DEFAULT_CONFIG));
+
+const registry = JSON.parse(read(STRATEGIES));
+const strategyId = args.strategy || config.strategy || registry.default;
+const strategy = registry.strategies.find(function (s) { return s.id === strategyId && s.data_path; });
+if (!strategy) throw new Error('Strategie ohne Daten: ' + strategyId);
+
+const src = loadSources(strategy);
+const end = args.date ? day(args.date) : day((src.overview && src.overview.timestamp) || isoDate(Date.now()));
+const report = build(config, strategy, src, end);
+
+const outFile = path.resolve(ROOT, args.out || 'reports/wochenbericht_' + strategy.id + '_' + report.week.year + '-KW' + String(report.week.week).padStart(2, '0') + '.html');
+fs.mkdirSync(path.dirname(outFile), { recursive: true });
+fs.writeFileSync(outFile, report.html);
+warnings.forEach(function (w) { console.warn('Warnung: ' + w); });
+console.log(path.relative(ROOT, outFile) + ': ' + config.sections.length + ' Abschnitte, Woche bis ' + isoDate(end));
+if (args.pdf) {
+    try {
+        console.log(path.relative(ROOT, printPdf(outFile)));
+    } catch (e) {
+        console.error(e.message);
+        process.exit(1);
+    }
+}
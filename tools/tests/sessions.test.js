@@ -0,0 +1,161 @@
+/**
+ * Trading Portal – Tests Handelszeiten
+ * Prüft shared/js/sessions.js über die Sommerzeit-Umstellungen 2026: USA am 8.3., Europa am 29.3.
+ * Dazwischen liegen drei Wochen, in denen New York / Chicago nur 5 statt 6 bzw. 7 Stunden hinter Berlin / Zürich liegen.
+ * Start: node --test tools/tests/
+ *
+ * sessions.js wird wie im Browser als Skript ausgeführt (vm, window/document als Attrappe);
+ * die Feiertage kommen aus den echten Kalendern in boerseninformationen/.
+ * Alle Erwartungen sind in UTC notiert.
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+
+function loadSessions() {
+    const context = { window: {}, document: { currentScript: null }, console };
+    vm.createContext(context);
+    vm.runInContext(fs.readFileSync(path.join(ROOT, 'shared/js/sessions.js'), 'utf8'), context, { filename: 'sessions.js' });
+    const ts = context.window.TradingSessions;
+    ts.list().forEach(id => {
+        ts.setCalendar(id, JSON.parse(fs.readFileSync(path.join(ROOT, ts.get(id).calendar), 'utf8')));
+    });
+    return ts;
+}
+
+const TS = loadSessions();
+
+function utc(str) {
+    return Date.parse(str + 'Z');
+}
+
+function iso(date) {
+    return date ? date.toISOString().substring(0, 16) : null;
+}
+
+test('Session-Zeiten vor, zwischen und nach den Umstellungen', () => {
+    const cases = [
+        // [Börse, Handelstag, open UTC, close UTC]
+        ['CME', '2026-03-06', '2026-03-05T23:00', '2026-03-06T22:00'],
+        ['CME', '2026-03-09', '2026-03-08T22:00', '2026-03-09T21:00'],
+        ['CME', '2026-03-30', '2026-03-29T22:00', '2026-03-30T21:00'],
+        ['NYSE', '2026-03-06', '2026-03-06T14:30', '2026-03-06T21:00'],
+        ['NYSE', '2026-03-09', '2026-03-09T13:30', '2026-03-09T20:00'],
+        ['NYSE', '2026-03-30', '2026-03-30T13:30', '2026-03-30T20:00'],
+        ['EUREX', '2026-03-06', '2026-03-06T00:10', '2026-03-06T21:00'],
+        ['EUREX', '2026-03-27', '2026-03-27T00:10', '2026-03-27T21:00'],
+        ['EUREX', '2026-03-30', '2026-03-29T23:10', '2026-03-30T20:00'],
+        ['SIX', '2026-03-09', '2026-03-09T08:00', '2026-03-09T16:30'],
+        ['SIX', '2026-03-27', '2026-03-27T08:00', '2026-03-27T16:30'],
+        ['SIX', '2026-03-30', '2026-03-30T07:00', '2026-03-30T15:30']
+    ];
+    cases.forEach(([id, day, open, close]) => {
+        const s = TS.session(id, day);
+        assert.ok(s, id + ' ' + day);
+        assert.strictEqual(iso(new Date(s.open)), open, id + ' ' + day + ' open');
+        assert.strictEqual(iso(new Date(s.close)), close, id + ' ' + day + ' close');
+    });
+});
+
+test('isOpen an den Rändern der Sessions', () => {
+    const cases = [
+        // 15:30 CST bzw. 16:30 CDT – gleiche UTC-Zeit, einmal offen, einmal Pause
+        ['CME', '2026-03-03T21:30', true],
+        ['CME', '2026-03-10T21:30', false],
+        ['CME', '2026-03-08T21:59', false],
+        ['CME', '2026-03-08T22:00', true],
+        // NYSE öffnet ab dem 9.3. eine Stunde früher (UTC)
+        ['NYSE', '2026-03-06T14:00', false],
+        ['NYSE', '2026-03-09T14:00', true],
+        ['NYSE', '2026-03-09T20:00', false],
+        // Eurex / SIX stellen erst am 29.3. um
+        ['EUREX', '2026-03-10T21:30', false],
+        ['EUREX', '2026-03-29T23:30', true],
+        ['EUREX', '2026-03-30T20:30', false],
+        ['SIX', '2026-03-10T16:15', true],
+        ['SIX', '2026-03-31T16:15', false],
+        ['SIX', '2026-03-28T10:00', false]
+    ];
+    cases.forEach(([id, t, expected]) => {
+        assert.strictEqual(TS.isOpen(id, utc(t)), expected, id + ' ' + t);
+    });
+});
+
+test('nextOpen / nextClose über Wochenende und Umstellung', () => {
+    const cases = [
+        // [Börse, Zeitpunkt, nextOpen, nextClose]
+        ['CME', '2026-03-07T12:00', '2026-03-08T22:00', '2026-03-09T21:00'],
+        ['CME', '2026-03-10T21:30', '2026-03-10T22:00', '2026-03-11T21:00'],
+        ['CME', '2026-03-06T18:00', '2026-03-08T22:00', '2026-03-06T22:00'],
+        ['NYSE', '2026-03-06T21:00', '2026-03-09T13:30', '2026-03-09T20:00'],
+        ['NYSE', '2026-03-09T14:00', '2026-03-10T13:30', '2026-03-09T20:00'],
+        ['EUREX', '2026-03-27T21:00', '2026-03-29T23:10', '2026-03-30T20:00'],
+        ['SIX', '2026-03-27T17:00', '2026-03-30T07:00', '2026-03-30T15:30'],
+        // Karfreitag / Ostermontag: Eurex erst am Dienstag wieder offen
+        ['EUREX', '2026-04-03T10:00', '2026-04-06T23:10', '2026-04-07T20:00']
+    ];
+    cases.forEach(([id, t, open, close]) => {
+        assert.strictEqual(iso(TS.nextOpen(id, utc(t))), open, id + ' ' + t + ' nextOpen');
+        assert.strictEqual(iso(TS.nextClose(id, utc(t))), close, id + ' ' + t + ' nextClose');
+    });
+});
+
+test('tradingMinutes zählt Umstellungs-Wochenenden korrekt', () => {
+    // CME: Freitag bis 16:00 CST (22 h ab 00:00 UTC), Sonntag ab 17:00 CDT (2 h bis Mitternacht UTC)
+    assert.strictEqual(TS.tradingMinutes('CME', utc('2026-03-06T00:00'), utc('2026-03-09T00:00')), 22 * 60 + 2 * 60);
+    // Eine volle CME-Woche dauert vor und nach der Umstellung gleich lang (5 × 23 h)
+    assert.strictEqual(TS.tradingMinutes('CME', utc('2026-03-01T00:00'), utc('2026-03-07T00:00')), 5 * 23 * 60);
+    assert.strictEqual(TS.tradingMinutes('CME', utc('2026-03-08T00:00'), utc('2026-03-14T00:00')), 5 * 23 * 60);
+    // Eurex Montag nach der EU-Umstellung beginnt Sonntag 23:10 UTC
+    assert.strictEqual(TS.tradingMinutes('EUREX', utc('2026-03-29T00:00'), utc('2026-03-30T23:00')), 20 * 60 + 50);
+    assert.strictEqual(TS.tradingMinutes('SIX', utc('2026-03-30T00:00'), utc('2026-03-31T00:00')), 8 * 60 + 30);
+    assert.strictEqual(TS.tradingMinutes('NYSE', utc('2026-03-10T00:00'), utc('2026-03-09T00:00')), 0);
+});
+
+test('Überschneidung SIX / NYSE in den Wochen mit versetzter Uhrzeit', () => {
+    // Von NYSE-Eröffnung bis SIX-Schluss: normal 2 h, vom 9. bis 27.3. 3 h
+    const overlap = day => {
+        const nyse = TS.session('NYSE', day);
+        return TS.tradingMinutes('SIX', nyse.open, nyse.close);
+    };
+    assert.strictEqual(overlap('2026-03-06'), 120);
+    assert.strictEqual(overlap('2026-03-09'), 180);
+    assert.strictEqual(overlap('2026-03-18'), 180);
+    assert.strictEqual(overlap('2026-03-27'), 180);
+    assert.strictEqual(overlap('2026-03-30'), 120);
+});
+
+test('status().reason', () => {
+    const cases = [
+        // Sonntag 16:00–17:00 CT ist noch Wochenende, keine Tagespause (vor und nach der US-Umstellung)
+        ['CME', '2026-03-01T22:30', 'Wochenende'],
+        ['CME', '2026-03-08T21:30', 'Wochenende'],
+        ['CME', '2026-03-10T21:30', 'Tägliche Pause'],
+        ['CME', '2026-03-06T22:30', 'Wochenende'],
+        ['CME', '2026-04-03T15:00', 'Good Friday'],
+        ['NYSE', '2026-03-09T13:00', 'Vorbörslich'],
+        ['NYSE', '2026-03-09T20:30', 'Nachbörslich'],
+        ['SIX', '2026-03-31T16:00', 'Nachbörslich'],
+        ['EUREX', '2026-03-28T12:00', 'Wochenende'],
+        ['EUREX', '2026-04-06T12:00', 'Easter Monday']
+    ];
+    cases.forEach(([id, t, reason]) => {
+        const s = TS.status(id, utc(t));
+        assert.strictEqual(s.isOpen, false, id + ' ' + t);
+        assert.strictEqual(s.reason, reason, id + ' ' + t);
+    });
+});
+
+test('formatLocal: Zeitzonen-Kürzel folgt der Sommerzeit', () => {
+    assert.strictEqual(TS.formatLocal('SIX', utc('2026-03-27T08:00')), 'Fr 09:00 CET');
+    assert.strictEqual(TS.formatLocal('SIX', utc('2026-03-30T07:00')), 'Mo 09:00 CEST');
+    assert.strictEqual(TS.formatLocal('EUREX', utc('2026-10-26T00:10')), 'Mo 01:10 CET');
+    // CT / ET gelten ganzjährig
+    assert.strictEqual(TS.formatLocal('CME', utc('2026-03-09T21:00')), 'Mo 16:00 CT');
+});